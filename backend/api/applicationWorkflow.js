@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { FIELD_SIZE } = require('../../circuits/hashing.mjs');
+
+// Application lifecycle: submitted -> under_review -> approved | rejected,
+// with under_review -> needs_info -> submitted while the applicant answers
+const APPLICATION_STATUS = {
+    SUBMITTED: 'submitted',
+    UNDER_REVIEW: 'under_review',
+    NEEDS_INFO: 'needs_info',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+const TRANSITIONS = {
+    [APPLICATION_STATUS.SUBMITTED]: [APPLICATION_STATUS.UNDER_REVIEW],
+    [APPLICATION_STATUS.UNDER_REVIEW]: [
+        APPLICATION_STATUS.NEEDS_INFO,
+        APPLICATION_STATUS.APPROVED,
+        APPLICATION_STATUS.REJECTED
+    ],
+    [APPLICATION_STATUS.NEEDS_INFO]: [APPLICATION_STATUS.SUBMITTED],
+    [APPLICATION_STATUS.APPROVED]: [],
+    [APPLICATION_STATUS.REJECTED]: []
+};
+
+const OPEN_STATUSES = [APPLICATION_STATUS.SUBMITTED, APPLICATION_STATUS.UNDER_REVIEW, APPLICATION_STATUS.NEEDS_INFO];
+
+function isFieldElement(value) {
+    return /^(0x[0-9a-fA-F]+|\d+)$/.test(String(value)) && BigInt(value) < FIELD_SIZE;
+}
+
+/**
+ * KYC applications and the reviewer queue
+ *
+ * Applicants submit their attributes for a credential template; reviewers
+ * pick applications from the queue, add notes, ask for more information and
+ * approve or reject. Every change is appended to the application's audit
+ * trail. The credential is only issued, through `issueCredential`, when a
+ * reviewer approves. Applicants keep their holder secret and only submit
+ * its commitment, Poseidon(secret), which the credential commits to.
+ */
+class ApplicationWorkflow {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.applications);
+        this.issueCredential = options.issueCredential; // async (application, issuerId) -> issued credential
+        this.approving = new Set(); // applications whose credential is being issued
+    }
+
+    /**
+     * Open an application; an address can only have one open application
+     */
+    submit({ userAddress, templateId = 'basic_kyc', credentialData, holderCommitment }) {
+        if (!userAddress || !credentialData || !holderCommitment) {
+            throw new Error('userAddress, credentialData and holderCommitment are required');
+        }
+        if (!isFieldElement(holderCommitment)) {
+            throw new Error('Invalid holderCommitment: expected a field element');
+        }
+
+        const address = userAddress.toLowerCase();
+        if (this.listForApplicant(address).some(application => OPEN_STATUSES.includes(application.status))) {
+            throw new Error('An application for this address is already open');
+        }
+
+        const now = Date.now();
+        const application = {
+            id: crypto.randomUUID(),
+            userAddress: address,
+            templateId,
+            credentialData,
+            holderCommitment: String(holderCommitment),
+            status: APPLICATION_STATUS.SUBMITTED,
+            reviewer: null,
+            notes: [],
+            requestedInfo: null,
+            credential: null,
+            submittedAt: now,
+            updatedAt: now,
+            history: [{ at: now, actor: address, action: 'submitted', status: APPLICATION_STATUS.SUBMITTED }]
+        };
+
+        this.repository.save(application);
+        return application;
+    }
+
+    get(applicationId) {
+        const application = this.repository.get(applicationId);
+        if (!application) {
+            throw new Error('Application not found');
+        }
+        return application;
+    }
+
+    /**
+     * An applicant's applications, newest first
+     */
+    listForApplicant(userAddress) {
+        return this.repository.findBy('userAddress', userAddress.toLowerCase())
+            .sort((a, b) => b.submittedAt - a.submittedAt);
+    }
+
+    /**
+     * Reviewer queue, oldest first: unassigned submissions plus, for a
+     * reviewer, the applications assigned to them
+     */
+    queue({ reviewer } = {}) {
+        const submitted = this.repository.findBy('status', APPLICATION_STATUS.SUBMITTED)
+            .filter(application => !application.reviewer || application.reviewer === reviewer);
+        const assigned = reviewer
+            ? this.repository.findBy('reviewer', reviewer)
+                .filter(application => application.status === APPLICATION_STATUS.UNDER_REVIEW)
+            : [];
+
+        return [...submitted, ...assigned].sort((a, b) => a.updatedAt - b.updatedAt);
+    }
+
+    /**
+     * Assign a reviewer, starting the review (or hand it to another reviewer)
+     */
+    assign(applicationId, reviewer, actor = reviewer) {
+        if (!reviewer) {
+            throw new Error('reviewer is required');
+        }
+
+        const application = this.notApproving(applicationId);
+        const previous = application.reviewer;
+        application.reviewer = reviewer;
+
+        if (application.status === APPLICATION_STATUS.UNDER_REVIEW) {
+            return this.record(application, actor, 'reassigned', { from: previous, to: reviewer });
+        }
+        return this.transition(application, APPLICATION_STATUS.UNDER_REVIEW, actor, 'assigned', { reviewer });
+    }
+
+    /**
+     * Add a note; internal notes are only shown to reviewers
+     */
+    addNote(applicationId, { author, text, internal = true }) {
+        if (!author || !text) {
+            throw new Error('author and text are required');
+        }
+
+        const application = this.get(applicationId);
+        const note = { id: crypto.randomUUID(), author, text, internal: Boolean(internal), at: Date.now() };
+        application.notes.push(note);
+        return this.record(application, author, 'note_added', { noteId: note.id, internal: note.internal });
+    }
+
+    /**
+     * Ask the applicant for more information
+     */
+    requestInfo(applicationId, reviewer, message) {
+        if (!message) {
+            throw new Error('message is required');
+        }
+
+        const application = this.reviewing(applicationId, reviewer);
+        application.requestedInfo = { message, requestedBy: reviewer, requestedAt: Date.now() };
+        return this.transition(application, APPLICATION_STATUS.NEEDS_INFO, reviewer, 'info_requested', { message });
+    }
+
+    /**
+     * The applicant's answer: updated attributes and/or a message, back to the queue
+     */
+    provideInfo(applicationId, userAddress, { credentialData, message } = {}) {
+        this.notApproving(applicationId);
+        const application = this.ownedBy(applicationId, userAddress);
+
+        if (credentialData) {
+            application.credentialData = { ...application.credentialData, ...credentialData };
+        }
+        if (message) {
+            application.notes.push({ id: crypto.randomUUID(), author: application.userAddress, text: message, internal: false, at: Date.now() });
+        }
+        application.requestedInfo = null;
+
+        return this.transition(application, APPLICATION_STATUS.SUBMITTED, application.userAddress, 'info_provided', {
+            updatedFields: credentialData ? Object.keys(credentialData) : []
+        });
+    }
+
+    /**
+     * Open application of this applicant, e.g. to attach documents to
+     */
+    openFor(applicationId, userAddress) {
+        const application = this.ownedBy(applicationId, userAddress);
+        if (!OPEN_STATUSES.includes(application.status)) {
+            throw new Error(`Application is ${application.status}, it can no longer be changed`);
+        }
+        return application;
+    }
+
+    ownedBy(applicationId, userAddress) {
+        const application = this.get(applicationId);
+        if (!userAddress || application.userAddress !== userAddress.toLowerCase()) {
+            throw new Error('Only the applicant can access an application');
+        }
+        return application;
+    }
+
+    /**
+     * Approve and issue the credential
+     *
+     * If issuance fails (e.g. a required KYC check has not passed) the
+     * application stays under review and the failure is recorded. `issuerId`
+     * chooses which issuer signs the credential. While the credential is
+     * being issued, the application cannot be reassigned, rejected, sent back
+     * to the applicant or changed by them.
+     */
+    async approve(applicationId, reviewer, note, issuerId) {
+        const application = this.reviewing(applicationId, reviewer);
+        this.checkTransition(application, APPLICATION_STATUS.APPROVED);
+        this.approving.add(applicationId);
+
+        try {
+            let issued;
+            try {
+                issued = await this.issueCredential(application, issuerId);
+            } catch (error) {
+                this.record(this.get(applicationId), reviewer, 'issuance_failed', { error: error.message });
+                throw error;
+            }
+
+            // Reload so notes added while issuing are kept
+            const approved = this.get(applicationId);
+            approved.credential = issued;
+            return this.transition(approved, APPLICATION_STATUS.APPROVED, reviewer, 'approved', {
+                credentialId: issued.credentialId,
+                issuer: issued.issuer,
+                note
+            });
+        } finally {
+            this.approving.delete(applicationId);
+        }
+    }
+
+    reject(applicationId, reviewer, reason) {
+        if (!reason) {
+            throw new Error('reason is required');
+        }
+
+        const application = this.reviewing(applicationId, reviewer);
+        application.rejectionReason = reason;
+        return this.transition(application, APPLICATION_STATUS.REJECTED, reviewer, 'rejected', { reason });
+    }
+
+    /**
+     * Application under review by this reviewer
+     */
+    reviewing(applicationId, reviewer) {
+        const application = this.notApproving(applicationId);
+        if (application.status !== APPLICATION_STATUS.UNDER_REVIEW) {
+            throw new Error(`Application is ${application.status}, not under review`);
+        }
+        if (application.reviewer !== reviewer) {
+            throw new Error('Application is assigned to another reviewer');
+        }
+        return application;
+    }
+
+    /**
+     * Application whose credential is not being issued right now
+     */
+    notApproving(applicationId) {
+        if (this.approving.has(applicationId)) {
+            throw new Error('Application approval already in progress');
+        }
+        return this.get(applicationId);
+    }
+
+    checkTransition(application, status) {
+        if (!TRANSITIONS[application.status].includes(status)) {
+            throw new Error(`Cannot move application from ${application.status} to ${status}`);
+        }
+    }
+
+    transition(application, status, actor, action, details = {}) {
+        this.checkTransition(application, status);
+        application.status = status;
+        return this.record(application, actor, action, details);
+    }
+
+    /**
+     * Append to the audit trail and save
+     */
+    record(application, actor, action, details = {}) {
+        const now = Date.now();
+        application.updatedAt = now;
+        application.history.push({ at: now, actor, action, status: application.status, ...details });
+        this.repository.save(application);
+        return application;
+    }
+
+    /**
+     * What the applicant sees: no internal notes, reviewer identities,
+     * submitted attributes or credential material
+     */
+    toApplicantView(application) {
+        const { reviewer, notes, history, requestedInfo, credentialData, credential, ...rest } = application;
+        return {
+            ...rest,
+            credential: credential && { credentialId: credential.credentialId, issuer: credential.issuer, template: credential.template },
+            assigned: Boolean(reviewer),
+            requestedInfo: requestedInfo && { message: requestedInfo.message, requestedAt: requestedInfo.requestedAt },
+            notes: notes.filter(note => !note.internal),
+            history: history
+                .filter(entry => !(entry.action === 'note_added' && entry.internal))
+                .map(({ at, action, status }) => ({ at, action, status }))
+        };
+    }
+
+    /**
+     * The issued credential with the attributes it commits to; the holder
+     * proves with these and its own secret
+     */
+    toHolderCredential(application) {
+        if (!application.credential) {
+            throw new Error(`Application is ${application.status}, no credential was issued`);
+        }
+        const { credentialId, issuer, template, credential } = application.credential;
+        return { credentialId, issuer, template, credential, attributes: application.credentialData };
+    }
+}
+
+module.exports = ApplicationWorkflow;
+module.exports.APPLICATION_STATUS = APPLICATION_STATUS;
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { circuitId: toCircuitId } = require('../../circuits/generate_proof');
+
+// Circuit lifecycle: active -> deprecated -> retired
+const CIRCUIT_STATUS = {
+    ACTIVE: 'active',
+    DEPRECATED: 'deprecated', // still proves and verifies, callers are warned
+    RETIRED: 'retired' // rejected everywhere
+};
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function compareVersions(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Registry of circuits keyed by circuitId (name@version)
+ *
+ * Each record keeps the artifact paths and their SHA-256 hashes, the
+ * public-signal layout and the lifecycle status. Records are persisted so a
+ * retired circuit stays retired across restarts; the artifacts themselves are
+ * loaded into memory by `register`.
+ */
+class CircuitRegistry {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.circuits);
+        this.loaded = new Map(); // circuitId -> { wasm, zkey, vkey }
+    }
+
+    /**
+     * Load a circuit's artifacts and record them under name@version
+     *
+     * Registering the same version with different artifacts is refused: new
+     * keys need a new version so existing proofs keep their verification key.
+     */
+    async register({ name, version, artifacts, publicSignals }) {
+        const circuitId = toCircuitId(name, version);
+        const [wasm, zkey, vkey] = await Promise.all([
+            fs.promises.readFile(artifacts.wasm),
+            fs.promises.readFile(artifacts.zkey),
+            fs.promises.readFile(artifacts.vkey)
+        ]);
+        const hashes = { wasm: sha256(wasm), zkey: sha256(zkey), vkey: sha256(vkey) };
+
+        const existing = this.repository.get(circuitId);
+        if (existing && Object.keys(hashes).some(kind => existing.hashes[kind] !== hashes[kind])) {
+            throw new Error(`Artifacts of ${circuitId} changed; register them under a new version`);
+        }
+
+        const record = existing || {
+            circuitId,
+            name,
+            version,
+            status: CIRCUIT_STATUS.ACTIVE,
+            registeredAt: Date.now()
+        };
+        Object.assign(record, { artifacts, hashes, publicSignals });
+        this.repository.save(record);
+
+        this.loaded.set(circuitId, {
+            wasm: new Uint8Array(wasm),
+            zkey: new Uint8Array(zkey),
+            vkey: JSON.parse(vkey.toString('utf8'))
+        });
+
+        return record;
+    }
+
+    get(circuitId) {
+        return this.repository.get(circuitId) || null;
+    }
+
+    list() {
+        return this.repository.list();
+    }
+
+    /**
+     * Whether any circuit artifacts are loaded (otherwise proofs are mocked)
+     */
+    hasLoadedCircuits() {
+        return this.loaded.size > 0;
+    }
+
+    /**
+     * Newest loaded, non-retired version of a circuit
+     */
+    latest(name) {
+        const candidates = this.repository.findBy('name', name)
+            .filter(c => c.status !== CIRCUIT_STATUS.RETIRED && this.loaded.has(c.circuitId))
+            .sort((a, b) => compareVersions(b.version, a.version));
+        return candidates[0] || null;
+    }
+
+    /**
+     * Check that a circuit can be used, returning its record and artifacts
+     */
+    check(circuitId) {
+        if (!circuitId) {
+            return { accepted: false, error: 'circuitId is required' };
+        }
+
+        const circuit = this.get(circuitId);
+        if (!circuit) {
+            return { accepted: false, error: `Unknown circuit: ${circuitId}` };
+        }
+        if (circuit.status === CIRCUIT_STATUS.RETIRED) {
+            return { accepted: false, error: `Circuit ${circuitId} is retired` };
+        }
+        if (!this.loaded.has(circuitId)) {
+            return { accepted: false, error: `Circuit ${circuitId} is not loaded` };
+        }
+
+        return {
+            accepted: true,
+            circuit,
+            artifacts: this.loaded.get(circuitId),
+            deprecated: circuit.status === CIRCUIT_STATUS.DEPRECATED
+        };
+    }
+
+    deprecate(circuitId) {
+        return this.setStatus(circuitId, CIRCUIT_STATUS.DEPRECATED);
+    }
+
+    retire(circuitId) {
+        return this.setStatus(circuitId, CIRCUIT_STATUS.RETIRED);
+    }
+
+    setStatus(circuitId, status) {
+        const circuit = this.get(circuitId);
+        if (!circuit) {
+            throw new Error(`Unknown circuit: ${circuitId}`);
+        }
+        if (circuit.status === CIRCUIT_STATUS.RETIRED) {
+            throw new Error(`Circuit ${circuitId} is retired`);
+        }
+
+        circuit.status = status;
+        circuit[`${status}At`] = Date.now();
+        this.repository.save(circuit);
+        return circuit;
+    }
+}
+
+module.exports = CircuitRegistry;
+module.exports.CIRCUIT_STATUS = CIRCUIT_STATUS;
@@ -0,0 +1,41 @@
+/**
+ * Issue a credential and register it with the verification service for proving
+ *
+ * Called by the application workflow when a reviewer approves an application;
+ * `issuerId` picks the issuer, the default issuer otherwise. The registry leaf
+ * commits to the applicant's `holderCommitment`; the holder secret itself
+ * never reaches the issuer. If registering fails, the signed credential is
+ * revoked (and any registry leaf removed) so no credential is left valid that
+ * cannot be proved.
+ */
+async function issueAndRegister({ credentialIssuer, verificationService }, { userAddress, credentialData, templateId, holderCommitment }, issuerId) {
+    const issued = await credentialIssuer.issueCredential(
+        { ...credentialData, userAddress },
+        templateId,
+        issuerId
+    );
+
+    try {
+        await verificationService.issueCredential({
+            credentialId: issued.credentialId,
+            issuer: issued.issuer,
+            holderCommitment,
+            userAddress,
+            fullName: credentialData.fullName,
+            dob: credentialData.dateOfBirth,
+            country: credentialData.country,
+            nationality: credentialData.nationality,
+            documentType: credentialData.documentType,
+            documentNumber: credentialData.documentNumber,
+            expiryDate: Math.floor(new Date(issued.credential.expirationDate).getTime() / 1000)
+        });
+    } catch (error) {
+        credentialIssuer.revokeCredential(issued.credentialId, `Registration failed: ${error.message}`);
+        await verificationService.credentialRegistry.remove(issued.credentialId);
+        throw error;
+    }
+
+    return issued;
+}
+
+module.exports = { issueAndRegister };
@@ -0,0 +1,234 @@
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+
+// Nullifier lifecycle: issued -> verified -> spent, or issued/verified -> expired
+const NULLIFIER_STATUS = {
+    ISSUED: 'issued',
+    VERIFIED: 'verified',
+    SPENT: 'spent',
+    EXPIRED: 'expired'
+};
+
+const REJECTION_REASONS = {
+    already_spent: 'Proof already used',
+    expired: 'Proof expired',
+    credential_revoked: 'Credential revoked',
+    verification_in_progress: 'Proof verification already in progress'
+};
+
+class NullifierRegistry {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.nullifiers);
+        this.inFlight = new Set(); // nullifiers currently being verified
+        this.defaultTtl = options.defaultTtl || 30 * 24 * 60 * 60 * 1000; // 30 days
+    }
+
+    /**
+     * Record a nullifier for a newly generated proof
+     *
+     * Expired nullifiers are issued again, unless the credential was revoked.
+     */
+    issue(nullifier, { credentialId, scope, ttl } = {}) {
+        const existing = this.get(nullifier);
+
+        if (existing && existing.status === NULLIFIER_STATUS.SPENT) {
+            return this.reject(existing, 'already_spent');
+        }
+
+        // Expired with the credential's revocation, never to be issued again
+        if (existing && existing.reason === 'credential_revoked') {
+            return this.reject(existing, 'credential_revoked');
+        }
+
+        if (existing && existing.status !== NULLIFIER_STATUS.EXPIRED) {
+            return { accepted: true, entry: existing };
+        }
+
+        const now = Date.now();
+        const lifetime = ttl === undefined ? this.defaultTtl : ttl;
+        const entry = {
+            nullifier,
+            credentialId,
+            scope,
+            status: NULLIFIER_STATUS.ISSUED,
+            issuedAt: now,
+            expiresAt: lifetime ? now + lifetime : null,
+            history: [{ status: NULLIFIER_STATUS.ISSUED, at: now }]
+        };
+
+        this.repository.save(entry);
+        return { accepted: true, entry };
+    }
+
+    /**
+     * Get a nullifier entry, expiring it first if its lifetime has passed
+     */
+    get(nullifier) {
+        const entry = this.repository.get(nullifier);
+        if (entry) {
+            this.expireIfDue(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Check whether a nullifier can still be verified
+     */
+    check(nullifier) {
+        if (this.inFlight.has(nullifier)) {
+            return this.reject(this.get(nullifier), 'verification_in_progress');
+        }
+
+        const entry = this.get(nullifier);
+        if (!entry) {
+            // Proofs generated outside this backend have no prior entry
+            return { accepted: true, entry: null };
+        }
+
+        if (entry.status === NULLIFIER_STATUS.SPENT) {
+            return this.reject(entry, 'already_spent');
+        }
+
+        if (entry.status === NULLIFIER_STATUS.EXPIRED) {
+            return this.reject(entry, entry.reason || 'expired');
+        }
+
+        return { accepted: true, entry };
+    }
+
+    /**
+     * Lock a nullifier while its proof is verified
+     *
+     * Concurrent verifications of the same nullifier are rejected until
+     * `spend`, `markVerified` or `release` is called.
+     */
+    claim(nullifier) {
+        const result = this.check(nullifier);
+        if (result.accepted) {
+            this.inFlight.add(nullifier);
+        }
+        return result;
+    }
+
+    /**
+     * Release a claimed nullifier without changing its status
+     */
+    release(nullifier) {
+        this.inFlight.delete(nullifier);
+    }
+
+    /**
+     * Mark a claimed nullifier's proof as valid without consuming it
+     */
+    markVerified(nullifier, details = {}) {
+        return this.settle(nullifier, NULLIFIER_STATUS.VERIFIED, details);
+    }
+
+    /**
+     * Consume a claimed nullifier so its proof cannot be used again
+     */
+    spend(nullifier, details = {}) {
+        return this.settle(nullifier, NULLIFIER_STATUS.SPENT, details);
+    }
+
+    /**
+     * Expire an open nullifier (e.g. when its credential is revoked)
+     */
+    expire(nullifier, reason = 'expired') {
+        const entry = this.get(nullifier);
+        if (!entry || entry.status === NULLIFIER_STATUS.SPENT || entry.status === NULLIFIER_STATUS.EXPIRED) {
+            return false;
+        }
+
+        this.transition(entry, NULLIFIER_STATUS.EXPIRED, reason);
+        return true;
+    }
+
+    /**
+     * Expire every open nullifier whose lifetime has passed
+     */
+    sweep() {
+        let expired = 0;
+        for (const status of [NULLIFIER_STATUS.ISSUED, NULLIFIER_STATUS.VERIFIED]) {
+            for (const entry of this.repository.findBy('status', status)) {
+                if (this.expireIfDue(entry)) {
+                    expired++;
+                }
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Count nullifiers by status
+     */
+    count(status) {
+        this.sweep();
+        return this.repository.count('status', status);
+    }
+
+    /**
+     * Helper methods
+     */
+    settle(nullifier, status, details) {
+        // Re-check after the asynchronous verification so the update is atomic
+        this.inFlight.delete(nullifier);
+        const result = this.check(nullifier);
+        if (!result.accepted) {
+            return result;
+        }
+
+        let entry = result.entry;
+        if (!entry) {
+            entry = {
+                nullifier,
+                credentialId: details.credentialId,
+                scope: details.scope,
+                issuedAt: Date.now(),
+                expiresAt: null,
+                history: []
+            };
+        }
+
+        if (details.scope !== undefined) {
+            entry.scope = details.scope;
+        }
+
+        this.transition(entry, status);
+        return { accepted: true, entry };
+    }
+
+    expireIfDue(entry) {
+        const open = entry.status === NULLIFIER_STATUS.ISSUED || entry.status === NULLIFIER_STATUS.VERIFIED;
+        if (open && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.transition(entry, NULLIFIER_STATUS.EXPIRED, 'expired');
+            return true;
+        }
+        return false;
+    }
+
+    transition(entry, status, reason) {
+        const now = Date.now();
+        entry.status = status;
+        entry[`${status}At`] = now;
+        if (reason) {
+            entry.reason = reason;
+        }
+        entry.history.push(reason ? { status, at: now, reason } : { status, at: now });
+        this.repository.save(entry);
+    }
+
+    reject(entry, reason) {
+        return {
+            accepted: false,
+            reason,
+            error: REJECTION_REASONS[reason] || reason,
+            status: entry ? entry.status : null,
+            entry
+        };
+    }
+}
+
+module.exports = NullifierRegistry;
+module.exports.NULLIFIER_STATUS = NULLIFIER_STATUS;
+module.exports.REJECTION_REASONS = REJECTION_REASONS;
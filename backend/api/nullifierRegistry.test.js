@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const NullifierRegistry = require('./nullifierRegistry');
+const { NULLIFIER_STATUS } = NullifierRegistry;
+
+test('an issued nullifier can be verified, then spent once', () => {
+    const registry = new NullifierRegistry();
+    registry.issue('0x1', { credentialId: 'c1', scope: 's' });
+
+    assert.equal(registry.claim('0x1').accepted, true);
+    assert.equal(registry.markVerified('0x1').entry.status, NULLIFIER_STATUS.VERIFIED);
+
+    assert.equal(registry.claim('0x1').accepted, true);
+    assert.equal(registry.spend('0x1').entry.status, NULLIFIER_STATUS.SPENT);
+
+    const again = registry.check('0x1');
+    assert.equal(again.accepted, false);
+    assert.equal(again.reason, 'already_spent');
+    assert.equal(registry.issue('0x1').accepted, false);
+});
+
+test('concurrent claims of one nullifier are rejected until released', () => {
+    const registry = new NullifierRegistry();
+    registry.issue('0x1');
+
+    assert.equal(registry.claim('0x1').accepted, true);
+    assert.equal(registry.claim('0x1').reason, 'verification_in_progress');
+
+    registry.release('0x1');
+    assert.equal(registry.claim('0x1').accepted, true);
+});
+
+test('nullifiers expire after their lifetime and can be re-issued', () => {
+    const registry = new NullifierRegistry();
+    const { entry } = registry.issue('0x1', { ttl: 1 });
+    registry.repository.save({ ...entry, expiresAt: Date.now() - 1 });
+
+    assert.equal(registry.check('0x1').reason, 'expired');
+    assert.equal(registry.count(NULLIFIER_STATUS.EXPIRED), 1);
+
+    const reissued = registry.issue('0x1', { ttl: 0 });
+    assert.equal(reissued.accepted, true);
+    assert.equal(reissued.entry.status, NULLIFIER_STATUS.ISSUED);
+    assert.equal(reissued.entry.expiresAt, null);
+});
+
+test('expiring a nullifier records the reason', () => {
+    const registry = new NullifierRegistry();
+    registry.issue('0x1');
+
+    assert.equal(registry.expire('0x1', 'credential_revoked'), true);
+    assert.equal(registry.expire('0x1'), false);
+
+    const result = registry.check('0x1');
+    assert.equal(result.reason, 'credential_revoked');
+    assert.equal(result.error, 'Credential revoked');
+    assert.equal(registry.issue('0x1').reason, 'credential_revoked');
+});
+
+test('proofs generated elsewhere are recorded when settled', () => {
+    const registry = new NullifierRegistry();
+
+    assert.deepEqual(registry.check('0x2'), { accepted: true, entry: null });
+    registry.claim('0x2');
+    const settled = registry.spend('0x2', { credentialId: 'c2', scope: 's' });
+    assert.equal(settled.entry.status, NULLIFIER_STATUS.SPENT);
+    assert.equal(registry.get('0x2').scope, 's');
+});
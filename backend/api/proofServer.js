@@ -1,122 +1,91 @@
 const express = require('express');
 const cors = require('cors');
-const { groth16 } = require('snarkjs');
-const ethers = require('ethers');
+const VerificationService = require('./verificationService');
+const CredentialIssuer = require('../identity/credentialIssuer');
+const IssuerRegistry = require('../identity/issuerRegistry');
+const ApplicationWorkflow = require('./applicationWorkflow');
+const DocumentVault = require('../identity/documentVault');
+const WalletAuth = require('./walletAuth');
+const StaffAuth = require('./staffAuth');
+const { issueAndRegister } = require('./issuance');
+const { createKYCProvider } = require('../identity/kycProviders');
+const { createStore } = require('../storage');
+const { createProofRouter } = require('./routes/proofs');
+const { createCredentialRouter } = require('./routes/credentials');
+const { createRegistryRouter } = require('./routes/registry');
+const { createDenyListRouter } = require('./routes/denyLists');
+const { createCircuitRouter } = require('./routes/circuits');
+const { createKYCCheckRouter } = require('./routes/kycChecks');
+const { createApplicationRouter } = require('./routes/applications');
+const { createDocumentRouter } = require('./routes/documents');
+const { createTemplateRouter } = require('./routes/templates');
+const { createIssuerRouter } = require('./routes/issuers');
+const { createAuthRouter } = require('./routes/auth');
 
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-// Mock database for KYC credentials
-const credentialsDB = new Map();
-
-// Endpoint to generate zkProof
-app.post('/api/generate-proof', async (req, res) => {
-    try {
-        const { userId, verificationData, circuitInputs } = req.body;
-        
-        // In production: Verify user has valid KYC credentials
-        // Generate zk-SNARK proof
-        const { proof, publicSignals } = await generateZKProof(circuitInputs);
-        
-        // Generate nullifier to prevent proof reuse
-        const nullifier = generateNullifier(userId, verificationData.timestamp);
-        
-        // Store proof reference (not the sensitive data)
-        credentialsDB.set(nullifier, {
-            userId,
-            verifiedAt: Date.now(),
-            expiry: Date.now() + 365 * 24 * 60 * 60 * 1000, // 1 year
-            publicSignals
-        });
-        
-        res.json({
-            success: true,
-            proof,
-            publicSignals,
-            nullifier,
-            verifierContract: process.env.VERIFIER_CONTRACT_ADDRESS
-        });
-    } catch (error) {
-        console.error('Proof generation error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Endpoint to verify proof
-app.post('/api/verify-proof', async (req, res) => {
-    try {
-        const { proof, publicSignals, nullifier } = req.body;
-        
-        // Check if proof was already used
-        if (credentialsDB.has(nullifier)) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Proof already used' 
-            });
-        }
-        
-        // Verify the zkProof (this would use actual circuit verification)
-        const isValid = await verifyZKProof(proof, publicSignals);
-        
-        if (isValid) {
-            res.json({
-                success: true,
-                message: 'Proof verified successfully',
-                verificationId: nullifier
-            });
-        } else {
-            res.status(400).json({
-                success: false,
-                error: 'Invalid proof'
-            });
-        }
-    } catch (error) {
-        console.error('Proof verification error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Trusted issuer endpoint (simplified)
-app.post('/api/issue-credential', async (req, res) => {
-    // This would be called by trusted KYC providers after manual verification
-    const { userId, credentialData, expiry } = req.body;
+/**
+ * Create the Express application
+ *
+ * Services can be injected so tests can mount the app with their own instances.
+ */
+function createApp({ config = {}, verificationService, credentialIssuer, applicationWorkflow, documentVault, walletAuth, staffAuth } = {}) {
+    const injected = verificationService && credentialIssuer && applicationWorkflow && documentVault;
+    const store = injected ? null : createStore(config.storage);
     
-    // Issue credential (in production would be signed JWT or similar)
-    const credential = {
-        userId,
-        issuedAt: Date.now(),
-        expiry,
-        credentialRoot: ethers.utils.keccak256(
-            ethers.utils.toUtf8Bytes(JSON.stringify(credentialData))
-        ),
-        issuer: 'trusted-kyc-provider'
+    // Issuing and verification share one issuer registry
+    const issuers = credentialIssuer ? credentialIssuer.issuers : new IssuerRegistry({
+        repository: store.issuers,
+        keyRepository: store.issuerKeys,
+        masterKey: (config.issuer || {}).masterKey,
+        masterKeyFile: (config.issuer || {}).masterKeyFile
+    });
+    const services = {
+        verificationService: verificationService || new VerificationService({ store, issuers }),
+        credentialIssuer: credentialIssuer || new CredentialIssuer(config.issuer || {}, {
+            store,
+            issuers,
+            kycProvider: createKYCProvider(config.kyc)
+        })
     };
+    services.applicationWorkflow = applicationWorkflow || new ApplicationWorkflow({
+        repository: store.applications,
+        issueCredential: (application, issuerId) => issueAndRegister(services, application, issuerId)
+    });
+    services.documentVault = documentVault || new DocumentVault({
+        ...config.documents,
+        repository: store.documents,
+        accessLog: store.documentAccess,
+        keyRepository: store.documentKeys
+    });
+    services.walletAuth = walletAuth || new WalletAuth(config.auth);
+    services.staffAuth = staffAuth || new StaffAuth(config.staff);
     
-    // Store credential (encrypted in production)
-    credentialsDB.set(userId, credential);
+    const app = express();
+    app.use(cors({ origin: config.corsOrigins || '*' }));
+    // The raw body is kept for checking signed provider callbacks
+    app.use(express.json({ verify: (req, res, body) => { req.rawBody = body; } }));
     
-    res.json({
-        success: true,
-        credentialId: credential.credentialRoot
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', timestamp: Date.now() });
     });
-});
-
-async function generateZKProof(inputs) {
-   
     
-    return {
-        proof: {
-            a: ['0x123...', '0x456...'],
-            b: [['0x789...', '0xabc...'], ['0xdef...', '0x123...']],
-            c: ['0x456...', '0x789...']
-        },
-        publicSignals: inputs.publicInputs
-    };
+    app.use('/api', createAuthRouter(services));
+    app.use('/api', createProofRouter(services));
+    app.use('/api', createCredentialRouter(services));
+    app.use('/api', createRegistryRouter(services));
+    app.use('/api', createDenyListRouter(services));
+    app.use('/api', createCircuitRouter(services));
+    app.use('/api', createKYCCheckRouter(services));
+    app.use('/api', createApplicationRouter(services));
+    app.use('/api', createDocumentRouter(services));
+    app.use('/api', createTemplateRouter(services));
+    app.use('/api', createIssuerRouter(services));
+    
+    app.use((req, res) => {
+        res.status(404).json({ success: false, error: 'Not found' });
+    });
+    
+    app.locals.services = services;
+    return app;
 }
 
-async function verifyZKProof(proof, publicSignals) {
-    // In production: Use snarkjs to verify proof
-    // This is a mock implementation
-    return proof && publicSignals && publicSignals.length > 0;
-}
+module.exports = { createApp };
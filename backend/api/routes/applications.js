@@ -0,0 +1,154 @@
+const express = require('express');
+const { requireWallet } = require('../walletAuth');
+const { STAFF_ROLES, requireStaff } = require('../staffAuth');
+
+/**
+ * HTTP status for a workflow error
+ */
+function applicationErrorStatus(error) {
+    if (error.message === 'Application not found') return 404;
+    if (error.message.endsWith('required') || error.message.startsWith('Invalid user data')) return 400;
+    if (error.message.startsWith('Invalid holderCommitment')) return 400;
+    if (/^Issuer \S+ not found$/.test(error.message)) return 400;
+    if (error.message.startsWith('Required KYC checks not passed') || error.message.startsWith('Only the applicant')) return 403;
+    return 409;
+}
+
+/**
+ * Routes for KYC applications: applicants submit and poll, reviewers work the queue
+ *
+ * Applicant routes need a wallet session and act on the signed-in address;
+ * review routes need a reviewer key and act as its principal.
+ */
+function createApplicationRouter({ applicationWorkflow, credentialIssuer, walletAuth, staffAuth }) {
+    const router = express.Router();
+    const applicant = requireWallet(walletAuth);
+    const reviewer = requireStaff(staffAuth, STAFF_ROLES.REVIEWER);
+    
+    const fail = (res, label, error) => {
+        console.error(`${label} error:`, error);
+        res.status(applicationErrorStatus(error)).json({ success: false, error: error.message });
+    };
+    
+    // Applicant submits attributes for a credential template
+    router.post('/applications', applicant, (req, res) => {
+        try {
+            const { templateId, credentialData, holderCommitment } = req.body;
+            const application = applicationWorkflow.submit({ userAddress: req.userAddress, templateId, credentialData, holderCommitment });
+            res.status(201).json({ success: true, application: applicationWorkflow.toApplicantView(application) });
+        } catch (error) {
+            fail(res, 'Application submission', error);
+        }
+    });
+    
+    // The signed-in applicant's applications, newest first
+    router.get('/applications', applicant, (req, res) => {
+        const applications = applicationWorkflow.listForApplicant(req.userAddress);
+        res.json({ success: true, applications: applications.map(a => applicationWorkflow.toApplicantView(a)) });
+    });
+    
+    // Status polled by the applicant
+    router.get('/applications/:id', applicant, (req, res) => {
+        try {
+            const application = applicationWorkflow.ownedBy(req.params.id, req.userAddress);
+            res.json({ success: true, application: applicationWorkflow.toApplicantView(application) });
+        } catch (error) {
+            fail(res, 'Application status', error);
+        }
+    });
+    
+    // The approved application's credential, for the holder's wallet
+    router.get('/applications/:id/credential', applicant, (req, res) => {
+        try {
+            const application = applicationWorkflow.ownedBy(req.params.id, req.userAddress);
+            res.set('Cache-Control', 'no-store');
+            res.json({ success: true, ...applicationWorkflow.toHolderCredential(application) });
+        } catch (error) {
+            fail(res, 'Application credential', error);
+        }
+    });
+    
+    // Applicant answers a request for information
+    router.post('/applications/:id/info', applicant, (req, res) => {
+        try {
+            const { credentialData, message } = req.body;
+            const application = applicationWorkflow.provideInfo(req.params.id, req.userAddress, { credentialData, message });
+            res.json({ success: true, application: applicationWorkflow.toApplicantView(application) });
+        } catch (error) {
+            fail(res, 'Application info', error);
+        }
+    });
+    
+    // Reviewer queue, with the applications assigned to the signed-in reviewer
+    router.get('/reviews/queue', reviewer, (req, res) => {
+        const applications = applicationWorkflow.queue({ reviewer: req.staff.name });
+        res.json({ success: true, applications });
+    });
+    
+    // Full application with notes, audit trail and outstanding KYC checks
+    router.get('/reviews/applications/:id', reviewer, (req, res) => {
+        try {
+            const application = applicationWorkflow.get(req.params.id);
+            res.json({
+                success: true,
+                application,
+                checks: credentialIssuer.getMissingChecks(application.userAddress, application.templateId, application.credentialData)
+            });
+        } catch (error) {
+            fail(res, 'Application review', error);
+        }
+    });
+    
+    // Take an application, or hand it to another reviewer ({ reviewer? })
+    router.post('/reviews/applications/:id/assign', reviewer, (req, res) => {
+        try {
+            const application = applicationWorkflow.assign(req.params.id, req.body?.reviewer || req.staff.name, req.staff.name);
+            res.json({ success: true, application });
+        } catch (error) {
+            fail(res, 'Application assignment', error);
+        }
+    });
+    
+    router.post('/reviews/applications/:id/notes', reviewer, (req, res) => {
+        try {
+            const { text, internal } = req.body;
+            const application = applicationWorkflow.addNote(req.params.id, { author: req.staff.name, text, internal });
+            res.json({ success: true, application });
+        } catch (error) {
+            fail(res, 'Application note', error);
+        }
+    });
+    
+    router.post('/reviews/applications/:id/request-info', reviewer, (req, res) => {
+        try {
+            const application = applicationWorkflow.requestInfo(req.params.id, req.staff.name, req.body.message);
+            res.json({ success: true, application });
+        } catch (error) {
+            fail(res, 'Information request', error);
+        }
+    });
+    
+    // Approval issues the credential
+    router.post('/reviews/applications/:id/approve', reviewer, async (req, res) => {
+        try {
+            const { note, issuerId } = req.body;
+            const application = await applicationWorkflow.approve(req.params.id, req.staff.name, note, issuerId);
+            res.json({ success: true, application });
+        } catch (error) {
+            fail(res, 'Application approval', error);
+        }
+    });
+    
+    router.post('/reviews/applications/:id/reject', reviewer, (req, res) => {
+        try {
+            const application = applicationWorkflow.reject(req.params.id, req.staff.name, req.body.reason);
+            res.json({ success: true, application });
+        } catch (error) {
+            fail(res, 'Application rejection', error);
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createApplicationRouter, applicationErrorStatus };
@@ -0,0 +1,194 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const ethers = require('ethers');
+const { createApp } = require('../proofServer');
+const { computeHolderCommitment } = require('../../../circuits/hashing.mjs');
+const { computeCredentialCommitment } = require('../../identity/credentialRegistry');
+
+const credentialData = {
+    fullName: 'Ada Lovelace',
+    dateOfBirth: '1990-01-01',
+    country: 'US',
+    documentType: 'passport',
+    documentNumber: 'P1234567'
+};
+const holderSecret = '0x1234';
+const holderCommitment = computeHolderCommitment(holderSecret);
+
+let app;
+let services;
+
+beforeEach(async () => {
+    app = createApp({ config: { kyc: { provider: 'stub' } } });
+    services = app.locals.services;
+    await services.verificationService.initialize({});
+});
+
+/**
+ * Sign in with a wallet and return its Authorization header
+ */
+async function signIn(wallet) {
+    const challenge = await request(app).post('/api/auth/challenge').send({ userAddress: wallet.address });
+    const signature = await wallet.signMessage(challenge.body.message);
+    const session = await request(app).post('/api/auth/session').send({ userAddress: wallet.address, signature });
+    assert.equal(session.status, 200, session.body.error);
+    return `Bearer ${session.body.token}`;
+}
+
+async function approve(applicationId, address) {
+    for (const type of ['documentVerification', 'livenessCheck']) {
+        await services.credentialIssuer.kycChecks.run(address, type, { subject: credentialData });
+    }
+    services.applicationWorkflow.assign(applicationId, 'alice');
+    return services.applicationWorkflow.approve(applicationId, 'alice');
+}
+
+test('applicant routes need a wallet session', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const submitted = services.applicationWorkflow.submit({ userAddress: wallet.address, credentialData, holderCommitment });
+
+    for (const path of ['/api/applications', `/api/applications/${submitted.id}`, `/api/applications/${submitted.id}/credential`]) {
+        const res = await request(app).get(path).query({ userAddress: wallet.address });
+        assert.equal(res.status, 401, path);
+    }
+    const res = await request(app).post('/api/applications').send({ userAddress: wallet.address, credentialData });
+    assert.equal(res.status, 401);
+
+    const upload = await request(app).post(`/api/applications/${submitted.id}/documents`)
+        .query({ userAddress: wallet.address, documentType: 'passport' })
+        .set('Content-Type', 'image/png')
+        .send(Buffer.from('not a png'));
+    assert.equal(upload.status, 401);
+});
+
+test('a session needs a signature from the address', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const other = ethers.Wallet.createRandom();
+
+    const challenge = await request(app).post('/api/auth/challenge').send({ userAddress: wallet.address });
+    const forged = await request(app).post('/api/auth/session')
+        .send({ userAddress: wallet.address, signature: await other.signMessage(challenge.body.message) });
+    assert.equal(forged.status, 401);
+
+    // The challenge was used up by the failed attempt
+    const replay = await request(app).post('/api/auth/session')
+        .send({ userAddress: wallet.address, signature: await wallet.signMessage(challenge.body.message) });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.error, 'No open challenge for this address');
+
+    const invalid = await request(app).post('/api/auth/challenge').send({ userAddress: 'nobody' });
+    assert.equal(invalid.status, 400);
+});
+
+test('applicants only see their own applications, without secrets or attributes', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const auth = await signIn(wallet);
+
+    const submitted = await request(app).post('/api/applications').set('Authorization', auth)
+        .send({ userAddress: '0x0000000000000000000000000000000000000001', credentialData, holderCommitment });
+    assert.equal(submitted.status, 201);
+    assert.equal(submitted.body.application.userAddress, wallet.address.toLowerCase());
+    assert.equal(submitted.body.application.credentialData, undefined);
+
+    const { id } = submitted.body.application;
+    await approve(id, wallet.address);
+
+    const status = await request(app).get(`/api/applications/${id}`).set('Authorization', auth);
+    assert.equal(status.body.application.status, 'approved');
+    assert.deepEqual(Object.keys(status.body.application.credential).sort(), ['credentialId', 'issuer', 'template']);
+    const serialized = JSON.stringify(status.body);
+    for (const secret of ['holderSecret', 'disclosureKey', 'credentialData', credentialData.documentNumber]) {
+        assert.ok(!serialized.includes(secret), secret);
+    }
+
+    const list = await request(app).get('/api/applications').set('Authorization', auth);
+    assert.deepEqual(list.body.applications.map(a => a.id), [id]);
+
+    // Another wallet cannot read it
+    const other = await signIn(ethers.Wallet.createRandom());
+    const denied = await request(app).get(`/api/applications/${id}`).set('Authorization', other);
+    assert.equal(denied.status, 403);
+    const deniedCredential = await request(app).get(`/api/applications/${id}/credential`).set('Authorization', other);
+    assert.equal(deniedCredential.status, 403);
+    const empty = await request(app).get('/api/applications').set('Authorization', other);
+    assert.deepEqual(empty.body.applications, []);
+});
+
+test('the holder collects the credential with their session', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const auth = await signIn(wallet);
+    const { body } = await request(app).post('/api/applications').set('Authorization', auth).send({ credentialData, holderCommitment });
+
+    const early = await request(app).get(`/api/applications/${body.application.id}/credential`).set('Authorization', auth);
+    assert.equal(early.status, 409);
+
+    await approve(body.application.id, wallet.address);
+    const res = await request(app).get(`/api/applications/${body.application.id}/credential`).set('Authorization', auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['cache-control'], 'no-store');
+    assert.equal(res.body.credential.credentialSubject.id, `did:ethr:${wallet.address.toLowerCase()}`);
+    assert.deepEqual(res.body.attributes, credentialData);
+    assert.equal(res.body.disclosureKey, undefined);
+});
+
+test('the holder keeps its secret and only submits its commitment', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const auth = await signIn(wallet);
+
+    const missing = await request(app).post('/api/applications').set('Authorization', auth).send({ credentialData });
+    assert.equal(missing.status, 400);
+    const invalid = await request(app).post('/api/applications').set('Authorization', auth)
+        .send({ credentialData, holderCommitment: 'not a field element' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Invalid holderCommitment: expected a field element');
+
+    const { body } = await request(app).post('/api/applications').set('Authorization', auth).send({ credentialData, holderCommitment });
+    await approve(body.application.id, wallet.address);
+    const res = await request(app).get(`/api/applications/${body.application.id}/credential`).set('Authorization', auth);
+    assert.equal(res.body.holderSecret, undefined);
+
+    // The registry leaf is the one the holder computes from its secret
+    const { credentialId } = res.body;
+    const proof = await request(app).get(`/api/registry/proof/${credentialId}`);
+    assert.equal(BigInt(proof.body.leaf), BigInt(computeCredentialCommitment({ ...credentialData, credentialId, secret: holderSecret })));
+
+    await assert.rejects(services.verificationService.generateProof(credentialId, {}), /Only the holder can prove this credential/);
+});
+
+test('an application being approved cannot be changed until its credential is issued', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const { applicationWorkflow } = services;
+    const { id } = applicationWorkflow.submit({ userAddress: wallet.address, credentialData, holderCommitment });
+    for (const type of ['documentVerification', 'livenessCheck']) {
+        await services.credentialIssuer.kycChecks.run(wallet.address, type, { subject: credentialData });
+    }
+    applicationWorkflow.assign(id, 'alice');
+
+    // Hold issuance until every competing change has been tried
+    const issue = applicationWorkflow.issueCredential;
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    applicationWorkflow.issueCredential = async (...args) => {
+        await held;
+        return issue(...args);
+    };
+
+    const approving = applicationWorkflow.approve(id, 'alice');
+    const changes = [
+        () => applicationWorkflow.approve(id, 'alice'),
+        () => applicationWorkflow.reject(id, 'alice', 'changed my mind'),
+        () => applicationWorkflow.requestInfo(id, 'alice', 'more please'),
+        () => applicationWorkflow.assign(id, 'bob', 'alice'),
+        () => applicationWorkflow.provideInfo(id, wallet.address, { credentialData: { fullName: 'Mallory' } })
+    ];
+    for (const change of changes) {
+        await assert.rejects(async () => change(), /Application approval already in progress/);
+    }
+
+    release();
+    const approved = await approving;
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.reviewer, 'alice');
+    assert.equal(approved.credentialData.fullName, credentialData.fullName);
+});
@@ -0,0 +1,32 @@
+const express = require('express');
+
+/**
+ * Routes for holders to sign in with their wallet
+ */
+function createAuthRouter({ walletAuth }) {
+    const router = express.Router();
+    
+    // Message to sign with the wallet ({ userAddress })
+    router.post('/auth/challenge', (req, res) => {
+        try {
+            res.json({ success: true, ...walletAuth.challenge(req.body.userAddress) });
+        } catch (error) {
+            res.status(error.message.startsWith('Too many') ? 503 : 400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Bearer token for a signed challenge ({ userAddress, signature })
+    router.post('/auth/session', (req, res) => {
+        try {
+            const { userAddress, signature } = req.body;
+            const { token, expiresAt } = walletAuth.createSession(userAddress, signature);
+            res.json({ success: true, token, userAddress: userAddress.toLowerCase(), expiresAt });
+        } catch (error) {
+            res.status(error.message.endsWith('required') ? 400 : 401).json({ success: false, error: error.message });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,46 @@
+const express = require('express');
+const { STAFF_ROLES, requireStaff } = require('../staffAuth');
+
+/**
+ * Routes listing registered circuits and managing their lifecycle (admin key required)
+ */
+function createCircuitRouter({ verificationService, staffAuth }) {
+    const router = express.Router();
+    const circuits = verificationService.circuitRegistry;
+    const admin = requireStaff(staffAuth, STAFF_ROLES.ADMIN);
+    
+    // Every registered circuit with its artifact hashes and status
+    router.get('/circuits', (req, res) => {
+        res.json({ circuits: circuits.list() });
+    });
+    
+    router.get('/circuits/:circuitId', (req, res) => {
+        const circuit = circuits.get(req.params.circuitId);
+        if (!circuit) {
+            return res.status(404).json({ success: false, error: `Unknown circuit: ${req.params.circuitId}` });
+        }
+        res.json(circuit);
+    });
+    
+    // Deprecated circuits still verify but responses flag them
+    router.post('/circuits/:circuitId/deprecate', admin, (req, res) => {
+        try {
+            res.json(circuits.deprecate(req.params.circuitId));
+        } catch (error) {
+            res.status(circuits.get(req.params.circuitId) ? 409 : 404).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Retired circuits are rejected for proving and verification
+    router.post('/circuits/:circuitId/retire', admin, (req, res) => {
+        try {
+            res.json(circuits.retire(req.params.circuitId));
+        } catch (error) {
+            res.status(circuits.get(req.params.circuitId) ? 409 : 404).json({ success: false, error: error.message });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createCircuitRouter };
@@ -0,0 +1,50 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createApp } = require('../proofServer');
+
+const circuitId = 'kyc_verification@1.0.0';
+
+let app;
+
+beforeEach(() => {
+    app = createApp({
+        config: {
+            staff: {
+                keys: [
+                    { name: 'ops', role: 'admin', key: 'admin-key' },
+                    { name: 'alice', role: 'reviewer', key: 'reviewer-key' }
+                ]
+            }
+        }
+    });
+    app.locals.services.verificationService.circuitRegistry.repository.save({
+        circuitId,
+        name: 'kyc_verification',
+        version: '1.0.0',
+        status: 'active'
+    });
+});
+
+for (const action of ['deprecate', 'retire']) {
+    test(`only admins can ${action} a circuit`, async () => {
+        const anonymous = await request(app).post(`/api/circuits/${circuitId}/${action}`);
+        assert.equal(anonymous.status, 401);
+        const reviewer = await request(app).post(`/api/circuits/${circuitId}/${action}`).set('X-API-Key', 'reviewer-key');
+        assert.equal(reviewer.status, 403);
+        assert.equal((await request(app).get(`/api/circuits/${circuitId}`)).body.status, 'active');
+
+        const admin = await request(app).post(`/api/circuits/${circuitId}/${action}`).set('X-API-Key', 'admin-key');
+        assert.equal(admin.status, 200);
+        assert.equal(admin.body.status, action === 'retire' ? 'retired' : 'deprecated');
+    });
+}
+
+test('retired circuits stay retired', async () => {
+    await request(app).post(`/api/circuits/${circuitId}/retire`).set('X-API-Key', 'admin-key');
+    const res = await request(app).post(`/api/circuits/${circuitId}/deprecate`).set('X-API-Key', 'admin-key');
+    assert.equal(res.status, 409);
+
+    const unknown = await request(app).post('/api/circuits/missing@1/retire').set('X-API-Key', 'admin-key');
+    assert.equal(unknown.status, 404);
+});
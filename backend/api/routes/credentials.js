@@ -0,0 +1,116 @@
+const express = require('express');
+const { requireWallet } = require('../walletAuth');
+const { STAFF_ROLES, requireStaff } = require('../staffAuth');
+
+/**
+ * Routes for verifying, exporting and revoking issued credentials
+ */
+function createCredentialRouter({ verificationService, credentialIssuer, walletAuth, staffAuth }) {
+    const router = express.Router();
+    const holder = requireWallet(walletAuth);
+    const reviewer = requireStaff(staffAuth, STAFF_ROLES.REVIEWER);
+    const admin = requireStaff(staffAuth, STAFF_ROLES.ADMIN);
+    
+    // Verify a credential document presented by its holder
+    router.post('/credentials/verify', async (req, res) => {
+        try {
+            const result = await credentialIssuer.verifyCredentialDocument(req.body.credential);
+            res.status(result.valid ? 200 : 400).json(result);
+        } catch (error) {
+            console.error('Credential verification error:', error);
+            res.status(500).json({ valid: false, error: error.message });
+        }
+    });
+    
+    // Import a VC-JWT or JSON-LD credential; other issuers' keys are passed as publicKey
+    router.post('/credentials/import', (req, res) => {
+        try {
+            const { credential, publicKey } = req.body;
+            if (!credential) {
+                return res.status(400).json({ valid: false, error: 'credential is required' });
+            }
+            
+            const result = credentialIssuer.importCredential(credential, { publicKey });
+            res.status(result.valid ? 200 : 400).json(result);
+        } catch (error) {
+            console.error('Credential import error:', error);
+            res.status(400).json({ valid: false, error: error.message });
+        }
+    });
+    
+    // Export an issued credential (?format=jwt|jsonld); only its holder, signed in with their wallet
+    router.get('/credentials/:credentialId/export', holder, (req, res) => {
+        try {
+            res.json(credentialIssuer.exportCredential(req.params.credentialId, req.query.format, req.userAddress));
+        } catch (error) {
+            console.error('Credential export error:', error);
+            const status = error.message === 'Credential not found' ? 404
+                : error.message.startsWith('Only the holder') ? 403 : 400;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Status and metadata of a credential, without its attributes
+    router.get('/credentials/:credentialId', async (req, res) => {
+        try {
+            const result = await credentialIssuer.verifyCredential(req.params.credentialId);
+            res.status(result.error === 'Credential not found' ? 404 : 200).json(result);
+        } catch (error) {
+            console.error('Credential verification error:', error);
+            res.status(500).json({ valid: false, error: error.message });
+        }
+    });
+    
+    // Revocation is permanent, so it needs a reviewer (or admin) key
+    router.post('/credentials/:credentialId/revoke', reviewer, async (req, res) => {
+        try {
+            const { credentialId } = req.params;
+            const result = credentialIssuer.revokeCredential(credentialId, req.body.reason);
+            await verificationService.revokeCredential(credentialId, req.body.reason);
+            
+            res.json(result);
+        } catch (error) {
+            console.error('Credential revocation error:', error);
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Suspension changes the signed status list, so it needs an admin key
+    router.post('/credentials/:credentialId/suspend', admin, (req, res) => {
+        try {
+            res.json(credentialIssuer.suspendCredential(req.params.credentialId, req.body.reason));
+        } catch (error) {
+            console.error('Credential suspension error:', error);
+            res.status(error.message === 'Credential not found' ? 404 : 409).json({ success: false, error: error.message });
+        }
+    });
+    
+    router.post('/credentials/:credentialId/reinstate', admin, (req, res) => {
+        try {
+            res.json(credentialIssuer.reinstateCredential(req.params.credentialId));
+        } catch (error) {
+            console.error('Credential reinstatement error:', error);
+            res.status(error.message === 'Credential not found' ? 404 : 409).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Signed Bitstring Status List credential, cacheable by verifiers
+    router.get('/status-lists/:purpose/:listId', async (req, res) => {
+        try {
+            const { purpose, listId } = req.params;
+            res.set('Cache-Control', 'public, max-age=300');
+            res.json(await credentialIssuer.getStatusListCredential(purpose, listId));
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Issuer public key and supported templates
+    router.get('/issuer', (req, res) => {
+        res.json(credentialIssuer.getPublicKeyInfo());
+    });
+    
+    return router;
+}
+
+module.exports = { createCredentialRouter };
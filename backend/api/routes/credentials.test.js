@@ -0,0 +1,159 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const ethers = require('ethers');
+const { createApp } = require('../proofServer');
+const { issueAndRegister } = require('../issuance');
+const { computeHolderCommitment } = require('../../../circuits/hashing.mjs');
+
+const userAddress = '0xabc0000000000000000000000000000000000001';
+const staff = [
+    { name: 'ops', role: 'admin', key: 'admin-key' },
+    { name: 'alice', role: 'reviewer', key: 'reviewer-key' }
+];
+const credentialData = {
+    fullName: 'Ada Lovelace',
+    dateOfBirth: '1990-01-01',
+    country: 'US',
+    documentType: 'passport',
+    documentNumber: 'P1234567'
+};
+
+let app;
+let services;
+
+beforeEach(async () => {
+    app = createApp({ config: { kyc: { provider: 'stub' }, staff: { keys: staff } } });
+    services = app.locals.services;
+    await services.verificationService.initialize({});
+});
+
+async function issue() {
+    const { credentialIssuer } = services;
+    for (const type of ['documentVerification', 'livenessCheck']) {
+        await credentialIssuer.kycChecks.run(userAddress, type, { subject: credentialData });
+    }
+    return issueAndRegister(services, { userAddress, credentialData, templateId: 'basic_kyc', holderCommitment: computeHolderCommitment('0x01') });
+}
+
+test('revoking a credential revokes that credential, not the holder\'s latest', async () => {
+    const first = await issue();
+    const second = await issue();
+
+    const res = await request(app).post(`/api/credentials/${first.credentialId}/revoke`).set('X-API-Key', 'reviewer-key').send({ reason: 'fraud' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.credentialId, first.credentialId);
+
+    const { verificationService } = services;
+    assert.equal(verificationService.getCredentialById(first.credentialId).revoked, true);
+    assert.ok(!verificationService.getCredentialById(second.credentialId).revoked);
+
+    // Only the revoked credential's registry leaf is zeroed
+    const removed = await request(app).get(`/api/registry/proof/${first.credentialId}`);
+    assert.equal(removed.status, 404);
+    const kept = await request(app).get(`/api/registry/proof/${second.credentialId}`);
+    assert.equal(kept.status, 200);
+
+    const status = await request(app).get(`/api/credentials/${second.credentialId}`);
+    assert.equal(status.body.valid, true);
+});
+
+test('revoking a credential needs a staff key', async () => {
+    const { credentialId } = await issue();
+
+    const anonymous = await request(app).post(`/api/credentials/${credentialId}/revoke`).send({ reason: 'fraud' });
+    assert.equal(anonymous.status, 401);
+    const unknown = await request(app).post(`/api/credentials/${credentialId}/revoke`).set('X-API-Key', 'mallory-key').send({});
+    assert.equal(unknown.status, 401);
+
+    assert.ok(!services.verificationService.getCredentialById(credentialId).revoked);
+    const status = await request(app).get(`/api/credentials/${credentialId}`);
+    assert.equal(status.body.valid, true);
+});
+
+test('revoking an unknown credential is a 404', async () => {
+    const res = await request(app).post('/api/credentials/missing/revoke').set('X-API-Key', 'admin-key').send({});
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Credential not found');
+});
+
+test('revocation in the verification service is by credential ID', async () => {
+    const first = await issue();
+    const second = await issue();
+    const { verificationService } = services;
+
+    const result = await verificationService.revokeCredential(first.credentialId, 'test');
+    assert.equal(result.credentialId, first.credentialId);
+    await assert.rejects(verificationService.credentialRegistry.getProof(first.credentialId), /removed/);
+    await verificationService.credentialRegistry.getProof(second.credentialId);
+
+    assert.deepEqual(await verificationService.revokeCredential('missing'), { success: false, error: 'Credential not found' });
+});
+
+test('looking up a credential returns its status, not its attributes', async () => {
+    const { credentialId } = await issue();
+
+    const res = await request(app).get(`/api/credentials/${credentialId}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.valid, true);
+    assert.equal(res.body.status, 'active');
+    assert.equal(res.body.template, 'basic_kyc');
+    const serialized = JSON.stringify(res.body);
+    for (const value of [credentialData.fullName, credentialData.dateOfBirth, credentialData.documentNumber, userAddress]) {
+        assert.ok(!serialized.includes(value), value);
+    }
+});
+
+test('only the holder can export a credential', async () => {
+    const { credentialId } = await issue();
+
+    const anonymous = await request(app).get(`/api/credentials/${credentialId}/export`);
+    assert.equal(anonymous.status, 401);
+
+    const { walletAuth } = services;
+    const other = ethers.Wallet.createRandom();
+    const { message } = walletAuth.challenge(other.address);
+    const { token } = walletAuth.createSession(other.address, await other.signMessage(message));
+    const denied = await request(app).get(`/api/credentials/${credentialId}/export`).set('Authorization', `Bearer ${token}`);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.error, 'Only the holder can export a credential');
+});
+
+test('suspending and reinstating need an admin key', async () => {
+    const { credentialId } = await issue();
+
+    for (const action of ['suspend', 'reinstate']) {
+        const anonymous = await request(app).post(`/api/credentials/${credentialId}/${action}`).send({ reason: 'review' });
+        assert.equal(anonymous.status, 401, action);
+        const reviewer = await request(app).post(`/api/credentials/${credentialId}/${action}`).set('X-API-Key', 'reviewer-key').send({ reason: 'review' });
+        assert.equal(reviewer.status, 403, action);
+    }
+    assert.equal((await request(app).get(`/api/credentials/${credentialId}`)).body.status, 'active');
+
+    const suspended = await request(app).post(`/api/credentials/${credentialId}/suspend`).set('X-API-Key', 'admin-key').send({ reason: 'review' });
+    assert.equal(suspended.status, 200);
+    assert.equal((await request(app).get(`/api/credentials/${credentialId}`)).body.error, 'Credential suspended');
+
+    // A suspension is not undone without an admin key either
+    const undo = await request(app).post(`/api/credentials/${credentialId}/reinstate`).set('X-API-Key', 'reviewer-key');
+    assert.equal(undo.status, 403);
+    const reinstated = await request(app).post(`/api/credentials/${credentialId}/reinstate`).set('X-API-Key', 'admin-key');
+    assert.equal(reinstated.status, 200);
+    assert.equal((await request(app).get(`/api/credentials/${credentialId}`)).body.status, 'active');
+});
+
+test('a signed credential that cannot be registered is revoked', async () => {
+    const { credentialIssuer, verificationService } = services;
+    verificationService.credentials.save = () => {
+        throw new Error('Registry unavailable');
+    };
+
+    await assert.rejects(issue(), /Registry unavailable/);
+
+    const [record] = credentialIssuer.issuedCredentials.list();
+    assert.equal(record.status, 'revoked');
+    assert.equal(record.revocationReason, 'Registration failed: Registry unavailable');
+    const status = await request(app).get(`/api/credentials/${record.credentialId}`);
+    assert.equal(status.body.error, 'Credential revoked');
+    await assert.rejects(verificationService.credentialRegistry.getProof(record.credentialId), /removed from registry/);
+});
@@ -0,0 +1,45 @@
+const express = require('express');
+const { STAFF_ROLES, requireStaff } = require('../staffAuth');
+
+/**
+ * Routes publishing deny lists (e.g. sanctioned countries) and their roots
+ */
+function createDenyListRouter({ verificationService, staffAuth }) {
+    const router = express.Router();
+    const denyLists = verificationService.denyLists;
+    const admin = requireStaff(staffAuth, STAFF_ROLES.ADMIN);
+    
+    // Every published list with its current root
+    router.get('/deny-lists', (req, res) => {
+        res.json({ lists: denyLists.list() });
+    });
+    
+    // One list: its country codes are needed to build non-membership paths
+    router.get('/deny-lists/:id', (req, res) => {
+        try {
+            res.json(denyLists.get(req.params.id));
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Publish a new version of a list (admin key required)
+    router.put('/deny-lists/:id', admin, (req, res) => {
+        try {
+            const { countries } = req.body || {};
+            
+            if (!Array.isArray(countries)) {
+                return res.status(400).json({ success: false, error: 'countries must be an array' });
+            }
+            
+            res.json(denyLists.publish(req.params.id, countries));
+        } catch (error) {
+            console.error('Deny list publish error:', error);
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createDenyListRouter };
@@ -0,0 +1,40 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createApp } = require('../proofServer');
+
+let app;
+
+beforeEach(async () => {
+    app = createApp({
+        config: {
+            staff: {
+                keys: [
+                    { name: 'ops', role: 'admin', key: 'admin-key' },
+                    { name: 'alice', role: 'reviewer', key: 'reviewer-key' }
+                ]
+            }
+        }
+    });
+    await app.locals.services.verificationService.initialize({ denyLists: { sanctions: ['CU', 'IR', 'KP', 'SY'] } });
+});
+
+test('only admins can publish a deny list', async () => {
+    const before = await request(app).get('/api/deny-lists/sanctions');
+
+    const anonymous = await request(app).put('/api/deny-lists/sanctions').send({ countries: [] });
+    assert.equal(anonymous.status, 401);
+    const reviewer = await request(app).put('/api/deny-lists/sanctions').set('X-API-Key', 'reviewer-key').send({ countries: [] });
+    assert.equal(reviewer.status, 403);
+    assert.deepEqual((await request(app).get('/api/deny-lists/sanctions')).body, before.body);
+
+    const admin = await request(app).put('/api/deny-lists/sanctions').set('X-API-Key', 'admin-key').send({ countries: ['IR', 'KP'] });
+    assert.equal(admin.status, 200);
+    assert.notEqual(admin.body.root, before.body.root);
+});
+
+test('publishing needs a list of countries', async () => {
+    const res = await request(app).put('/api/deny-lists/sanctions').set('X-API-Key', 'admin-key').send({ countries: 'IR' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'countries must be an array');
+});
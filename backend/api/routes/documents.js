@@ -0,0 +1,113 @@
+const express = require('express');
+const { DOCUMENT_TYPES } = require('../../identity/documentSanitizer');
+const { applicationErrorStatus } = require('./applications');
+const { requireWallet } = require('../walletAuth');
+const { STAFF_ROLES, requireStaff } = require('../staffAuth');
+
+/**
+ * HTTP status for an upload or document access error
+ */
+function documentErrorStatus(error) {
+    if (error.message === 'Document not found') return 404;
+    if (error.message.startsWith('Document exceeds')) return 413;
+    if (error.message.startsWith('Unsupported document type') || error.message.startsWith('Document content does not match')) return 415;
+    if (error.message.startsWith('Document was deleted')) return 410;
+    if (error.message.startsWith('Document is') || error.message.startsWith('Invalid JPEG')) return 400;
+    return applicationErrorStatus(error);
+}
+
+/**
+ * Routes for identity documents attached to KYC applications
+ */
+function createDocumentRouter({ documentVault, applicationWorkflow, walletAuth, staffAuth }) {
+    const router = express.Router();
+    const applicant = requireWallet(walletAuth);
+    const reviewer = requireStaff(staffAuth, STAFF_ROLES.REVIEWER);
+    
+    const fail = (res, label, error) => {
+        console.error(`${label} error:`, error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(documentErrorStatus(error)).json({ success: false, error: error.message });
+    };
+    
+    // Applicant uploads a document: the raw file is the request body, typed by
+    // Content-Type (?documentType=passport)
+    router.post('/applications/:id/documents', applicant, async (req, res) => {
+        try {
+            const application = applicationWorkflow.openFor(req.params.id, req.userAddress);
+            
+            const declaredSize = parseInt(req.get('Content-Length'), 10);
+            if (declaredSize > documentVault.maxSize) {
+                throw new Error(`Document exceeds ${documentVault.maxSize} bytes`);
+            }
+            
+            const document = await documentVault.upload(application.id, {
+                source: req,
+                mimeType: req.get('Content-Type')?.split(';')[0].trim(),
+                documentType: req.query.documentType,
+                uploadedBy: application.userAddress
+            });
+            
+            applicationWorkflow.record(applicationWorkflow.get(application.id), application.userAddress, 'document_uploaded', {
+                documentId: document.id,
+                documentType: document.documentType
+            });
+            res.status(201).json({ success: true, document: documentVault.toView(document) });
+        } catch (error) {
+            fail(res, 'Document upload', error);
+        }
+    });
+    
+    // The applicant's own documents
+    router.get('/applications/:id/documents', applicant, (req, res) => {
+        try {
+            const application = applicationWorkflow.ownedBy(req.params.id, req.userAddress);
+            res.json({ success: true, documents: documentVault.list(application.id).map(d => documentVault.toView(d)) });
+        } catch (error) {
+            fail(res, 'Document list', error);
+        }
+    });
+    
+    // Documents of an application with the log of who opened them
+    router.get('/reviews/applications/:id/documents', reviewer, (req, res) => {
+        try {
+            const application = applicationWorkflow.get(req.params.id);
+            res.json({
+                success: true,
+                documents: documentVault.list(application.id).map(d => documentVault.toView(d)),
+                accessLog: documentVault.accesses(application.id)
+            });
+        } catch (error) {
+            fail(res, 'Document list', error);
+        }
+    });
+    
+    // Decrypted document for the signed-in assigned reviewer (?purpose=); every access is logged
+    router.get('/reviews/documents/:documentId', reviewer, (req, res) => {
+        try {
+            const document = documentVault.get(req.params.documentId);
+            
+            const application = applicationWorkflow.get(document.applicationId);
+            if (application.reviewer !== req.staff.name) {
+                return res.status(403).json({ success: false, error: 'Only the assigned reviewer can open documents' });
+            }
+            
+            const { stream } = documentVault.open(document.id, { reviewer: req.staff.name, purpose: req.query.purpose });
+            res.set({
+                'Content-Type': document.mimeType,
+                'Content-Disposition': `inline; filename="${document.id}.${DOCUMENT_TYPES[document.mimeType].extension}"`,
+                'Cache-Control': 'no-store'
+            });
+            stream.on('error', error => fail(res, 'Document read', error));
+            stream.pipe(res);
+        } catch (error) {
+            fail(res, 'Document access', error);
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createDocumentRouter };
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const ethers = require('ethers');
+const { createApp } = require('../proofServer');
+
+const staff = [
+    { name: 'alice', role: 'reviewer', key: 'alice-key' },
+    { name: 'bob', role: 'reviewer', key: 'bob-key' }
+];
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', Buffer.alloc(13)),
+    chunk('IDAT', Buffer.alloc(100, 7)),
+    chunk('IEND', Buffer.alloc(0))
+]);
+
+let app;
+let dir;
+let documentId;
+let applicationId;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkkyc-documents-'));
+    app = createApp({ config: { staff: { keys: staff }, documents: { dir, masterKey: 'ab'.repeat(32) } } });
+
+    const wallet = ethers.Wallet.createRandom();
+    const challenge = await request(app).post('/api/auth/challenge').send({ userAddress: wallet.address });
+    const session = await request(app).post('/api/auth/session')
+        .send({ userAddress: wallet.address, signature: await wallet.signMessage(challenge.body.message) });
+    const auth = `Bearer ${session.body.token}`;
+
+    const submitted = await request(app).post('/api/applications').set('Authorization', auth)
+        .send({ credentialData: { fullName: 'Ada Lovelace', dateOfBirth: '1990-01-01', country: 'US', documentType: 'passport' }, holderCommitment: '1' });
+    applicationId = submitted.body.application.id;
+
+    const upload = await request(app).post(`/api/applications/${applicationId}/documents`)
+        .query({ documentType: 'passport' })
+        .set('Authorization', auth)
+        .set('Content-Type', 'image/png')
+        .send(png);
+    assert.equal(upload.status, 201, upload.body.error);
+    documentId = upload.body.document.id;
+
+    const assigned = await request(app).post(`/api/reviews/applications/${applicationId}/assign`).set('X-API-Key', 'alice-key');
+    assert.equal(assigned.body.application.reviewer, 'alice');
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('documents are only opened with the assigned reviewer\'s key', async () => {
+    const anonymous = await request(app).get(`/api/reviews/documents/${documentId}`).query({ reviewer: 'alice', purpose: 'identity' });
+    assert.equal(anonymous.status, 401);
+
+    const spoofed = await request(app).get(`/api/reviews/documents/${documentId}`)
+        .query({ reviewer: 'alice', purpose: 'identity' })
+        .set('X-API-Key', 'bob-key');
+    assert.equal(spoofed.status, 403);
+
+    const opened = await request(app).get(`/api/reviews/documents/${documentId}`)
+        .query({ purpose: 'identity' })
+        .set('X-API-Key', 'alice-key')
+        .buffer(true)
+        .parse((res, done) => {
+            const chunks = [];
+            res.on('data', data => chunks.push(data));
+            res.on('end', () => done(null, Buffer.concat(chunks)));
+        });
+    assert.equal(opened.status, 200);
+    assert.equal(opened.headers['content-type'], 'image/png');
+    assert.ok(opened.body.subarray(0, 8).equals(png.subarray(0, 8)));
+});
+
+test('the access log names the authenticated reviewer', async () => {
+    const unknown = await request(app).get(`/api/reviews/applications/${applicationId}/documents`).set('X-API-Key', 'mallory-key');
+    assert.equal(unknown.status, 401);
+
+    const res = await request(app).get(`/api/reviews/applications/${applicationId}/documents`).set('X-API-Key', 'bob-key');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.accessLog.map(entry => [entry.reviewer, entry.purpose]), [['alice', 'identity']]);
+});
+
+test('review actions are taken as the key\'s principal', async () => {
+    const note = await request(app).post(`/api/reviews/applications/${applicationId}/notes`)
+        .set('X-API-Key', 'bob-key')
+        .send({ author: 'alice', text: 'checked' });
+    assert.equal(note.body.application.notes.at(-1).author, 'bob');
+
+    // Only the assigned reviewer can decide, whatever the body says
+    const rejected = await request(app).post(`/api/reviews/applications/${applicationId}/reject`)
+        .set('X-API-Key', 'bob-key')
+        .send({ reviewer: 'alice', reason: 'no' });
+    assert.equal(rejected.status, 409);
+    assert.equal(rejected.body.error, 'Application is assigned to another reviewer');
+
+    const queue = await request(app).get('/api/reviews/queue').query({ reviewer: 'alice' }).set('X-API-Key', 'bob-key');
+    assert.deepEqual(queue.body.applications, []);
+});
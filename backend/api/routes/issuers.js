@@ -0,0 +1,109 @@
+const express = require('express');
+const { STAFF_ROLES, requireStaff } = require('../staffAuth');
+
+/**
+ * HTTP status for an issuer registry error
+ */
+function issuerErrorStatus(error) {
+    if (error.message.endsWith('not found')) return 404;
+    if (error.message.endsWith('already exists') || error.message.endsWith('is deactivated')
+        || error.message.endsWith('already revoked') || error.message.startsWith('Key was already used')) return 409;
+    return 400;
+}
+
+/**
+ * Routes for managing issuers, their DIDs and signing keys
+ *
+ * Changes need an admin key. Signing keys are generated by the registry and
+ * never travel over HTTP; the default issuer's key can be configured with
+ * ISSUER_PRIVATE_KEY.
+ */
+function createIssuerRouter({ credentialIssuer, staffAuth }) {
+    const router = express.Router();
+    const issuers = credentialIssuer.issuers;
+    const admin = requireStaff(staffAuth, STAFF_ROLES.ADMIN);
+    
+    const refusePrivateKey = (req, res, next) => {
+        if (req.body && req.body.privateKey !== undefined) {
+            return res.status(400).json({ success: false, error: 'Private keys are not accepted over HTTP' });
+        }
+        next();
+    };
+    
+    const fail = (res, label, error) => {
+        console.error(`${label} error:`, error);
+        res.status(issuerErrorStatus(error)).json({ success: false, error: error.message });
+    };
+    
+    router.get('/issuers', (req, res) => {
+        res.json({
+            success: true,
+            defaultIssuer: credentialIssuer.issuerId,
+            issuers: issuers.list().map(issuer => issuers.toView(issuer))
+        });
+    });
+    
+    // { name, method: 'key' | 'ethr', algorithm?, network? }; the issuer's key is generated
+    router.post('/issuers', admin, refusePrivateKey, (req, res) => {
+        try {
+            const { name, method, algorithm, network } = req.body;
+            res.status(201).json({ success: true, issuer: issuers.toView(issuers.create({ name, method, algorithm, network })) });
+        } catch (error) {
+            fail(res, 'Issuer creation', error);
+        }
+    });
+    
+    // Issuer with its full key history
+    router.get('/issuers/:did', (req, res) => {
+        try {
+            res.json({ success: true, issuer: issuers.toView(issuers.get(req.params.did)) });
+        } catch (error) {
+            fail(res, 'Issuer lookup', error);
+        }
+    });
+    
+    router.get('/issuers/:did/did.json', (req, res) => {
+        try {
+            res.type('application/did+json').send(JSON.stringify(issuers.didDocument(req.params.did)));
+        } catch (error) {
+            fail(res, 'DID document', error);
+        }
+    });
+    
+    // Rotate to a new generated signing key ({ algorithm? })
+    router.post('/issuers/:did/keys', admin, refusePrivateKey, (req, res) => {
+        try {
+            const issuer = issuers.rotateKey(req.params.did, { algorithm: req.body?.algorithm });
+            res.json({ success: true, issuer: issuers.toView(issuer) });
+        } catch (error) {
+            fail(res, 'Key rotation', error);
+        }
+    });
+    
+    // Revoke a key (e.g. key-2) from revokedAt, default now; backdating needs a reason ({ revokedAt?, reason? })
+    router.post('/issuers/:did/keys/:keyId/revoke', admin, (req, res) => {
+        try {
+            const { revokedAt, reason } = req.body || {};
+            const issuer = issuers.revokeKey(req.params.did, req.params.keyId, { revokedAt, reason, revokedBy: req.staff.name });
+            res.json({ success: true, issuer: issuers.toView(issuer) });
+        } catch (error) {
+            fail(res, 'Key revocation', error);
+        }
+    });
+    
+    // Stop trusting an issuer ({ reason? })
+    router.post('/issuers/:did/deactivate', admin, (req, res) => {
+        try {
+            if (req.params.did === credentialIssuer.issuerId) {
+                return res.status(409).json({ success: false, error: 'The default issuer cannot be deactivated' });
+            }
+            res.json({ success: true, issuer: issuers.toView(issuers.deactivate(req.params.did, req.body?.reason)) });
+        } catch (error) {
+            fail(res, 'Issuer deactivation', error);
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createIssuerRouter };
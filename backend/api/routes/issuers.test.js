@@ -0,0 +1,71 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { generateKeyPair } = require('../../identity/jws');
+const { createApp } = require('../proofServer');
+
+const staff = [
+    { name: 'ops', role: 'admin', key: 'admin-key' },
+    { name: 'alice', role: 'reviewer', key: 'reviewer-key' }
+];
+
+let app;
+let issuerId;
+
+beforeEach(async () => {
+    app = createApp({ config: { staff: { keys: staff } } });
+    const res = await request(app).post('/api/issuers').set('X-API-Key', 'admin-key').send({ name: 'Bank', method: 'ethr' });
+    assert.equal(res.status, 201, res.body.error);
+    issuerId = res.body.issuer.id;
+});
+
+test('issuer changes need an admin key', async () => {
+    const changes = [
+        ['/api/issuers', { name: 'Mallory' }],
+        [`/api/issuers/${issuerId}/keys`, {}],
+        [`/api/issuers/${issuerId}/keys/key-1/revoke`, {}],
+        [`/api/issuers/${issuerId}/deactivate`, {}]
+    ];
+
+    for (const [path, body] of changes) {
+        const anonymous = await request(app).post(path).send(body);
+        assert.equal(anonymous.status, 401, path);
+        const reviewer = await request(app).post(path).set('X-API-Key', 'reviewer-key').send(body);
+        assert.equal(reviewer.status, 403, path);
+    }
+
+    const issuer = await request(app).get(`/api/issuers/${issuerId}`);
+    assert.equal(issuer.body.issuer.status, 'active');
+    assert.equal(issuer.body.issuer.keys.length, 1);
+});
+
+test('private keys are refused over HTTP', async () => {
+    const { privateKey } = generateKeyPair('ES256K');
+
+    const created = await request(app).post('/api/issuers').set('X-API-Key', 'admin-key').send({ name: 'Own key', privateKey });
+    assert.equal(created.status, 400);
+    assert.equal(created.body.error, 'Private keys are not accepted over HTTP');
+
+    const rotated = await request(app).post(`/api/issuers/${issuerId}/keys`).set('X-API-Key', 'admin-key').send({ privateKey });
+    assert.equal(rotated.status, 400);
+
+    const ok = await request(app).post(`/api/issuers/${issuerId}/keys`).set('X-API-Key', 'admin-key').send({});
+    assert.equal(ok.body.issuer.currentKeyId, `${issuerId}#key-2`);
+});
+
+test('backdated revocations need a reason and record the admin', async () => {
+    const path = `/api/issuers/${issuerId}/keys/key-1/revoke`;
+    const revokedAt = new Date(Date.now() - 60 * 1000).toISOString();
+
+    const unexplained = await request(app).post(path).set('X-API-Key', 'admin-key').send({ revokedAt });
+    assert.equal(unexplained.status, 400);
+    assert.equal(unexplained.body.error, 'Invalid revocation: a reason is required to backdate a revocation');
+
+    const res = await request(app).post(path).set('X-API-Key', 'admin-key').send({ revokedAt, reason: 'key leaked' });
+    assert.equal(res.status, 200);
+    const [key] = res.body.issuer.keys;
+    assert.equal(key.revokedAt, revokedAt);
+    assert.equal(key.revokedBy, 'ops');
+    assert.equal(key.revocationReason, 'key leaked');
+    assert.ok(key.revocationRecordedAt > revokedAt);
+});
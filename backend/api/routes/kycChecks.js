@@ -0,0 +1,63 @@
+const express = require('express');
+const { requireWallet } = require('../walletAuth');
+
+/**
+ * Routes running KYC provider checks (document, liveness, address) for applicants
+ */
+function createKYCCheckRouter({ credentialIssuer, walletAuth }) {
+    const router = express.Router();
+    const kycChecks = credentialIssuer.kycChecks;
+    const applicant = requireWallet(walletAuth);
+    
+    // Run one check with the configured provider, for the signed-in address
+    router.post('/kyc/checks', applicant, async (req, res) => {
+        try {
+            const { type, subject, evidence } = req.body || {};
+            
+            if (!type) {
+                return res.status(400).json({ success: false, error: 'type is required' });
+            }
+            
+            const check = await kycChecks.run(req.userAddress, type, { subject, evidence });
+            res.json({ success: true, check });
+        } catch (error) {
+            console.error('KYC check error:', error);
+            res.status(400).json({ success: false, error: error.message });
+        }
+    });
+    
+    // An applicant's checks and which checks a template (?templateId=) still needs
+    router.get('/kyc/checks/:userAddress', applicant, (req, res) => {
+        try {
+            const { userAddress } = req.params;
+            if (userAddress.toLowerCase() !== req.userAddress) {
+                return res.status(403).json({ success: false, error: 'Only the applicant can see their checks' });
+            }
+            res.json({
+                success: true,
+                checks: kycChecks.list(userAddress),
+                ...credentialIssuer.getMissingChecks(userAddress, req.query.templateId)
+            });
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Outcome of a pending check, reported by the provider and signed with the callback secret (X-KYC-Signature)
+    router.post('/kyc/checks/:checkId/result', (req, res) => {
+        if (!kycChecks.provider.verifyCallback(req.rawBody, req.get('X-KYC-Signature'), req.params.checkId)) {
+            return res.status(401).json({ success: false, error: 'Invalid provider signature' });
+        }
+        
+        try {
+            const { status, reason, reference } = req.body;
+            res.json({ success: true, check: kycChecks.complete(req.params.checkId, { status, reason, reference }) });
+        } catch (error) {
+            res.status(error.message === 'Check not found' ? 404 : 409).json({ success: false, error: error.message });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createKYCCheckRouter };
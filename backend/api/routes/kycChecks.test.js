@@ -0,0 +1,111 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const ethers = require('ethers');
+const { createApp } = require('../proofServer');
+
+const callbackSecret = 'provider-callback-secret';
+const subject = { fullName: 'Ada Lovelace', dateOfBirth: '1990-01-01', country: 'US', documentType: 'passport' };
+
+let app;
+let wallet;
+let auth;
+
+beforeEach(async () => {
+    app = createApp({ config: { kyc: { provider: 'stub', stubOutcomes: { livenessCheck: 'pending' }, callbackSecret } } });
+
+    wallet = ethers.Wallet.createRandom();
+    const { walletAuth } = app.locals.services;
+    const { message } = walletAuth.challenge(wallet.address);
+    const { token } = walletAuth.createSession(wallet.address, await wallet.signMessage(message));
+    auth = `Bearer ${token}`;
+});
+
+function sign(body, secret = callbackSecret) {
+    return crypto.createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Post a signed provider callback for a check
+ */
+function deliver(checkId, result, signature = sign(result)) {
+    return request(app).post(`/api/kyc/checks/${checkId}/result`)
+        .set('X-KYC-Signature', signature)
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(result));
+}
+
+test('checks are run for the signed-in address', async () => {
+    const anonymous = await request(app).post('/api/kyc/checks').send({ userAddress: wallet.address, type: 'documentVerification', subject });
+    assert.equal(anonymous.status, 401);
+
+    const res = await request(app).post('/api/kyc/checks').set('Authorization', auth)
+        .send({ userAddress: '0x0000000000000000000000000000000000000001', type: 'documentVerification', subject });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.check.userAddress, wallet.address.toLowerCase());
+
+    const other = await request(app).get('/api/kyc/checks/0x0000000000000000000000000000000000000001').set('Authorization', auth);
+    assert.equal(other.status, 403);
+    const own = await request(app).get(`/api/kyc/checks/${wallet.address}`).set('Authorization', auth);
+    assert.deepEqual(own.body.missing, ['livenessCheck']);
+});
+
+test('provider callbacks need the callback secret\'s signature', async () => {
+    const { body } = await request(app).post('/api/kyc/checks').set('Authorization', auth).send({ type: 'livenessCheck', subject });
+    assert.equal(body.check.status, 'pending');
+    const path = `/api/kyc/checks/${body.check.id}/result`;
+    const result = { checkId: body.check.id, timestamp: Date.now(), status: 'passed', reference: 'provider-1' };
+
+    const unsigned = await request(app).post(path).send(result);
+    assert.equal(unsigned.status, 401);
+    const forged = await request(app).post(path).set('X-KYC-Signature', sign(result, 'guess')).send(result);
+    assert.equal(forged.status, 401);
+    const tampered = await request(app).post(path).set('X-KYC-Signature', sign({ ...result, status: 'failed' })).send(result);
+    assert.equal(tampered.status, 401);
+
+    const signed = await deliver(body.check.id, result);
+    assert.equal(signed.status, 200, signed.body.error);
+    assert.equal(signed.body.check.status, 'passed');
+});
+
+test('a signed callback only completes the check it names, once and while fresh', async () => {
+    const run = async () => (await request(app).post('/api/kyc/checks').set('Authorization', auth).send({ type: 'livenessCheck', subject })).body.check;
+    const [first, second] = [await run(), await run()];
+    const result = { checkId: first.id, timestamp: Date.now(), status: 'passed' };
+
+    // Replayed against another pending check
+    const replayed = await deliver(second.id, result);
+    assert.equal(replayed.status, 401);
+
+    const unbound = { timestamp: Date.now(), status: 'passed' };
+    assert.equal((await deliver(second.id, unbound)).status, 401);
+    const stale = { checkId: second.id, timestamp: Date.now() - 10 * 60 * 1000, status: 'passed' };
+    assert.equal((await deliver(second.id, stale)).status, 401);
+
+    assert.equal((await deliver(first.id, result)).status, 200);
+    const again = await deliver(first.id, result);
+    assert.equal(again.status, 401);
+
+    const { credentialIssuer } = app.locals.services;
+    assert.equal(credentialIssuer.kycChecks.get(second.id).status, 'pending');
+});
+
+test('callbacks are refused without a callback secret', async () => {
+    app = createApp({ config: { kyc: { provider: 'stub', stubOutcomes: { livenessCheck: 'pending' } } } });
+    const check = await app.locals.services.credentialIssuer.kycChecks.run(wallet.address, 'livenessCheck', { subject });
+
+    const res = await deliver(check.id, { checkId: check.id, timestamp: Date.now(), status: 'passed' });
+    assert.equal(res.status, 401);
+});
+
+test('without a configured provider every check is refused', async () => {
+    app = createApp({ config: {} });
+    const { walletAuth } = app.locals.services;
+    const { message } = walletAuth.challenge(wallet.address);
+    const { token } = walletAuth.createSession(wallet.address, await wallet.signMessage(message));
+
+    const res = await request(app).post('/api/kyc/checks').set('Authorization', `Bearer ${token}`).send({ type: 'documentVerification', subject });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'No KYC provider is configured');
+});
@@ -0,0 +1,115 @@
+const express = require('express');
+const { requireWallet } = require('../walletAuth');
+
+/**
+ * Routes for generating and verifying zk-SNARK proofs
+ */
+function createProofRouter({ verificationService, walletAuth }) {
+    const router = express.Router();
+    const holder = requireWallet(walletAuth);
+    
+    // Generate a proof from a stored credential
+    router.post('/generate-proof', async (req, res) => {
+        try {
+            const { credentialId, requirements } = req.body;
+            
+            if (!credentialId) {
+                return res.status(400).json({ success: false, error: 'credentialId is required' });
+            }
+            
+            const result = await verificationService.generateProof(credentialId, requirements || {});
+            res.json(result);
+        } catch (error) {
+            console.error('Proof generation error:', error);
+            res.status(error.message.startsWith('Invalid expiryDays') ? 400 : 500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Verify a single proof, optionally bound to the verifier's scope
+    router.post('/verify-proof', async (req, res) => {
+        try {
+            const { proof, publicSignals, nullifier, circuitId, scope, minAge, allowedCountries, excludedCountries } = req.body;
+            
+            if (!proof || !publicSignals || !nullifier) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'proof, publicSignals and nullifier are required'
+                });
+            }
+            if (minAge !== undefined && !Number.isInteger(minAge)) {
+                return res.status(400).json({ success: false, error: 'minAge must be an integer' });
+            }
+            
+            const result = await verificationService.verifyProof({
+                proof,
+                publicSignals,
+                nullifier,
+                circuitId,
+                scope,
+                minAge,
+                allowedCountries,
+                excludedCountries
+            });
+            
+            if (result.success) {
+                res.json({
+                    ...result,
+                    message: 'Proof verified successfully',
+                    verificationId: nullifier
+                });
+            } else {
+                res.status(400).json({
+                    ...result,
+                    error: result.error || 'Invalid proof'
+                });
+            }
+        } catch (error) {
+            console.error('Proof verification error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Verify several proofs in one request
+    router.post('/verify-proofs', async (req, res) => {
+        try {
+            const { proofs } = req.body;
+            
+            if (!Array.isArray(proofs)) {
+                return res.status(400).json({ success: false, error: 'proofs must be an array' });
+            }
+            
+            res.json(await verificationService.batchVerifyProofs(proofs));
+        } catch (error) {
+            console.error('Batch verification error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Nullifier status and rejection reason
+    router.get('/nullifiers/:nullifier', (req, res) => {
+        const status = verificationService.getNullifierStatus(req.params.nullifier);
+        if (!status) {
+            return res.status(404).json({ success: false, error: 'Nullifier not found' });
+        }
+        res.json({ success: true, ...status });
+    });
+    
+    // List proofs generated for a user; only the holder, signed in with their wallet
+    router.get('/proofs/:userAddress', holder, (req, res) => {
+        if (req.params.userAddress.toLowerCase() !== req.userAddress) {
+            return res.status(403).json({ success: false, error: 'Only the holder can list their proofs' });
+        }
+        res.json({
+            success: true,
+            proofs: verificationService.getUserProofs(req.params.userAddress)
+        });
+    });
+    
+    router.get('/stats', (req, res) => {
+        res.json({ success: true, stats: verificationService.getStats() });
+    });
+    
+    return router;
+}
+
+module.exports = { createProofRouter };
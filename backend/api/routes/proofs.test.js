@@ -0,0 +1,59 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const ethers = require('ethers');
+const { createApp } = require('../proofServer');
+
+const credentialData = {
+    fullName: 'Ada Lovelace',
+    dob: '1990-01-01',
+    country: 'US',
+    documentType: 'passport',
+    documentNumber: 'P1234567'
+};
+
+let app;
+let services;
+
+beforeEach(async () => {
+    app = createApp({ config: { kyc: { provider: 'stub' } } });
+    services = app.locals.services;
+    await services.verificationService.initialize({});
+});
+
+async function signIn(wallet) {
+    const { walletAuth } = services;
+    const { message } = walletAuth.challenge(wallet.address);
+    const { token } = walletAuth.createSession(wallet.address, await wallet.signMessage(message));
+    return `Bearer ${token}`;
+}
+
+test('only the holder lists their proofs, without the credential record', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const { verificationService } = services;
+    const { credentialId } = await verificationService.issueCredential({ ...credentialData, userAddress: wallet.address, secret: '0x01' });
+    const generated = await verificationService.generateProof(credentialId, { minAge: 18, verifierId: 'shop', action: 'checkout' });
+
+    const anonymous = await request(app).get(`/api/proofs/${wallet.address}`);
+    assert.equal(anonymous.status, 401);
+
+    const other = await signIn(ethers.Wallet.createRandom());
+    const denied = await request(app).get(`/api/proofs/${wallet.address}`).set('Authorization', other);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.error, 'Only the holder can list their proofs');
+
+    const res = await request(app).get(`/api/proofs/${wallet.address}`).set('Authorization', await signIn(wallet));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.proofs.length, 1);
+    const [listed] = res.body.proofs;
+    assert.equal(listed.nullifier, generated.nullifier);
+    assert.deepEqual(listed.publicSignals, generated.publicSignals);
+    assert.deepEqual(listed.proof, generated.proof);
+    assert.equal(listed.status, 'issued');
+    assert.equal(listed.credential, undefined);
+
+    const serialized = JSON.stringify(res.body);
+    for (const value of ['privateInputs', 'secret', credentialData.dob, credentialData.documentNumber]) {
+        assert.ok(!serialized.includes(value), value);
+    }
+});
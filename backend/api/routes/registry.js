@@ -0,0 +1,43 @@
+const express = require('express');
+
+/**
+ * Routes publishing the credential registry roots and inclusion paths
+ */
+function createRegistryRouter({ verificationService }) {
+    const router = express.Router();
+    const registry = verificationService.credentialRegistry;
+    
+    // Current root and size of the registry tree
+    router.get('/registry/root', async (req, res) => {
+        try {
+            res.json(await registry.getRoot());
+        } catch (error) {
+            console.error('Registry root error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Recently published roots proofs are accepted against, newest first
+    router.get('/registry/roots', async (req, res) => {
+        try {
+            const limit = parseInt(req.query.limit, 10) || undefined;
+            res.json({ roots: await registry.getRoots(limit) });
+        } catch (error) {
+            console.error('Registry roots error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+    
+    // Inclusion path for a credential's commitment, used as prover input
+    router.get('/registry/proof/:credentialId', async (req, res) => {
+        try {
+            res.json(await registry.getProof(req.params.credentialId));
+        } catch (error) {
+            res.status(404).json({ success: false, error: error.message });
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createRegistryRouter };
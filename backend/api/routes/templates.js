@@ -0,0 +1,95 @@
+const express = require('express');
+const { STAFF_ROLES, requireStaff } = require('../staffAuth');
+
+/**
+ * HTTP status for a template error
+ */
+function templateErrorStatus(error) {
+    if (error.message.endsWith('not found')) return 404;
+    if (error.message.endsWith('already exists') || error.message.endsWith('is retired')) return 409;
+    return 400;
+}
+
+/**
+ * Routes for managing credential templates and serving their JSON Schemas
+ */
+function createTemplateRouter({ credentialIssuer, staffAuth }) {
+    const router = express.Router();
+    const templates = credentialIssuer.templates;
+    const admin = requireStaff(staffAuth, STAFF_ROLES.ADMIN);
+    
+    const fail = (res, label, error) => {
+        console.error(`${label} error:`, error);
+        res.status(templateErrorStatus(error)).json({ success: false, error: error.message });
+    };
+    
+    // Latest version of every template
+    router.get('/templates', (req, res) => {
+        res.json({ success: true, templates: templates.list() });
+    });
+    
+    // Latest version and the version history of one template
+    router.get('/templates/:templateId', (req, res) => {
+        const versions = templates.versions(req.params.templateId);
+        if (versions.length === 0) {
+            return res.status(404).json({ success: false, error: `Template ${req.params.templateId} not found` });
+        }
+        
+        res.json({
+            success: true,
+            template: versions[0],
+            versions: versions.map(({ version, status, schemaId, createdAt }) => ({ version, status, schemaId, createdAt }))
+        });
+    });
+    
+    router.get('/templates/:templateId/versions/:version', (req, res) => {
+        try {
+            res.json({ success: true, template: templates.getVersion(req.params.templateId, Number(req.params.version)) });
+        } catch (error) {
+            fail(res, 'Template lookup', error);
+        }
+    });
+    
+    // Creating, updating and retiring need an admin key
+    // { templateId, name, description?, validityPeriod, requires, attributes: { name: JSON Schema }, required? }
+    router.post('/templates', admin, (req, res) => {
+        try {
+            res.status(201).json({ success: true, template: templates.create(req.body) });
+        } catch (error) {
+            fail(res, 'Template creation', error);
+        }
+    });
+    
+    // Publish a new version; fields left out are copied from the current version
+    router.put('/templates/:templateId', admin, (req, res) => {
+        try {
+            res.json({ success: true, template: templates.update(req.params.templateId, req.body) });
+        } catch (error) {
+            fail(res, 'Template update', error);
+        }
+    });
+    
+    // Retire a template: no further issuance, its schemas stay published
+    router.delete('/templates/:templateId', admin, (req, res) => {
+        try {
+            res.json({ success: true, template: templates.retire(req.params.templateId) });
+        } catch (error) {
+            fail(res, 'Template retirement', error);
+        }
+    });
+    
+    // JSON Schema referenced by credentialSchema.id; versions never change, so it is cacheable
+    router.get('/schemas/:templateId/:version', (req, res) => {
+        try {
+            const template = templates.getVersion(req.params.templateId, Number(req.params.version));
+            res.set('Cache-Control', 'public, max-age=86400, immutable');
+            res.type('application/schema+json').send(JSON.stringify(templates.credentialSchema(template)));
+        } catch (error) {
+            fail(res, 'Schema lookup', error);
+        }
+    });
+    
+    return router;
+}
+
+module.exports = { createTemplateRouter };
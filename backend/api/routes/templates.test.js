@@ -0,0 +1,63 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createApp } = require('../proofServer');
+
+const student = {
+    templateId: 'student',
+    name: 'Student Verification',
+    validityPeriod: 31536000000,
+    attributes: {
+        fullName: { type: 'string', minLength: 1 },
+        university: { type: 'string', enum: ['MIT', 'ETH'] }
+    }
+};
+
+let app;
+
+beforeEach(() => {
+    app = createApp({
+        config: {
+            staff: {
+                keys: [
+                    { name: 'ops', role: 'admin', key: 'admin-key' },
+                    { name: 'alice', role: 'reviewer', key: 'reviewer-key' }
+                ]
+            }
+        }
+    });
+});
+
+test('changing templates needs an admin key', async () => {
+    const changes = [
+        () => request(app).post('/api/templates').send(student),
+        () => request(app).put('/api/templates/basic_kyc').send({ name: 'Renamed' }),
+        () => request(app).delete('/api/templates/basic_kyc')
+    ];
+    for (const change of changes) {
+        assert.equal((await change()).status, 401);
+        assert.equal((await change().set('X-API-Key', 'reviewer-key')).status, 403);
+    }
+
+    const list = await request(app).get('/api/templates');
+    assert.ok(!list.body.templates.some(t => t.templateId === 'student'));
+    const basic = await request(app).get('/api/templates/basic_kyc');
+    assert.equal(basic.body.versions.length, 1);
+    assert.equal(basic.body.template.status, 'active');
+});
+
+test('admins create, update and retire templates', async () => {
+    const created = await request(app).post('/api/templates').set('X-API-Key', 'admin-key').send(student);
+    assert.equal(created.status, 201, created.body.error);
+
+    const updated = await request(app).put('/api/templates/student').set('X-API-Key', 'admin-key').send({ name: 'Student' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.template.version, 2);
+
+    const retired = await request(app).delete('/api/templates/student').set('X-API-Key', 'admin-key');
+    assert.equal(retired.status, 200);
+    assert.equal(retired.body.template.status, 'retired');
+
+    const schema = await request(app).get('/api/schemas/student/1');
+    assert.equal(schema.status, 200);
+});
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Roles staff keys can carry; admins may also act as reviewers
+const STAFF_ROLES = {
+    REVIEWER: 'reviewer',
+    ADMIN: 'admin'
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * API keys for reviewers and administrators
+ *
+ * Each key names its principal and role, e.g. from STAFF_API_KEYS
+ * ('alice:reviewer:<key>,ops:admin:<key>'). Only key hashes are kept. Without
+ * configured keys every staff route is refused.
+ */
+class StaffAuth {
+    constructor(options = {}) {
+        this.principals = new Map(); // sha256(key) hex -> { name, role }
+
+        for (const { name, role, key } of options.keys || []) {
+            if (!name || !key) {
+                throw new Error('Staff keys need a name and a key');
+            }
+            if (!Object.values(STAFF_ROLES).includes(role)) {
+                throw new Error(`Unknown staff role: ${role}`);
+            }
+            this.principals.set(sha256(key).toString('hex'), { name, role });
+        }
+
+        if (this.principals.size === 0) {
+            console.warn('No staff API keys configured; review and admin routes are disabled');
+        }
+    }
+
+    /**
+     * Principal for an API key, or null
+     */
+    authenticate(key) {
+        if (!key) {
+            return null;
+        }
+        // Lookup by hash, so the comparison does not depend on the key's bytes
+        return this.principals.get(sha256(key).toString('hex')) || null;
+    }
+}
+
+/**
+ * Express middleware requiring a staff key (X-API-Key) with `role`
+ *
+ * The principal is set as `req.staff`.
+ */
+function requireStaff(staffAuth, role) {
+    return (req, res, next) => {
+        const principal = staffAuth.authenticate(req.get('X-API-Key'));
+        if (!principal) {
+            return res.status(401).json({ success: false, error: 'A staff API key is required' });
+        }
+        if (principal.role !== role && principal.role !== STAFF_ROLES.ADMIN) {
+            return res.status(403).json({ success: false, error: `The ${role} role is required` });
+        }
+
+        req.staff = principal;
+        next();
+    };
+}
+
+module.exports = StaffAuth;
+module.exports.STAFF_ROLES = STAFF_ROLES;
+module.exports.requireStaff = requireStaff;
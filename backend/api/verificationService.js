@@ -1,22 +1,80 @@
 const ethers = require('ethers');
 const { groth16 } = require('snarkjs');
 const crypto = require('crypto');
+const fs = require('fs');
+const {
+    buildCircuitInputs,
+    circuitId,
+    hashAllowedCountries,
+    hashExcludedCountries,
+    resolveArtifacts,
+    CIRCUITS
+} = require('../../circuits/generate_proof');
+const { computeScope, generateNullifier, nullifierToHex } = require('../identity/nullifier');
+const { computeHolderCommitment, toDayNumber } = require('../../circuits/hashing.mjs');
+const NullifierRegistry = require('./nullifierRegistry');
+const CircuitRegistry = require('./circuitRegistry');
+const CredentialRegistry = require('../identity/credentialRegistry');
+const DenyListRegistry = require('../identity/denyList');
+const IssuerRegistry = require('../identity/issuerRegistry');
+const { createStore } = require('../storage');
+const { NULLIFIER_STATUS } = NullifierRegistry;
+const { computeCredentialCommitment } = CredentialRegistry;
+
+// Minimum age a proof must show when the verifier names none
+const DEFAULT_MIN_AGE = 18;
+
+// Days a proof's currentDate may differ from the server's date (time zones, midnight)
+const CURRENT_DATE_TOLERANCE = 1;
+
+// Longest nullifier lifetime a prover can ask for with requirements.expiryDays
+const MAX_NULLIFIER_TTL_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Nullifier lifetime in milliseconds for requirements.expiryDays
+ *
+ * Without expiryDays the registry's default applies; longer lifetimes are
+ * capped at MAX_NULLIFIER_TTL_DAYS.
+ */
+function nullifierTtl(expiryDays) {
+    if (expiryDays === undefined) {
+        return undefined;
+    }
+    if (!Number.isInteger(expiryDays) || expiryDays < 1) {
+        throw new Error('Invalid expiryDays: expected a positive integer');
+    }
+    return Math.min(expiryDays, MAX_NULLIFIER_TTL_DAYS) * DAY_MS;
+}
+
+/**
+ * Read a named public signal using the circuit's signal layout
+ */
+function readSignal(circuit, publicSignals, name) {
+    const index = circuit.publicSignals.indexOf(name);
+    return index === -1 ? undefined : publicSignals[index];
+}
 
 class VerificationService {
-    constructor() {
-        this.credentials = new Map(); // userAddress -> credential data
-        this.proofCache = new Map(); // nullifier -> proof data
-        this.trustedIssuers = new Set();
+    constructor(options = {}) {
+        const store = options.store || createStore();
+        this.credentials = store.credentials; // credentialId -> credential data
+        this.proofCache = store.proofs; // nullifier -> proof data
+        // credentialId -> holder secret, for server-side proving only; never persisted
+        this.holderSecrets = new Map();
+        this.nullifierRegistry = new NullifierRegistry({ repository: store.nullifiers });
+        this.credentialRegistry = new CredentialRegistry({
+            leaves: store.registryLeaves,
+            roots: store.registryRoots
+        });
+        this.denyLists = new DenyListRegistry({ repository: store.denyLists });
+        this.circuitRegistry = new CircuitRegistry({ repository: store.circuits });
+        // Trusted issuers are the active issuers of the shared issuer registry
+        this.issuers = options.issuers || new IssuerRegistry({
+            repository: store.issuers,
+            keyRepository: store.issuerKeys
+        });
         this.verifierContract = null;
-        
-        // Initialize with test issuers
-        this.trustedIssuers.add('0x742d35Cc6634C0532925a3b844Bc9eE7a2F1d3c1');
-        this.trustedIssuers.add('0x53d284357ec70cE289D6D64134DfAc8E511c8a3D');
-        
-        // Circuit artifacts (in production, load from files)
-        this.circuitWasm = null;
-        this.zkey = null;
-        this.vkey = null;
     }
     
     /**
@@ -26,14 +84,18 @@ class VerificationService {
         try {
             // Load circuit artifacts
             if (config.circuitPath) {
-                // In production, load actual circuit files
-                // this.circuitWasm = await fs.readFile(`${config.circuitPath}/kyc-circuit.wasm`);
-                // this.zkey = await fs.readFile(`${config.circuitPath}/circuit_final.zkey`);
-                // this.vkey = await fs.readFile(`${config.circuitPath}/verification_key.json`);
+                await this.loadCircuitArtifacts(config.circuitPath);
+            }
+            
+            // Publish configured deny lists (e.g. sanctioned countries)
+            if (config.denyLists) {
+                this.denyLists.seed(config.denyLists);
             }
             
-            // Setup blockchain connection
-            if (config.rpcUrl) {
+            // Setup blockchain connection (an existing provider, e.g. a local test node, wins)
+            if (config.provider) {
+                this.provider = config.provider;
+            } else if (config.rpcUrl) {
                 this.provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
             }
             
@@ -53,15 +115,46 @@ class VerificationService {
         }
     }
     
+    /**
+     * Register the circuits built in a directory with the circuit registry
+     *
+     * kyc_verification is required; other circuits (e.g. kyc_sanctions) are
+     * registered when their artifacts exist.
+     */
+    async loadCircuitArtifacts(circuitPath) {
+        const registered = [];
+        
+        for (const [name, { version, artifacts, publicSignals }] of Object.entries(CIRCUITS)) {
+            const paths = resolveArtifacts(circuitPath, artifacts);
+            if (name !== 'kyc_verification' && !fs.existsSync(paths.zkey)) {
+                continue;
+            }
+            
+            registered.push(await this.circuitRegistry.register({ name, version, artifacts: paths, publicSignals }));
+        }
+        
+        return registered;
+    }
+    
     /**
      * Issue a credential to a user after KYC verification
+     *
+     * The registry leaf commits to the holder's `holderCommitment`, so only
+     * the holder can prove with the credential. A `secret` instead is kept in
+     * memory for server-side proving (tests and the e2e script); the stored
+     * credential only has its commitment. The HTTP routes never pass one.
      */
     async issueCredential(userData) {
         const {
+            credentialId: existingId,
+            issuer,
+            secret,
+            holderCommitment,
             userAddress,
             fullName,
             dob,
             country,
+            nationality,
             documentType,
             documentNumber,
             expiryDate
@@ -71,15 +164,21 @@ class VerificationService {
         if (!userAddress || !ethers.utils.isAddress(userAddress)) {
             throw new Error('Invalid user address');
         }
+        if (issuer && !this.issuers.isTrusted(issuer)) {
+            throw new Error(`Untrusted issuer: ${issuer}`);
+        }
+        if (!secret && !holderCommitment) {
+            throw new Error('A holderCommitment is required');
+        }
         
-        // Generate credential ID
-        const credentialId = this.generateCredentialId(userAddress, documentNumber);
+        // Reuse the issuer's credential ID when provided
+        const credentialId = existingId || this.generateCredentialId(userAddress, documentNumber);
         
         // Create credential object
         const credential = {
             id: credentialId,
             userAddress: userAddress.toLowerCase(),
-            issuer: 'zkKYC Platform',
+            issuer: issuer || null,
             issuedAt: Math.floor(Date.now() / 1000),
             expiryDate: expiryDate || Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60), // 1 year
             credentialHash: this.hashCredentialData({
@@ -95,31 +194,53 @@ class VerificationService {
                 documentType: documentType,
                 verified: true
             },
+            // Committed witness data, never returned to callers
+            privateInputs: {
+                holderCommitment: secret ? computeHolderCommitment(secret) : holderCommitment,
+                dateOfBirth: dob,
+                country,
+                nationality: nationality || country,
+                documentNumber
+            },
             signature: null // Would be signed by issuer in production
         };
         
-        // Store credential
-        this.credentials.set(userAddress.toLowerCase(), credential);
+        // Commit to the witness data and add it to the credential registry
+        credential.commitment = computeCredentialCommitment({
+            ...credential.privateInputs,
+            credentialId
+        });
+        const { leafIndex, root } = await this.credentialRegistry.insert(credential.commitment, credentialId);
         
-        // Generate commitment for on-chain storage
-        const commitment = this.generateCommitment(credential);
+        // Store credential
+        this.credentials.save(credential);
+        if (secret) {
+            this.holderSecrets.set(credentialId, secret);
+        }
         
         return {
             success: true,
             credentialId,
-            commitment,
+            commitment: credential.commitment,
+            leafIndex,
+            credentialRoot: root,
             credential: {
                 ...credential,
                 // Don't send sensitive data back
                 fullName: undefined,
                 dob: undefined,
-                documentNumber: undefined
+                documentNumber: undefined,
+                privateInputs: undefined
             }
         };
     }
     
     /**
      * Generate a zk-SNARK proof for KYC verification
+     *
+     * `requirements.excludedCountries` (a country list or the ID of a published
+     * deny list) switches to the sanctions circuit, which also proves the
+     * country and nationality are not on that list.
      */
     async generateProof(credentialId, requirements) {
         const credential = this.getCredentialById(credentialId);
@@ -132,25 +253,63 @@ class VerificationService {
             throw new Error('Credential expired');
         }
         
+        if (credential.revoked) {
+            throw new Error('Credential revoked');
+        }
+        
+        const secret = this.holderSecrets.get(credentialId);
+        if (!secret) {
+            throw new Error('Only the holder can prove this credential');
+        }
+        
+        const ttl = nullifierTtl(requirements.expiryDays);
+        
+        // Prove membership against the current registry root
+        const merkleProof = await this.credentialRegistry.getProof(credentialId);
+        
+        // A deny list selects the sanctions circuit
+        const excludedCountries = requirements.excludedCountries === undefined
+            ? undefined
+            : this.denyLists.resolve(requirements.excludedCountries);
+        const { circuit, artifacts, deprecated } = this.selectCircuit(
+            excludedCountries ? 'kyc_sanctions' : 'kyc_verification',
+            requirements.circuitId
+        );
+        
         // Prepare circuit inputs
-        const circuitInputs = this.prepareCircuitInputs(credential, requirements);
+        const circuitInputs = this.prepareCircuitInputs(
+            credential,
+            { ...requirements, excludedCountries },
+            merkleProof
+        );
         
-        // Generate nullifier (prevents proof reuse)
-        const nullifier = this.generateNullifier(credentialId, requirements);
+        // Deterministic nullifier: one per credential and verifier scope
+        const scope = circuitInputs.externalNullifier;
+        const nullifier = generateNullifier(secret, credentialId, scope);
+        
+        // An expired nullifier that was never spent is issued again for the new proof
+        const status = this.nullifierRegistry.check(nullifier);
+        if (!status.accepted && status.reason !== 'expired') {
+            throw new Error(`Cannot generate proof: ${status.error}`);
+        }
         
         let proof;
         let publicSignals;
         
-        if (this.circuitWasm && this.zkey) {
+        if (artifacts) {
             // Generate actual zk-SNARK proof
             const { proof: zkProof, publicSignals: signals } = await groth16.fullProve(
                 circuitInputs,
-                this.circuitWasm,
-                this.zkey
+                artifacts.wasm,
+                artifacts.zkey
             );
             
             proof = zkProof;
             publicSignals = signals;
+            
+            if (nullifierToHex(readSignal(circuit, publicSignals, 'nullifier')) !== nullifier) {
+                throw new Error('Circuit nullifier does not match computed nullifier');
+            }
         } else {
             // Generate mock proof for development
             proof = this.generateMockProof(circuitInputs);
@@ -160,78 +319,276 @@ class VerificationService {
             ];
         }
         
-        // Store proof reference
-        this.proofCache.set(nullifier, {
+        const solidityProof = this.formatProofForSolidity(proof);
+        
+        // Store proof reference and open its nullifier
+        this.proofCache.save({
+            nullifier,
             credentialId,
+            circuitId: circuit.circuitId,
+            scope,
             generatedAt: Date.now(),
             requirements,
-            verified: false
+            proof: solidityProof,
+            publicSignals
+        });
+        
+        this.nullifierRegistry.issue(nullifier, {
+            credentialId,
+            scope,
+            ttl
         });
         
         return {
             success: true,
-            proof: this.formatProofForSolidity(proof),
+            proof: solidityProof,
             publicSignals,
             nullifier,
+            circuitId: circuit.circuitId,
+            deprecated,
             verifierContract: this.verifierContract?.address
         };
     }
     
     /**
-     * Verify a zk-SNARK proof
+     * Pick the circuit to prove with: a pinned circuitId, or the newest version
+     *
+     * Without loaded artifacts (development) the built-in definition is used
+     * and proofs are mocked.
      */
-    async verifyProof(proofData) {
-        const { proof, publicSignals, nullifier } = proofData;
+    selectCircuit(name, pinnedId) {
+        if (!this.circuitRegistry.hasLoadedCircuits()) {
+            return { circuit: { circuitId: circuitId(name), ...CIRCUITS[name] }, artifacts: null, deprecated: false };
+        }
         
-        // Check if proof was already used
+        const id = pinnedId || this.circuitRegistry.latest(name)?.circuitId || circuitId(name);
+        const result = this.circuitRegistry.check(id);
+        if (!result.accepted) {
+            throw new Error(result.error);
+        }
+        if (result.circuit.name !== name) {
+            throw new Error(`Circuit ${id} cannot prove these requirements`);
+        }
+        return result;
+    }
+    
+    /**
+     * Verify a zk-SNARK proof
+     *
+     * The proof's `circuitId` selects the verification key and public-signal
+     * layout; unknown and retired circuits are rejected. The proof must show
+     * at least `minAge` (18 by default) and be dated within a day of today.
+     * When `scope` ({ verifierId, action }) is given, the proof must have been
+     * generated for that scope, and when `allowedCountries` is given, for that
+     * country list. When `excludedCountries` (a list or published deny list ID)
+     * is given, the proof must come from the sanctions circuit for that list.
+     * A valid proof spends its nullifier, unless `options.spend` is false, in
+     * which case it is only marked verified.
+     */
+    async verifyProof(proofData, options = {}) {
+        const { proof, publicSignals, nullifier, scope, minAge, allowedCountries, excludedCountries } = proofData;
+        const { spend = true } = options;
         const cachedProof = this.proofCache.get(nullifier);
-        if (cachedProof && cachedProof.verified) {
+        
+        // Real proofs must come from a registered circuit
+        let circuit = null;
+        let vkey = null;
+        let deprecated = false;
+        if (this.circuitRegistry.hasLoadedCircuits()) {
+            const result = this.circuitRegistry.check(proofData.circuitId);
+            if (!result.accepted) {
+                return {
+                    success: false,
+                    error: result.error,
+                    nullifier
+                };
+            }
+            ({ circuit, deprecated } = result);
+            vkey = result.artifacts.vkey;
+            
+            if (publicSignals.length !== circuit.publicSignals.length) {
+                return {
+                    success: false,
+                    error: `Expected ${circuit.publicSignals.length} public signals for ${circuit.circuitId}`,
+                    nullifier
+                };
+            }
+        }
+        const signal = name => readSignal(circuit, publicSignals, name);
+        
+        // Real proofs carry their nullifier and scope as public signals
+        const proofScope = circuit ? signal('externalNullifier') : cachedProof?.scope;
+        
+        if (circuit && nullifierToHex(signal('nullifier')) !== nullifier) {
+            return {
+                success: false,
+                error: 'Nullifier does not match proof',
+                nullifier
+            };
+        }
+        
+        if (scope && proofScope !== computeScope(scope.verifierId, scope.action)) {
+            return {
+                success: false,
+                error: 'Proof was generated for a different scope',
+                nullifier
+            };
+        }
+        
+        if (circuit && signal('isValid') !== '1') {
             return {
                 success: false,
-                error: 'Proof already used',
+                error: 'Proof does not meet the requirements',
+                nullifier
+            };
+        }
+        
+        if (circuit && BigInt(signal('minAge')) < BigInt(minAge ?? DEFAULT_MIN_AGE)) {
+            return {
+                success: false,
+                error: `Proof shows a minimum age of ${signal('minAge')}, ${minAge ?? DEFAULT_MIN_AGE} is required`,
+                nullifier
+            };
+        }
+        
+        if (circuit && Math.abs(Number(signal('currentDate')) - toDayNumber(new Date())) > CURRENT_DATE_TOLERANCE) {
+            return {
+                success: false,
+                error: 'Proof is not dated today',
+                nullifier
+            };
+        }
+        
+        if (circuit && allowedCountries &&
+            signal('allowedCountriesHash') !== hashAllowedCountries(allowedCountries)) {
+            return {
+                success: false,
+                error: 'Proof was generated for a different country list',
+                nullifier
+            };
+        }
+        
+        if (circuit && excludedCountries !== undefined) {
+            const excludedRoot = hashExcludedCountries(this.denyLists.resolve(excludedCountries));
+            if (signal('excludedCountriesRoot') !== excludedRoot) {
+                return {
+                    success: false,
+                    error: 'Proof was generated for a different deny list',
+                    nullifier
+                };
+            }
+        }
+        
+        if (circuit && !(await this.credentialRegistry.isKnownRoot(signal('credentialRoot')))) {
+            return {
+                success: false,
+                error: 'Unknown credential root',
+                nullifier
+            };
+        }
+        
+        // Lock the nullifier so concurrent requests cannot both spend it
+        const claim = this.nullifierRegistry.claim(nullifier);
+        if (!claim.accepted) {
+            return {
+                success: false,
+                error: claim.error,
+                reason: claim.reason,
+                status: claim.status,
                 nullifier
             };
         }
         
         let isValid = false;
         
-        if (this.vkey && this.verifierContract) {
-            // Verify proof using snarkjs
-            isValid = await groth16.verify(this.vkey, publicSignals, proof);
-            
-            // Also verify on-chain if contract is available
-            if (isValid && this.verifierContract) {
-                try {
-                    const onChainValid = await this.verifierContract.verifyProof(
-                        proof.a,
-                        proof.b,
-                        proof.c,
-                        publicSignals
-                    );
-                    isValid = onChainValid;
-                } catch (error) {
-                    console.error('On-chain verification failed:', error);
+        try {
+            if (vkey) {
+                // Verify proof using snarkjs
+                isValid = await groth16.verify(vkey, publicSignals, this.toSnarkjsProof(proof));
+                
+                // Also verify on-chain if contract is available
+                if (isValid && this.verifierContract) {
+                    try {
+                        const onChainValid = await this.verifierContract.verifyProof(
+                            proof.a,
+                            proof.b,
+                            proof.c,
+                            publicSignals
+                        );
+                        isValid = onChainValid;
+                    } catch (error) {
+                        console.error('On-chain verification failed:', error);
+                    }
                 }
+            } else {
+                // Mock verification for development
+                isValid = this.mockVerifyProof(proof, publicSignals);
+            }
+        } finally {
+            if (!isValid) {
+                this.nullifierRegistry.release(nullifier);
             }
-        } else {
-            // Mock verification for development
-            isValid = this.mockVerifyProof(proof, publicSignals);
         }
         
-        if (isValid && cachedProof) {
-            cachedProof.verified = true;
-            cachedProof.verifiedAt = Date.now();
-            this.proofCache.set(nullifier, cachedProof);
+        if (!isValid) {
+            return {
+                success: false,
+                verified: false,
+                error: 'Invalid proof',
+                nullifier,
+                timestamp: Date.now()
+            };
+        }
+        
+        // Proofs generated elsewhere are recorded here too, so they cannot be replayed
+        const details = { credentialId: cachedProof?.credentialId, scope: proofScope };
+        const settled = spend
+            ? this.nullifierRegistry.spend(nullifier, details)
+            : this.nullifierRegistry.markVerified(nullifier, details);
+        
+        if (!settled.accepted) {
+            return {
+                success: false,
+                error: settled.error,
+                reason: settled.reason,
+                status: settled.status,
+                nullifier
+            };
         }
         
         return {
-            success: isValid,
-            verified: isValid,
+            success: true,
+            verified: true,
+            status: settled.entry.status,
             nullifier,
+            circuitId: circuit?.circuitId,
+            deprecated,
             timestamp: Date.now()
         };
     }
     
+    /**
+     * Report the status of a nullifier and why it would be rejected
+     */
+    getNullifierStatus(nullifier) {
+        const entry = this.nullifierRegistry.get(nullifier);
+        if (!entry) {
+            return null;
+        }
+        
+        const check = this.nullifierRegistry.check(nullifier);
+        return {
+            nullifier,
+            status: entry.status,
+            accepted: check.accepted,
+            reason: check.reason || null,
+            error: check.error || null,
+            issuedAt: entry.issuedAt,
+            expiresAt: entry.expiresAt,
+            history: entry.history
+        };
+    }
+    
     /**
      * Batch verify multiple proofs
      */
@@ -266,33 +623,35 @@ class VerificationService {
      * Get credential by user address
      */
     getCredential(address) {
-        return this.credentials.get(address.toLowerCase());
+        // Most recently issued credential for the address
+        const credentials = this.credentials.findBy('userAddress', address.toLowerCase());
+        return credentials.sort((a, b) => b.issuedAt - a.issuedAt)[0] || null;
     }
     
     /**
      * Get credential by ID
      */
     getCredentialById(credentialId) {
-        for (const [address, credential] of this.credentials) {
-            if (credential.id === credentialId) {
-                return credential;
-            }
-        }
-        return null;
+        return this.credentials.get(credentialId);
     }
     
     /**
      * Get all proofs for a user
+     *
+     * Only proof metadata is returned, never the credential record.
      */
     getUserProofs(userAddress) {
         const proofs = [];
-        for (const [nullifier, proofData] of this.proofCache) {
-            const credential = this.getCredentialById(proofData.credentialId);
-            if (credential && credential.userAddress === userAddress.toLowerCase()) {
+        for (const credential of this.credentials.findBy('userAddress', userAddress.toLowerCase())) {
+            for (const { nullifier, credentialId, circuitId, proof, publicSignals, generatedAt } of this.proofCache.findBy('credentialId', credential.id)) {
                 proofs.push({
                     nullifier,
-                    ...proofData,
-                    credential
+                    credentialId,
+                    circuitId,
+                    proof,
+                    publicSignals,
+                    generatedAt,
+                    status: this.nullifierRegistry.get(nullifier)?.status
                 });
             }
         }
@@ -301,23 +660,22 @@ class VerificationService {
     
     /**
      * Revoke a credential
+     *
+     * Its registry leaf is zeroed, so new roots no longer contain it.
      */
-    revokeCredential(userAddress, reason = '') {
-        const address = userAddress.toLowerCase();
-        if (this.credentials.has(address)) {
-            const credential = this.credentials.get(address);
+    async revokeCredential(credentialId, reason = '') {
+        const credential = this.getCredentialById(credentialId);
+        if (credential) {
             credential.revoked = true;
             credential.revocationReason = reason;
             credential.revokedAt = Math.floor(Date.now() / 1000);
             
-            this.credentials.set(address, credential);
+            this.credentials.save(credential);
+            await this.credentialRegistry.remove(credential.id);
             
-            // Also invalidate all proofs for this credential
-            for (const [nullifier, proofData] of this.proofCache) {
-                if (proofData.credentialId === credential.id) {
-                    proofData.invalidated = true;
-                    this.proofCache.set(nullifier, proofData);
-                }
+            // Also expire all open nullifiers for this credential
+            for (const proofData of this.proofCache.findBy('credentialId', credential.id)) {
+                this.nullifierRegistry.expire(proofData.nullifier, 'credential_revoked');
             }
             
             return {
@@ -348,18 +706,6 @@ class VerificationService {
         return '0x' + hash.digest('hex');
     }
     
-    generateCommitment(credential) {
-        const hash = crypto.createHash('sha256');
-        hash.update(credential.id + credential.credentialHash + credential.issuedAt);
-        return '0x' + hash.digest('hex');
-    }
-    
-    generateNullifier(credentialId, requirements) {
-        const hash = crypto.createHash('sha256');
-        hash.update(credentialId + JSON.stringify(requirements) + Date.now() + Math.random());
-        return '0x' + hash.digest('hex');
-    }
-    
     calculateAge(dob) {
         const birthDate = new Date(dob);
         const today = new Date();
@@ -373,19 +719,17 @@ class VerificationService {
         return age;
     }
     
-    prepareCircuitInputs(credential, requirements) {
-        // This would prepare actual circuit inputs
-        // For now, return mock data
-        return {
-            privateKey: '0x' + crypto.randomBytes(32).toString('hex'),
-            dobHash: this.hashCredentialData({ dob: '1990-01-01' }),
-            countryCode: '1',
-            documentNumberHash: this.hashCredentialData({ documentNumber: 'ABC123' }),
-            minAge: requirements.minAge || 18,
-            allowedCountriesHash: this.hashCredentialData({ countries: ['US', 'GB', 'DE'] }),
-            credentialRoot: credential.credentialHash,
-            currentDate: Math.floor(Date.now() / 1000)
-        };
+    prepareCircuitInputs(credential, requirements, merkleProof) {
+        if (!credential.privateInputs) {
+            throw new Error('Credential has no witness data');
+        }
+        
+        return buildCircuitInputs({
+            ...credential.privateInputs,
+            secret: this.holderSecrets.get(credential.id),
+            credentialId: credential.id,
+            merkleProof
+        }, requirements);
     }
     
     generateMockProof(inputs) {
@@ -417,14 +761,29 @@ class VerificationService {
     }
     
     formatProofForSolidity(proof) {
-        // Format proof for Solidity verifier
+        // Format proof for Solidity verifier (G2 coordinates are swapped)
         return {
             a: proof.pi_a.slice(0, 2),
-            b: proof.pi_b.map(arr => arr.slice(0, 2)),
+            b: proof.pi_b.slice(0, 2).map(arr => [arr[1], arr[0]]),
             c: proof.pi_c.slice(0, 2)
         };
     }
     
+    toSnarkjsProof(proof) {
+        // Accept both snarkjs and Solidity-formatted proofs
+        if (proof.pi_a) {
+            return proof;
+        }
+        
+        return {
+            pi_a: [...proof.a, '1'],
+            pi_b: [...proof.b.map(arr => [arr[1], arr[0]]), ['1', '0']],
+            pi_c: [...proof.c, '1'],
+            protocol: 'groth16',
+            curve: 'bn128'
+        };
+    }
+    
     mockVerifyProof(proof, publicSignals) {
         // Mock verification
         return proof && publicSignals && publicSignals.length > 0;
@@ -435,13 +794,14 @@ class VerificationService {
      */
     getStats() {
         return {
-            totalCredentials: this.credentials.size,
-            totalProofs: this.proofCache.size,
-            verifiedProofs: Array.from(this.proofCache.values()).filter(p => p.verified).length,
-            activeCredentials: Array.from(this.credentials.values()).filter(c => 
+            totalCredentials: this.credentials.count(),
+            totalProofs: this.proofCache.count(),
+            verifiedProofs: this.nullifierRegistry.count(NULLIFIER_STATUS.SPENT),
+            expiredProofs: this.nullifierRegistry.count(NULLIFIER_STATUS.EXPIRED),
+            activeCredentials: this.credentials.list().filter(c => 
                 !c.revoked && c.expiryDate > Math.floor(Date.now() / 1000)
             ).length,
-            trustedIssuers: this.trustedIssuers.size
+            trustedIssuers: this.issuers.trusted().length
         };
     }
     
@@ -0,0 +1,157 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('./proofServer');
+const { nullifierToHex } = require('../identity/nullifier');
+const { computeHolderCommitment, toDayNumber } = require('../../circuits/hashing.mjs');
+const { PUBLIC_SIGNALS } = require('../../circuits/generate_proof');
+
+const userAddress = '0xabc0000000000000000000000000000000000001';
+const credentialData = {
+    fullName: 'Ada Lovelace',
+    dateOfBirth: '1990-01-01',
+    country: 'US',
+    documentType: 'passport',
+    documentNumber: 'P1234567'
+};
+const requirements = { minAge: 18, allowedCountries: ['US'], verifierId: 'shop', action: 'checkout' };
+
+let services;
+let verificationService;
+
+beforeEach(async () => {
+    services = createApp({ config: { kyc: { provider: 'stub' } } }).locals.services;
+    verificationService = services.verificationService;
+    await verificationService.initialize({});
+});
+
+/**
+ * Issue a credential whose secret the service holds, so it can prove server-side
+ */
+function issue() {
+    const { dateOfBirth, ...attributes } = credentialData;
+    return verificationService.issueCredential({ ...attributes, dob: dateOfBirth, userAddress, secret: '0x01' });
+}
+
+test('a service-held secret is kept off the stored credential', async () => {
+    const { credentialId, commitment } = await issue();
+
+    const stored = verificationService.getCredentialById(credentialId);
+    assert.equal(stored.privateInputs.secret, undefined);
+    assert.equal(stored.privateInputs.holderCommitment, computeHolderCommitment('0x01'));
+    assert.equal(stored.commitment, commitment);
+
+    // Another service on the same records cannot prove without the secret
+    verificationService.holderSecrets.clear();
+    await assert.rejects(verificationService.generateProof(credentialId, requirements), /Only the holder can prove this credential/);
+});
+
+test('an expired, unspent nullifier is issued again for a new proof', async () => {
+    const { credentialId } = await issue();
+    const first = await verificationService.generateProof(credentialId, { ...requirements, expiryDays: 1 });
+
+    const { nullifierRegistry } = verificationService;
+    nullifierRegistry.repository.save({ ...nullifierRegistry.repository.get(first.nullifier), expiresAt: Date.now() - 1 });
+    assert.equal(nullifierRegistry.check(first.nullifier).reason, 'expired');
+
+    const second = await verificationService.generateProof(credentialId, requirements);
+    assert.equal(second.nullifier, first.nullifier);
+    assert.equal(nullifierRegistry.check(second.nullifier).accepted, true);
+});
+
+test('nullifier lifetimes are positive and capped', async () => {
+    const { credentialId } = await issue();
+    const { nullifierRegistry } = verificationService;
+
+    for (const expiryDays of [0, -1, 1.5, '7']) {
+        await assert.rejects(
+            verificationService.generateProof(credentialId, { ...requirements, expiryDays }),
+            /Invalid expiryDays: expected a positive integer/
+        );
+    }
+
+    const capped = await verificationService.generateProof(credentialId, { ...requirements, expiryDays: 100000 });
+    const entry = nullifierRegistry.get(capped.nullifier);
+    assert.equal(entry.expiresAt - entry.issuedAt, 90 * 24 * 60 * 60 * 1000);
+
+    const other = await verificationService.generateProof(credentialId, { ...requirements, action: 'login' });
+    const fallback = nullifierRegistry.get(other.nullifier);
+    assert.equal(fallback.expiresAt - fallback.issuedAt, nullifierRegistry.defaultTtl);
+});
+
+test('a minimum age of 0 is kept in the circuit inputs', async () => {
+    const { credentialId } = await issue();
+    const credential = verificationService.getCredentialById(credentialId);
+    const merkleProof = await verificationService.credentialRegistry.getProof(credentialId);
+
+    assert.equal(verificationService.prepareCircuitInputs(credential, { minAge: 0 }, merkleProof).minAge, '0');
+    assert.equal(verificationService.prepareCircuitInputs(credential, {}, merkleProof).minAge, '18');
+});
+
+test('spent nullifiers still block proving', async () => {
+    const { credentialId } = await issue();
+    const proof = await verificationService.generateProof(credentialId, requirements);
+
+    const { nullifierRegistry } = verificationService;
+    nullifierRegistry.claim(proof.nullifier);
+    nullifierRegistry.spend(proof.nullifier);
+
+    await assert.rejects(verificationService.generateProof(credentialId, requirements), /Proof already used/);
+});
+
+/**
+ * Register kyc_verification with placeholder artifacts, so proofs are checked
+ * against its public-signal layout
+ */
+async function loadCircuit() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkkyc-circuit-'));
+    const artifacts = { wasm: path.join(dir, 'c.wasm'), zkey: path.join(dir, 'c.zkey'), vkey: path.join(dir, 'vkey.json') };
+    fs.writeFileSync(artifacts.wasm, 'wasm');
+    fs.writeFileSync(artifacts.zkey, 'zkey');
+    fs.writeFileSync(artifacts.vkey, '{}');
+    await verificationService.circuitRegistry.register({ name: 'kyc_verification', version: '2.0.0', artifacts, publicSignals: PUBLIC_SIGNALS });
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function signals(values) {
+    const defaults = {
+        isValid: '1',
+        nullifier: '5',
+        minAge: '18',
+        allowedCountriesHash: '0',
+        credentialRoot: '0',
+        currentDate: String(toDayNumber(new Date())),
+        externalNullifier: '0'
+    };
+    return PUBLIC_SIGNALS.map(name => ({ ...defaults, ...values })[name]);
+}
+
+test('proofs must show the minimum age the verifier asks for', async () => {
+    await loadCircuit();
+    const proofData = { proof: {}, nullifier: nullifierToHex('5'), circuitId: 'kyc_verification@2.0.0' };
+
+    const young = await verificationService.verifyProof({ ...proofData, publicSignals: signals({ minAge: '16' }) });
+    assert.equal(young.error, 'Proof shows a minimum age of 16, 18 is required');
+
+    const asked = await verificationService.verifyProof({ ...proofData, publicSignals: signals({ minAge: '18' }), minAge: 21 });
+    assert.equal(asked.error, 'Proof shows a minimum age of 18, 21 is required');
+
+    // Past the age and date checks, the (unregistered) root is what fails
+    const older = await verificationService.verifyProof({ ...proofData, publicSignals: signals({ minAge: '21' }), minAge: 21 });
+    assert.equal(older.error, 'Unknown credential root');
+});
+
+test('proofs must be dated today', async () => {
+    await loadCircuit();
+    const proofData = { proof: {}, nullifier: nullifierToHex('5'), circuitId: 'kyc_verification@2.0.0' };
+    const today = toDayNumber(new Date());
+
+    for (const currentDate of [today - 30, today + 2]) {
+        const result = await verificationService.verifyProof({ ...proofData, publicSignals: signals({ currentDate: String(currentDate) }) });
+        assert.equal(result.error, 'Proof is not dated today');
+    }
+    const yesterday = await verificationService.verifyProof({ ...proofData, publicSignals: signals({ currentDate: String(today - 1) }) });
+    assert.equal(yesterday.error, 'Unknown credential root');
+});
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const ethers = require('ethers');
+
+/**
+ * Sign-in for holders with their wallet
+ *
+ * The holder asks for a challenge for their address, signs it with the
+ * wallet (personal_sign) and exchanges the signature for a bearer token.
+ * Challenges are single-use; challenges and sessions live in memory, so a
+ * restart signs everyone out. Expired entries are swept as new ones are
+ * added, and at most `maxChallenges` challenges are open at once.
+ */
+class WalletAuth {
+    constructor(options = {}) {
+        this.challengeTtl = options.challengeTtl || 5 * 60 * 1000; // 5 minutes
+        this.sessionTtl = options.sessionTtl || 60 * 60 * 1000; // 1 hour
+        this.maxChallenges = options.maxChallenges || 10000;
+        // Insertion order is expiry order, as every entry of a map has the same lifetime
+        this.challenges = new Map(); // address -> { message, expiresAt }
+        this.sessions = new Map(); // token -> { userAddress, expiresAt }
+    }
+
+    /**
+     * Message the holder signs to prove they control `userAddress`
+     */
+    challenge(userAddress) {
+        if (!userAddress || !ethers.utils.isAddress(userAddress)) {
+            throw new Error('A valid userAddress is required');
+        }
+
+        const address = userAddress.toLowerCase();
+        sweep(this.challenges);
+        this.challenges.delete(address);
+        if (this.challenges.size >= this.maxChallenges) {
+            throw new Error('Too many open sign-in challenges, try again later');
+        }
+
+        const expiresAt = Date.now() + this.challengeTtl;
+        const message = [
+            `Sign in to zkKYC as ${address}`,
+            `Nonce: ${crypto.randomBytes(16).toString('hex')}`,
+            `Expires: ${new Date(expiresAt).toISOString()}`
+        ].join('\n');
+
+        this.challenges.set(address, { message, expiresAt });
+        return { message, expiresAt };
+    }
+
+    /**
+     * Exchange a signed challenge for a session token
+     */
+    createSession(userAddress, signature) {
+        if (!userAddress || !signature) {
+            throw new Error('userAddress and signature are required');
+        }
+
+        const address = userAddress.toLowerCase();
+        const challenge = this.challenges.get(address);
+        this.challenges.delete(address);
+        if (!challenge || challenge.expiresAt <= Date.now()) {
+            throw new Error('No open challenge for this address');
+        }
+
+        let signer;
+        try {
+            signer = ethers.utils.verifyMessage(challenge.message, signature);
+        } catch (error) {
+            signer = null;
+        }
+        if (!signer || signer.toLowerCase() !== address) {
+            throw new Error('Signature does not match the address');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = { userAddress: address, expiresAt: Date.now() + this.sessionTtl };
+        sweep(this.sessions);
+        this.sessions.set(token, session);
+        return { token, ...session };
+    }
+
+    /**
+     * Address signed in with a token, or null
+     */
+    authenticate(token) {
+        const session = token && this.sessions.get(token);
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session.userAddress;
+    }
+}
+
+/**
+ * Drop expired entries from the front of a map kept in expiry order
+ */
+function sweep(entries) {
+    const now = Date.now();
+    for (const [key, { expiresAt }] of entries) {
+        if (expiresAt > now) {
+            break;
+        }
+        entries.delete(key);
+    }
+}
+
+/**
+ * Express middleware requiring a holder session (Authorization: Bearer <token>)
+ *
+ * The signed-in address is set as `req.userAddress`.
+ */
+function requireWallet(walletAuth) {
+    return (req, res, next) => {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        const userAddress = scheme === 'Bearer' ? walletAuth.authenticate(token) : null;
+        if (!userAddress) {
+            return res.status(401).json({ success: false, error: 'Sign in with your wallet first' });
+        }
+
+        req.userAddress = userAddress;
+        next();
+    };
+}
+
+module.exports = WalletAuth;
+module.exports.requireWallet = requireWallet;
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const ethers = require('ethers');
+const WalletAuth = require('./walletAuth');
+
+async function signIn(walletAuth, wallet = ethers.Wallet.createRandom()) {
+    const { message } = walletAuth.challenge(wallet.address);
+    return walletAuth.createSession(wallet.address, await wallet.signMessage(message));
+}
+
+test('open challenges are capped and expired ones swept', async () => {
+    const walletAuth = new WalletAuth({ challengeTtl: 20, maxChallenges: 2 });
+    const [first, second, third] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+
+    walletAuth.challenge(first);
+    walletAuth.challenge(second);
+    // A new challenge for an address replaces its open one
+    walletAuth.challenge(second);
+    assert.throws(() => walletAuth.challenge(third), /Too many open sign-in challenges/);
+
+    await sleep(30);
+    walletAuth.challenge(third);
+    assert.deepEqual([...walletAuth.challenges.keys()], [third.toLowerCase()]);
+});
+
+test('expired sessions are swept as new ones are created', async () => {
+    const walletAuth = new WalletAuth({ sessionTtl: 20 });
+    const { token } = await signIn(walletAuth);
+
+    await sleep(30);
+    const next = await signIn(walletAuth);
+    assert.deepEqual([...walletAuth.sessions.keys()], [next.token]);
+    assert.equal(walletAuth.authenticate(token), null);
+});
@@ -0,0 +1,107 @@
+const path = require('path');
+
+/**
+ * Parse a comma-separated list of origins ('*' allows any origin)
+ */
+function parseOrigins(value) {
+    if (!value || value === '*') {
+        return '*';
+    }
+    return value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a comma-separated list of country codes
+ */
+function parseCountries(value) {
+    return value ? value.split(',').map(country => country.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Parse stub KYC outcomes, e.g. 'livenessCheck:failed,addressVerification:pending'
+ */
+function parseOutcomes(value) {
+    if (!value) {
+        return {};
+    }
+    return Object.fromEntries(value.split(',').filter(Boolean).map(entry => {
+        const [type, status] = entry.split(':').map(part => part.trim());
+        return [type, status];
+    }));
+}
+
+/**
+ * Parse staff API keys, e.g. 'alice:reviewer:<key>,ops:admin:<key>'
+ */
+function parseStaffKeys(value) {
+    if (!value) {
+        return [];
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, role, ...key] = entry.split(':');
+        return { name, role, key: key.join(':') };
+    });
+}
+
+/**
+ * Read a PEM key from an environment variable (escaped newlines allowed)
+ */
+function parsePem(value) {
+    return value ? value.replace(/\\n/g, '\n') : null;
+}
+
+/**
+ * Load server configuration from environment variables
+ */
+function loadConfig(env = process.env) {
+    const port = parseInt(env.PORT, 10) || 3001;
+    
+    return {
+        port,
+        corsOrigins: parseOrigins(env.CORS_ORIGINS || 'http://localhost:5173'),
+        circuitPath: env.CIRCUIT_PATH || path.join(__dirname, '..', 'circuits', 'build'),
+        allowMockProofs: env.ALLOW_MOCK_PROOFS === 'true', // development only: start without circuit artifacts
+        rpcUrl: env.RPC_URL || null,
+        storage: {
+            driver: env.STORAGE_DRIVER || 'sqlite',
+            filename: env.DATABASE_PATH || path.join(__dirname, 'data', 'zkkyc.db')
+        },
+        // Default issuer; its DID is derived from its key (did:key, or did:ethr on ISSUER_ETHR_NETWORK)
+        issuer: {
+            name: env.ISSUER_NAME || 'zkKYC Platform',
+            did: env.ISSUER_DID || null,
+            didMethod: env.ISSUER_DID_METHOD || 'key',
+            network: env.ISSUER_ETHR_NETWORK || null,
+            algorithm: env.ISSUER_KEY_ALGORITHM || 'ES256K',
+            privateKey: parsePem(env.ISSUER_PRIVATE_KEY),
+            masterKey: env.ISSUER_MASTER_KEY || null, // 32 bytes of hex, wraps stored issuer keys
+            masterKeyFile: env.ISSUER_MASTER_KEY_FILE || path.join(__dirname, 'data', 'issuer-master.key'), // used without ISSUER_MASTER_KEY
+            statusListUrl: env.STATUS_LIST_URL || `http://localhost:${port}/api/status-lists`,
+            schemaUrl: env.SCHEMA_URL || `http://localhost:${port}/api/schemas`
+        },
+        // Reviewer and administrator API keys, sent as X-API-Key
+        staff: {
+            keys: parseStaffKeys(env.STAFF_API_KEYS)
+        },
+        // Provider running the document, liveness and address checks
+        kyc: {
+            provider: env.KYC_PROVIDER || 'none', // checks are refused until a provider is chosen
+            stubOutcomes: parseOutcomes(env.KYC_STUB_OUTCOMES),
+            callbackSecret: env.KYC_CALLBACK_SECRET || null // signs provider result callbacks
+        },
+        // Encrypted store for uploaded identity documents
+        documents: {
+            dir: env.DOCUMENT_STORE_PATH || path.join(__dirname, 'data', 'documents'),
+            masterKey: env.DOCUMENT_MASTER_KEY || null, // 32 bytes of hex
+            maxSize: parseInt(env.DOCUMENT_MAX_BYTES, 10) || 10 * 1024 * 1024,
+            retentionDays: parseInt(env.DOCUMENT_RETENTION_DAYS, 10) || 90,
+            purgeInterval: 60 * 60 * 1000
+        },
+        // Deny lists published on startup, by ID
+        denyLists: {
+            sanctions: parseCountries(env.SANCTIONED_COUNTRIES || 'CU,IR,KP,SY')
+        }
+    };
+}
+
+module.exports = { loadConfig };
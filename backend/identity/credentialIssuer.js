@@ -1,74 +1,80 @@
 const crypto = require('crypto');
 const ethers = require('ethers');
-const { sign } = require('jsonwebtoken');
+const { canonicalize, decodeJwt, signJwt, verifyJwt } = require('./jws');
+const { STATUS_PURPOSES, StatusListRegistry } = require('./statusList');
+const KYCCheckRegistry = require('./kycChecks');
+const TemplateRegistry = require('./credentialTemplates');
+const IssuerRegistry = require('./issuerRegistry');
+const { FORMATS, addDataIntegrityProof, parseCredential, toJwtClaims, verifyDataIntegrityProof } = require('./vcFormats');
+const { createStore } = require('../storage');
 
+/**
+ * Issues and verifies credentials for every issuer in the issuer registry
+ *
+ * Each issuer signs with its current key; a signature is accepted only if its
+ * key was valid for that issuer when it signed. Without an explicit issuer
+ * the default one from the configuration is used.
+ */
 class CredentialIssuer {
-    constructor(issuerConfig) {
-        this.issuerName = issuerConfig.name || 'Trusted KYC Issuer';
-        this.issuerId = issuerConfig.issuerId;
-        this.privateKey = issuerConfig.privateKey;
-        this.publicKey = issuerConfig.publicKey;
-        
-        // Credential templates
-        this.templates = new Map();
-        this.issuedCredentials = new Map();
-        this.revokedCredentials = new Set();
-        
-        // Initialize with default templates
-        this.initializeTemplates();
-    }
-    
-    /**
-     * Initialize credential templates
-     */
-    initializeTemplates() {
-        // Basic KYC template
-        this.templates.set('basic_kyc', {
-            name: 'Basic KYC Verification',
-            version: '1.0',
-            attributes: ['fullName', 'dateOfBirth', 'country', 'documentType', 'isAdult'],
-            validityPeriod: 365 * 24 * 60 * 60 * 1000, // 1 year in milliseconds
-            requires: ['documentVerification', 'livenessCheck']
+    constructor(issuerConfig, options = {}) {
+        const store = options.store || createStore();
+        this.issuedCredentials = store.issuedCredentials; // credentialId -> credential record
+        
+        // Issuer DIDs with their key history (ES256K or EdDSA keys)
+        this.issuers = options.issuers || new IssuerRegistry({
+            repository: store.issuers,
+            keyRepository: store.issuerKeys,
+            masterKey: issuerConfig.masterKey,
+            masterKeyFile: issuerConfig.masterKeyFile
         });
-        
-        // Enhanced KYC template
-        this.templates.set('enhanced_kyc', {
-            name: 'Enhanced KYC Verification',
-            version: '1.0',
-            attributes: ['fullName', 'dateOfBirth', 'country', 'address', 'nationality', 
-                        'documentType', 'documentNumber', 'isAdult', 'sanctionsCheck'],
-            validityPeriod: 365 * 24 * 60 * 60 * 1000,
-            requires: ['documentVerification', 'livenessCheck', 'addressVerification']
+        this.issuerId = this.issuers.bootstrap({
+            ...issuerConfig,
+            name: issuerConfig.name || 'Trusted KYC Issuer'
+        }).id;
+        
+        // Bitstring status lists served at `${statusListUrl}/{purpose}/{listId}`
+        this.statusListUrl = issuerConfig.statusListUrl || 'https://issuer.zkkyc.example/api/status-lists';
+        this.statusLists = new StatusListRegistry({ repository: store.statusLists });
+        
+        // Provider checks (document, liveness, address) that templates require before issuance
+        this.kycChecks = options.kycChecks || new KYCCheckRegistry({
+            repository: store.kycChecks,
+            provider: options.kycProvider
         });
         
-        // Age verification only template
-        this.templates.set('age_verification', {
-            name: 'Age Verification',
-            version: '1.0',
-            attributes: ['isAdult', 'dateOfBirth', 'minAge'],
-            validityPeriod: 90 * 24 * 60 * 60 * 1000, // 90 days
-            requires: ['ageVerification']
+        // Versioned credential templates with JSON Schemas served at `${schemaUrl}/{templateId}/{version}`
+        this.templates = options.templates || new TemplateRegistry({
+            repository: store.credentialTemplates,
+            schemaUrl: issuerConfig.schemaUrl
         });
     }
     
     /**
      * Issue a credential to a user
      */
-    async issueCredential(userData, templateId = 'basic_kyc') {
-        const template = this.templates.get(templateId);
-        if (!template) {
-            throw new Error(`Template ${templateId} not found`);
-        }
+    async issueCredential(userData, templateId = 'basic_kyc', issuerId = this.issuerId) {
+        const issuer = this.issuers.active(issuerId);
+        const template = this.templates.active(templateId);
         
-        // Validate user data against template requirements
+        // Validate the credential subject against the template's schema
         const validation = this.validateUserData(userData, template);
         if (!validation.valid) {
             throw new Error(`Invalid user data: ${validation.errors.join(', ')}`);
         }
         
+        // Every check the template requires must have passed with the KYC provider, for these attributes
+        const { userAddress, ...attributes } = userData;
+        const missingChecks = this.kycChecks.missing(userAddress, template.requires, attributes);
+        if (missingChecks.length > 0) {
+            throw new Error(`Required KYC checks not passed: ${missingChecks.join(', ')}`);
+        }
+        
         // Generate credential ID
         const credentialId = this.generateCredentialId(userData.userAddress);
         
+        // Reserve the credential's position in the status lists
+        const { listId, index } = this.statusLists.allocate(issuer.id);
+        
         // Create credential payload
         const credential = {
             '@context': [
@@ -78,8 +84,8 @@ class CredentialIssuer {
             id: `urn:uuid:${credentialId}`,
             type: ['VerifiableCredential', 'KYCVerificationCredential'],
             issuer: {
-                id: this.issuerId,
-                name: this.issuerName,
+                id: issuer.id,
+                name: issuer.name,
                 type: 'KYCIssuer'
             },
             issuanceDate: new Date().toISOString(),
@@ -89,18 +95,21 @@ class CredentialIssuer {
                 ...this.extractCredentialSubject(userData, template)
             },
             credentialSchema: {
-                id: `https://zkkyc.example/schemas/${templateId}`,
+                id: template.schemaId,
                 type: 'JsonSchemaValidator2018'
             },
-            credentialStatus: {
-                id: `https://issuer.zkkyc.example/credentials/status/${credentialId}`,
-                type: 'CredentialStatusList2021'
-            },
+            credentialStatus: STATUS_PURPOSES.map(purpose => ({
+                id: `${this.getStatusListUrl(purpose, listId)}#${index}`,
+                type: 'BitstringStatusListEntry',
+                statusPurpose: purpose,
+                statusListIndex: String(index),
+                statusListCredential: this.getStatusListUrl(purpose, listId)
+            })),
             proof: null // Will be added after signing
         };
         
         // Sign the credential
-        const signedCredential = await this.signCredential(credential);
+        const signedCredential = await this.signCredential(credential, issuer.id);
         
         // Generate zero-knowledge commitment
         const commitment = this.generateZKCommitment(signedCredential);
@@ -109,14 +118,20 @@ class CredentialIssuer {
         const disclosureKey = this.generateDisclosureKey(credentialId);
         
         // Store credential
-        this.issuedCredentials.set(credentialId, {
+        this.issuedCredentials.save({
+            credentialId,
             credential: signedCredential,
             commitment,
             userAddress: userData.userAddress.toLowerCase(),
             templateId,
+            templateVersion: template.version,
+            issuerId: issuer.id,
+            keyId: decodeJwt(signedCredential.proof.jwt).header.kid,
             issuedAt: Date.now(),
             status: 'active',
-            disclosureKey
+            disclosureKey,
+            statusListId: listId,
+            statusListIndex: index
         });
         
         return {
@@ -125,11 +140,26 @@ class CredentialIssuer {
             credential: signedCredential,
             commitment,
             disclosureKey,
-            issuer: this.issuerId,
+            issuer: issuer.id,
             template: template.name
         };
     }
     
+    /**
+     * Required KYC checks of a template that have not passed for an address
+     *
+     * With the attributes to be issued (`subject`), only checks that verified
+     * them count, exactly as in issueCredential.
+     */
+    getMissingChecks(userAddress, templateId = 'basic_kyc', subject) {
+        const template = this.templates.active(templateId);
+        
+        return {
+            required: template.requires,
+            missing: this.kycChecks.missing(userAddress, template.requires, subject)
+        };
+    }
+    
     /**
      * Generate a selective disclosure proof
      */
@@ -186,8 +216,7 @@ class CredentialIssuer {
         credentialRecord.revokedAt = Date.now();
         credentialRecord.revocationReason = reason;
         
-        this.issuedCredentials.set(credentialId, credentialRecord);
-        this.revokedCredentials.add(credentialId);
+        this.issuedCredentials.save(credentialRecord);
         
         // Update credential status list
         this.updateStatusList(credentialId, 'revoked');
@@ -200,8 +229,93 @@ class CredentialIssuer {
         };
     }
     
+    /**
+     * Temporarily suspend a credential
+     */
+    suspendCredential(credentialId, reason = '') {
+        const credentialRecord = this.issuedCredentials.get(credentialId);
+        if (!credentialRecord) {
+            throw new Error('Credential not found');
+        }
+        
+        if (credentialRecord.status !== 'active') {
+            throw new Error(`Credential status is ${credentialRecord.status}`);
+        }
+        
+        credentialRecord.status = 'suspended';
+        credentialRecord.suspendedAt = Date.now();
+        credentialRecord.suspensionReason = reason;
+        
+        this.issuedCredentials.save(credentialRecord);
+        this.updateStatusList(credentialId, 'suspended');
+        
+        return {
+            success: true,
+            credentialId,
+            suspendedAt: credentialRecord.suspendedAt,
+            reason
+        };
+    }
+    
+    /**
+     * Lift a credential's suspension
+     */
+    reinstateCredential(credentialId) {
+        const credentialRecord = this.issuedCredentials.get(credentialId);
+        if (!credentialRecord) {
+            throw new Error('Credential not found');
+        }
+        
+        if (credentialRecord.status !== 'suspended') {
+            throw new Error(`Credential status is ${credentialRecord.status}`);
+        }
+        
+        credentialRecord.status = 'active';
+        credentialRecord.reinstatedAt = Date.now();
+        delete credentialRecord.suspensionReason;
+        
+        this.issuedCredentials.save(credentialRecord);
+        this.updateStatusList(credentialId, 'active');
+        
+        return {
+            success: true,
+            credentialId,
+            reinstatedAt: credentialRecord.reinstatedAt
+        };
+    }
+    
+    /**
+     * Build the signed Bitstring Status List credential for one list
+     */
+    async getStatusListCredential(purpose, listId) {
+        if (!STATUS_PURPOSES.includes(purpose)) {
+            throw new Error(`Unknown status purpose: ${purpose}`);
+        }
+        
+        const list = this.statusLists.getList(listId);
+        const url = this.getStatusListUrl(purpose, list.id);
+        const issuerId = list.issuerId || this.issuerId; // lists opened before issuers had their own
+        
+        return this.signCredential({
+            '@context': ['https://www.w3.org/ns/credentials/v2'],
+            id: url,
+            type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+            issuer: issuerId,
+            validFrom: new Date(list.updatedAt).toISOString(),
+            credentialSubject: {
+                id: `${url}#list`,
+                type: 'BitstringStatusList',
+                statusPurpose: purpose,
+                encodedList: list.lists[purpose]
+            }
+        }, issuerId);
+    }
+    
     /**
      * Verify a credential
+     *
+     * Only status and metadata are returned; the subject's attributes stay
+     * with the holder.
      */
     async verifyCredential(credentialId, proof) {
         const credentialRecord = this.issuedCredentials.get(credentialId);
@@ -222,6 +336,15 @@ class CredentialIssuer {
             };
         }
         
+        if (credentialRecord.status === 'suspended') {
+            return {
+                valid: false,
+                error: 'Credential suspended',
+                suspendedAt: credentialRecord.suspendedAt,
+                reason: credentialRecord.suspensionReason
+            };
+        }
+        
         // Check if credential is expired
         const expirationDate = new Date(credentialRecord.credential.expirationDate);
         if (expirationDate < new Date()) {
@@ -239,66 +362,112 @@ class CredentialIssuer {
         }
         
         // Verify issuer signature
-        const signatureValid = await this.verifySignature(credentialRecord.credential);
+        const signatureError = this.checkSignature(credentialRecord.credential);
         
         return {
-            valid: signatureValid && proofValid,
+            valid: !signatureError && proofValid,
+            error: signatureError ? 'Invalid issuer signature' : undefined,
+            reason: signatureError || undefined,
             credentialId,
             status: credentialRecord.status,
-            issuer: this.issuerId,
+            issuer: credentialRecord.credential.issuer.id,
             issuedAt: credentialRecord.issuedAt,
             expiresAt: credentialRecord.credential.expirationDate,
-            subject: credentialRecord.credential.credentialSubject.id,
-            attributes: credentialRecord.credential.credentialSubject
+            template: credentialRecord.templateId
         };
     }
     
     /**
-     * Generate a zero-knowledge proof from a credential
+     * Verify a credential document presented by a holder
+     *
+     * The signature must be by a key valid for the issuer when it signed and
+     * the document must not differ from what was signed; the stored record
+     * decides revocation.
      */
-    async generateZKProof(credentialId, circuitRequirements) {
+    async verifyCredentialDocument(credential) {
+        const signatureError = credential ? this.checkSignature(credential) : 'No credential';
+        if (signatureError) {
+            return {
+                valid: false,
+                error: 'Invalid issuer signature',
+                reason: signatureError
+            };
+        }
+        
+        return this.verifyCredential(String(credential.id).replace(/^urn:uuid:/, ''));
+    }
+    
+    /**
+     * Export an issued credential as a VC-JWT or as JSON-LD with a Data Integrity proof
+     *
+     * Only `holder`, the address the credential was issued to, can export it.
+     */
+    exportCredential(credentialId, format = FORMATS.JWT, holder) {
         const credentialRecord = this.issuedCredentials.get(credentialId);
         if (!credentialRecord) {
             throw new Error('Credential not found');
         }
+        if (!holder || credentialRecord.userAddress !== holder.toLowerCase()) {
+            throw new Error('Only the holder can export a credential');
+        }
         
-        // Extract circuit inputs from credential
-        const circuitInputs = this.prepareCircuitInputs(
-            credentialRecord.credential,
-            circuitRequirements
-        );
-        
-        // Generate nullifier
-        const nullifier = this.generateNullifier(credentialId, circuitRequirements);
+        if (format === FORMATS.JWT) {
+            return { format, credential: credentialRecord.credential.proof.jwt };
+        }
         
-        // In production, this would generate actual zk-SNARK proof
-        const zkProof = {
-            proof: {
-                a: ['0x123...', '0x456...'],
-                b: [['0x789...', '0xabc...'], ['0xdef...', '0x123...']],
-                c: ['0x456...', '0x789...']
-            },
-            publicSignals: [
-                nullifier,
-                credentialRecord.commitment,
-                ...Object.values(circuitInputs.public)
-            ]
-        };
+        if (format === FORMATS.JSON_LD) {
+            // A new proof, made with the issuer's current key; recorded so its signing time is known
+            const { keyId, privateKey } = this.issuers.signingKey(credentialRecord.credential.issuer.id);
+            const created = new Date();
+            credentialRecord.proofs = [...(credentialRecord.proofs || []), { keyId, created: created.toISOString() }];
+            this.issuedCredentials.save(credentialRecord);
+            
+            return {
+                format,
+                credential: addDataIntegrityProof(credentialRecord.credential, {
+                    privateKey,
+                    verificationMethod: keyId,
+                    created
+                })
+            };
+        }
         
-        // Store proof reference
-        credentialRecord.zkProofs = credentialRecord.zkProofs || [];
-        credentialRecord.zkProofs.push({
-            nullifier,
-            circuitRequirements,
-            generatedAt: Date.now()
+        throw new Error(`Unsupported credential format: ${format}`);
+    }
+    
+    /**
+     * Import a VC-JWT or JSON-LD credential from a wallet or another issuer
+     *
+     * Credentials from issuers outside the registry are verified against
+     * `options.publicKey`.
+     */
+    importCredential(input, options = {}) {
+        const result = parseCredential(input, {
+            resolveKey: (issuerId, signer) => (this.issuers.find(issuerId)
+                ? this.issuers.resolveKey(issuerId, signer)
+                : options.publicKey)
         });
         
+        if (this.issuers.find(result.issuer)) {
+            // Our own issuers' signatures are checked against the issuance records
+            const signatureError = this.checkSignature(result.credential);
+            if (signatureError && !result.errors.includes(signatureError)) {
+                result.errors.push(signatureError);
+            }
+            result.errors.push(...this.validateAgainstSchema(result.credential));
+            
+            const credentialRecord = this.issuedCredentials.get(String(result.credential.id).replace(/^urn:uuid:/, ''));
+            if (credentialRecord && credentialRecord.status === 'revoked') {
+                result.errors.push('Credential revoked');
+            }
+            if (credentialRecord && credentialRecord.status === 'suspended') {
+                result.errors.push('Credential suspended');
+            }
+        }
+        
         return {
-            success: true,
-            proof: zkProof,
-            nullifier,
-            circuit: 'kyc_circuit_v1',
-            verifier: '0x...' // Verifier contract address
+            ...result,
+            valid: result.errors.length === 0
         };
     }
     
@@ -322,30 +491,31 @@ class CredentialIssuer {
         return crypto.randomBytes(32).toString('hex');
     }
     
-    generateNullifier(credentialId, requirements) {
-        const hash = crypto.createHash('sha256');
-        hash.update(credentialId + JSON.stringify(requirements) + Date.now());
-        return '0x' + hash.digest('hex');
-    }
-    
-    validateUserData(userData, template) {
+    validateAgainstSchema(credential) {
         const errors = [];
-        const requiredAttrs = template.attributes;
+        const subject = credential.credentialSubject || {};
         
-        for (const attr of requiredAttrs) {
-            if (userData[attr] === undefined) {
-                errors.push(`Missing required attribute: ${attr}`);
+        for (const schema of [].concat(credential.credentialSchema || [])) {
+            const template = this.templates.bySchemaId(schema.id);
+            if (!template) {
+                errors.push(`Unknown credential schema: ${schema.id}`);
+                continue;
             }
+            
+            errors.push(...this.templates.validateSubject(template, subject));
         }
         
-        // Special validation for age
-        if (requiredAttrs.includes('isAdult')) {
-            if (userData.dateOfBirth) {
-                const age = this.calculateAge(userData.dateOfBirth);
-                if (age < 18) {
-                    errors.push('User must be at least 18 years old');
-                }
-            }
+        return errors;
+    }
+    
+    validateUserData(userData, template) {
+        const subject = this.extractCredentialSubject(userData, template);
+        const errors = this.templates.validateSubject(template, subject);
+        
+        // A false isAdult means the applicant is too young; say so plainly
+        const isAdultError = errors.indexOf('isAdult must be true');
+        if (isAdultError !== -1) {
+            errors[isAdultError] = 'User must be at least 18 years old';
         }
         
         return {
@@ -370,37 +540,99 @@ class CredentialIssuer {
     extractCredentialSubject(userData, template) {
         const subject = {};
         
-        for (const attr of template.attributes) {
+        for (const attr of Object.keys(template.attributes)) {
             if (userData[attr] !== undefined) {
                 subject[attr] = userData[attr];
             }
         }
         
         // Add calculated attributes
-        if (template.attributes.includes('isAdult')) {
+        if (template.attributes.isAdult && userData.dateOfBirth) {
             subject.isAdult = this.calculateAge(userData.dateOfBirth) >= 18;
         }
         
         return subject;
     }
     
-    async signCredential(credential) {
-        // In production, use actual JWT or other signing mechanism
-        // This is a mock implementation
-        const payload = {
-            ...credential,
+    async signCredential(credential, issuerId = this.issuerId) {
+        // Sign as a JWT-VC with the issuer's current key; the whole unsigned credential is carried in the `vc` claim
+        const { proof, ...unsigned } = credential;
+        const { keyId, privateKey } = this.issuers.signingKey(issuerId);
+        const jwt = signJwt(toJwtClaims(unsigned), privateKey, { kid: keyId });
+        
+        return {
+            ...unsigned,
             proof: {
                 type: 'JwtProof2020',
-                jwt: 'mock-jwt-token-' + Date.now()
+                jwt
             }
         };
-        
-        return payload;
     }
     
     async verifySignature(credential) {
-        // Mock verification
-        return credential.proof && credential.proof.jwt;
+        return !this.checkSignature(credential);
+    }
+    
+    /**
+     * Why a credential's signature is not acceptable, or null if it is
+     *
+     * Only credentials this service issued are accepted for the registry's
+     * issuers, and their keys are checked at the signing time recorded at
+     * issuance (or export), never at a date the document claims: a
+     * compromised key cannot backdate credentials past its revocation.
+     */
+    checkSignature(credential) {
+        const { proof, ...unsigned } = credential;
+        if (!proof || (proof.type !== 'DataIntegrityProof' && !proof.jwt)) {
+            return 'Credential has no proof';
+        }
+        const issuerId = typeof credential.issuer === 'object' && credential.issuer !== null
+            ? credential.issuer.id
+            : credential.issuer;
+        if (!this.issuers.find(issuerId)) {
+            return `Unknown issuer: ${issuerId}`;
+        }
+        
+        const credentialRecord = this.issuedCredentials.get(String(credential.id).replace(/^urn:uuid:/, ''));
+        const signer = credentialRecord && this.recordedSigner(credentialRecord, proof);
+        if (!signer) {
+            return 'Credential was not issued by this service';
+        }
+        
+        try {
+            const publicKey = this.issuers.resolveKey(issuerId, signer);
+            if (proof.type === 'DataIntegrityProof') {
+                if (!verifyDataIntegrityProof(credential, publicKey)) {
+                    return 'Invalid Data Integrity proof';
+                }
+            } else {
+                const { payload } = verifyJwt(proof.jwt, publicKey);
+                if (payload.iss !== issuerId || canonicalize(payload.vc) !== canonicalize(unsigned)) {
+                    return 'Credential differs from what was signed';
+                }
+            }
+            
+            // Reject credentials whose content differs from what was issued
+            const { proof: issuedProof, ...issued } = credentialRecord.credential;
+            return canonicalize(unsigned) === canonicalize(issued) ? null : 'Credential differs from what was issued';
+        } catch (error) {
+            return error.message;
+        }
+    }
+    
+    /**
+     * Key and signing time of a proof made by this service, from the credential record
+     */
+    recordedSigner(credentialRecord, proof) {
+        if (proof.type === 'DataIntegrityProof') {
+            const made = (credentialRecord.proofs || [])
+                .find(recorded => recorded.keyId === proof.verificationMethod && recorded.created === proof.created);
+            return made ? { keyId: made.keyId, signedAt: made.created } : null;
+        }
+        if (proof.jwt !== credentialRecord.credential.proof.jwt) {
+            return null;
+        }
+        return { keyId: credentialRecord.keyId, signedAt: credentialRecord.issuedAt };
     }
     
     async createDisclosureProof(credentialId, disclosed, undisclosed) {
@@ -419,64 +651,61 @@ class CredentialIssuer {
         return proof && proof.type === 'SelectiveDisclosureProof';
     }
     
-    prepareCircuitInputs(credential, requirements) {
-        const subject = credential.credentialSubject;
-        
-        return {
-            private: {
-                // Private inputs (not revealed in proof)
-                fullNameHash: this.hashAttribute(subject.fullName),
-                dobHash: this.hashAttribute(subject.dateOfBirth),
-                documentHash: this.hashAttribute(subject.documentNumber)
-            },
-            public: {
-                // Public inputs (revealed in proof)
-                minAge: requirements.minAge || 18,
-                allowedCountry: requirements.country || 'ANY',
-                credentialRoot: this.hashAttribute(JSON.stringify(subject))
-            }
-        };
-    }
-    
-    hashAttribute(value) {
-        const hash = crypto.createHash('sha256');
-        hash.update(String(value));
-        return '0x' + hash.digest('hex');
+    getStatusListUrl(purpose, listId) {
+        return `${this.statusListUrl}/${purpose}/${listId}`;
     }
     
     updateStatusList(credentialId, status) {
-        // In production, update a public status list
-        console.log(`Credential ${credentialId} status updated to ${status}`);
+        const credentialRecord = this.issuedCredentials.get(credentialId);
+        if (!credentialRecord || credentialRecord.statusListId === undefined) {
+            return; // issued before status lists were introduced
+        }
+        
+        const { statusListId, statusListIndex } = credentialRecord;
+        if (status === 'revoked') {
+            this.statusLists.setStatus(statusListId, statusListIndex, 'revocation', true);
+        } else {
+            this.statusLists.setStatus(statusListId, statusListIndex, 'suspension', status === 'suspended');
+        }
     }
     
     /**
      * Get issuer statistics
      */
     getStats() {
-        const total = this.issuedCredentials.size;
-        const active = Array.from(this.issuedCredentials.values())
-            .filter(c => c.status === 'active').length;
-        const revoked = this.revokedCredentials.size;
+        const total = this.issuedCredentials.count();
+        const active = this.issuedCredentials.count('status', 'active');
+        const revoked = this.issuedCredentials.count('status', 'revoked');
+        const suspended = this.issuedCredentials.count('status', 'suspended');
         
         return {
             totalCredentials: total,
             activeCredentials: active,
             revokedCredentials: revoked,
-            templates: this.templates.size,
-            issuer: this.issuerName
+            suspendedCredentials: suspended,
+            templates: this.templates.list().length,
+            issuers: this.issuers.trusted().length,
+            issuer: this.issuers.get(this.issuerId).name
         };
     }
     
     /**
-     * Export public key for verification
+     * Export an issuer's current public key for verification
      */
-    getPublicKeyInfo() {
+    getPublicKeyInfo(issuerId = this.issuerId) {
+        const issuer = this.issuers.get(issuerId);
+        const key = this.issuers.currentKey(issuer);
+        
         return {
-            issuerId: this.issuerId,
-            issuerName: this.issuerName,
-            publicKey: this.publicKey,
-            supportedTemplates: Array.from(this.templates.keys()),
-            credentialStatusEndpoint: `https://issuer.zkkyc.example/status/{id}`
+            issuerId: issuer.id,
+            issuerName: issuer.name,
+            publicKey: key ? key.publicKey : null,
+            algorithm: key ? key.algorithm : null,
+            keyId: key ? key.id : null,
+            supportedTemplates: this.templates.list()
+                .filter(template => template.status === TemplateRegistry.TEMPLATE_STATUS.ACTIVE)
+                .map(template => template.templateId),
+            credentialStatusEndpoint: `${this.statusListUrl}/{purpose}/{listId}`
         };
     }
 }
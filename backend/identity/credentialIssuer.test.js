@@ -0,0 +1,94 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CredentialIssuer = require('./credentialIssuer');
+const { signJwt } = require('./jws');
+const { toJwtClaims } = require('./vcFormats');
+const { createKYCProvider } = require('./kycProviders');
+const { MemoryStore } = require('../storage/memoryStore');
+
+const userAddress = '0xabc0000000000000000000000000000000000001';
+const subject = {
+    fullName: 'Ada Lovelace',
+    dateOfBirth: '1990-01-01',
+    country: 'US',
+    documentType: 'passport',
+    documentNumber: 'P1234567'
+};
+const userData = { userAddress, ...subject };
+
+let issuer;
+
+beforeEach(async () => {
+    issuer = new CredentialIssuer({ name: 'Default', masterKey: 'ab'.repeat(32) }, {
+        store: new MemoryStore(),
+        kycProvider: createKYCProvider({ provider: 'stub' })
+    });
+    for (const type of ['documentVerification', 'livenessCheck']) {
+        await issuer.kycChecks.run(userAddress, type, { subject });
+    }
+});
+
+/**
+ * Sign a credential with the issuer's current key, as someone holding a copy of it could
+ */
+function forge(credential) {
+    const { keyId, privateKey } = issuer.issuers.signingKey(issuer.issuerId);
+    const { proof, ...unsigned } = credential;
+    return { ...unsigned, proof: { type: 'JwtProof2020', jwt: signJwt(toJwtClaims(unsigned), privateKey, { kid: keyId }) } };
+}
+
+test('issued credentials and their JSON-LD exports verify', async () => {
+    const issued = await issuer.issueCredential(userData);
+
+    assert.equal((await issuer.verifyCredentialDocument(issued.credential)).valid, true);
+    const { credential } = issuer.exportCredential(issued.credentialId, 'jsonld', userAddress);
+    assert.equal((await issuer.verifyCredentialDocument(credential)).valid, true);
+    assert.equal(issuer.importCredential(credential).valid, true);
+
+    const moved = { ...credential, proof: { ...credential.proof, created: '2020-01-01T00:00:00.000Z' } };
+    assert.equal((await issuer.verifyCredentialDocument(moved)).reason, 'Credential was not issued by this service');
+});
+
+test('a compromised key cannot backdate credentials past its revocation', async () => {
+    const issued = await issuer.issueCredential(userData);
+    const compromisedAt = Date.now() - 1;
+
+    // Signed with the leaked key but dated before the compromise
+    const backdated = forge({
+        ...issued.credential,
+        id: 'urn:uuid:forged',
+        issuanceDate: new Date(compromisedAt - 60 * 60 * 1000).toISOString()
+    });
+    const altered = forge({
+        ...issued.credential,
+        credentialSubject: { ...issued.credential.credentialSubject, country: 'GB' }
+    });
+    issuer.issuers.revokeKey(issuer.issuerId, 'key-1', { revokedAt: compromisedAt, reason: 'leaked' });
+
+    const forged = await issuer.verifyCredentialDocument(backdated);
+    assert.equal(forged.valid, false);
+    assert.equal(forged.reason, 'Credential was not issued by this service');
+    assert.equal(issuer.importCredential(backdated.proof.jwt).valid, false);
+    assert.equal((await issuer.verifyCredentialDocument(altered)).reason, 'Credential was not issued by this service');
+
+    // The genuine credential was signed after the compromise time, so it is invalid too
+    assert.match((await issuer.verifyCredential(issued.credentialId)).reason, /was revoked/);
+});
+
+test('KYC checks only count for the attributes they verified', async () => {
+    const other = '0xabc0000000000000000000000000000000000002';
+    for (const type of ['documentVerification', 'livenessCheck']) {
+        await issuer.kycChecks.run(other, type, { subject: { ...subject, fullName: 'Someone Else' } });
+    }
+
+    await assert.rejects(issuer.issueCredential({ ...userData, userAddress: other }), /Required KYC checks not passed/);
+    await assert.rejects(issuer.issueCredential({ ...userData, documentNumber: 'X7654321' }), /Required KYC checks not passed/);
+    assert.equal((await issuer.issueCredential(userData)).credential.credentialSubject.fullName, 'Ada Lovelace');
+});
+
+test('missing checks are reported for the attributes to be issued', () => {
+    const changed = { ...subject, documentNumber: 'X7654321' };
+
+    assert.deepEqual(issuer.getMissingChecks(userAddress, 'basic_kyc', subject).missing, []);
+    assert.deepEqual(issuer.getMissingChecks(userAddress, 'basic_kyc', changed).missing, ['documentVerification', 'livenessCheck']);
+});
@@ -0,0 +1,189 @@
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { TREE_DEPTH, encodeCommitmentInputs } = require('../../circuits/generate_proof');
+const { poseidon, computeCommitment, fieldToHex: toHex } = require('../../circuits/hashing.mjs');
+const IncrementalMerkleTree = require('./merkleTree');
+
+/**
+ * Commitment to a credential's witness data: the registry leaf the circuit proves
+ *
+ * `credential` has the fields of `encodeCommitmentInputs` (the holder's
+ * secret or holderCommitment, credentialId, dateOfBirth, country, optional
+ * nationality, documentNumber).
+ */
+function computeCredentialCommitment(credential) {
+    return toHex(computeCommitment(encodeCommitmentInputs(credential)));
+}
+
+/**
+ * Registry of issued credential commitments in an incremental Poseidon Merkle tree
+ *
+ * Each change publishes a new root; proofs against any of the last
+ * `rootHistorySize` roots are accepted so provers are not invalidated by
+ * concurrent issuance. Removing a credential zeroes its leaf and invalidates
+ * every earlier root, which still contain the removed commitment. Roots are
+ * recorded by sequence: a removal can publish an earlier root again.
+ */
+class CredentialRegistry {
+    constructor(options = {}) {
+        this.leaves = options.leaves || new MemoryRepository(COLLECTIONS.registryLeaves);
+        this.roots = options.roots || new MemoryRepository(COLLECTIONS.registryRoots);
+        this.depth = options.depth || TREE_DEPTH;
+        this.rootHistorySize = options.rootHistorySize || 100;
+        this.tree = null;
+        this.loading = null;
+        this.minValidSequence = 0; // first root published after the last removal
+    }
+    
+    /**
+     * Rebuild the tree from stored leaves on first use
+     */
+    async ready() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        await this.loading;
+        return this.tree;
+    }
+    
+    /**
+     * Add a credential commitment and publish the new root
+     */
+    async insert(commitment, credentialId) {
+        const tree = await this.ready();
+        const key = toHex(commitment);
+        
+        const existing = this.leaves.get(key);
+        if (existing) {
+            return { leafIndex: existing.leafIndex, root: toHex(tree.root) };
+        }
+        
+        const leafIndex = tree.insert(BigInt(key));
+        this.leaves.save({
+            commitment: key,
+            credentialId,
+            leafIndex,
+            insertedAt: Date.now()
+        });
+        
+        return { leafIndex, root: this.recordRoot() };
+    }
+    
+    /**
+     * Zero a credential's leaf (e.g. on revocation) and publish the new root
+     *
+     * Only the new root and later ones are accepted from then on.
+     */
+    async remove(credentialId) {
+        const tree = await this.ready();
+        const leaf = this.leaves.findBy('credentialId', credentialId)[0];
+        if (!leaf || leaf.removedAt) {
+            return false;
+        }
+        
+        tree.update(leaf.leafIndex, 0n);
+        leaf.removedAt = Date.now();
+        this.leaves.save(leaf);
+        
+        this.recordRoot({ removal: true });
+        return true;
+    }
+    
+    /**
+     * Inclusion path for a credential's commitment against the current root
+     */
+    async getProof(credentialId) {
+        const tree = await this.ready();
+        const leaf = this.leaves.findBy('credentialId', credentialId)[0];
+        if (!leaf) {
+            throw new Error('Credential not in registry');
+        }
+        if (leaf.removedAt) {
+            throw new Error('Credential removed from registry');
+        }
+        
+        const proof = tree.getProof(leaf.leafIndex);
+        return {
+            root: toHex(proof.root),
+            leaf: toHex(proof.leaf),
+            leafIndex: proof.leafIndex,
+            pathElements: proof.pathElements.map(toHex),
+            pathIndices: proof.pathIndices
+        };
+    }
+    
+    /**
+     * Current root and tree size
+     */
+    async getRoot() {
+        const tree = await this.ready();
+        return {
+            root: toHex(tree.root),
+            size: tree.size,
+            depth: this.depth,
+            sequence: this.rootCount
+        };
+    }
+    
+    /**
+     * Published roots not invalidated by a removal, newest first
+     */
+    async getRoots(limit = this.rootHistorySize) {
+        await this.ready();
+        return this.roots.list()
+            .filter(record => record.sequence >= this.minValidSequence)
+            .sort((a, b) => b.sequence - a.sequence)
+            .slice(0, limit);
+    }
+    
+    /**
+     * Whether a root is one of the last `rootHistorySize` published roots and
+     * no credential has been removed since
+     */
+    async isKnownRoot(root) {
+        await this.ready();
+        const sequence = this.roots.findBy('root', toHex(root))
+            .reduce((latest, record) => Math.max(latest, record.sequence), 0);
+        return sequence > 0
+            && sequence >= this.minValidSequence
+            && sequence > this.rootCount - this.rootHistorySize;
+    }
+    
+    /**
+     * Helper methods
+     */
+    async load() {
+        const tree = new IncrementalMerkleTree(this.depth, (left, right) => poseidon([left, right]));
+        
+        const leaves = this.leaves.list().sort((a, b) => a.leafIndex - b.leafIndex);
+        for (const leaf of leaves) {
+            tree.insert(leaf.removedAt ? 0n : BigInt(leaf.commitment));
+        }
+        
+        const roots = this.roots.list();
+        this.tree = tree;
+        this.rootCount = roots.reduce((latest, record) => Math.max(latest, record.sequence), 0);
+        this.minValidSequence = roots
+            .filter(record => record.removal)
+            .reduce((latest, record) => Math.max(latest, record.sequence), 0);
+    }
+    
+    recordRoot({ removal = false } = {}) {
+        const root = toHex(this.tree.root);
+        this.rootCount++;
+        this.roots.save({
+            root,
+            sequence: this.rootCount,
+            size: this.tree.size,
+            removal,
+            createdAt: Date.now()
+        });
+        if (removal) {
+            this.minValidSequence = this.rootCount;
+        }
+        return root;
+    }
+}
+
+module.exports = CredentialRegistry;
+module.exports.computeCredentialCommitment = computeCredentialCommitment;
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CredentialRegistry = require('./credentialRegistry');
+const { computeCredentialCommitment } = CredentialRegistry;
+const { poseidon, computeHolderCommitment } = require('../../circuits/hashing.mjs');
+
+const witness = {
+    secret: '0x01',
+    credentialId: 'c1',
+    dateOfBirth: '1990-01-01',
+    country: 'US',
+    documentNumber: 'P1234567'
+};
+
+/**
+ * Recompute the root from an inclusion path
+ */
+function rootFromProof(proof) {
+    let node = BigInt(proof.leaf);
+    proof.pathElements.forEach((sibling, level) => {
+        node = proof.pathIndices[level]
+            ? poseidon([BigInt(sibling), node])
+            : poseidon([node, BigInt(sibling)]);
+    });
+    return node;
+}
+
+test('commitments are deterministic and bind every witness field', async () => {
+    const commitment = computeCredentialCommitment(witness);
+    assert.equal(computeCredentialCommitment({ ...witness }), commitment);
+    assert.notEqual(computeCredentialCommitment({ ...witness, country: 'GB' }), commitment);
+    assert.notEqual(computeCredentialCommitment({ ...witness, credentialId: 'c2' }), commitment);
+});
+
+test('the issuer computes the same commitment from the holder commitment alone', () => {
+    const { secret, ...attributes } = witness;
+    const holderCommitment = computeHolderCommitment(secret);
+
+    assert.equal(computeCredentialCommitment({ ...attributes, holderCommitment }), computeCredentialCommitment(witness));
+    assert.throws(() => computeCredentialCommitment(attributes), /secret or holderCommitment is required/);
+});
+
+test('inclusion paths lead to the current root', async () => {
+    const registry = new CredentialRegistry({ depth: 4 });
+    await registry.insert(computeCredentialCommitment(witness), 'c1');
+    const { root } = await registry.insert(computeCredentialCommitment({ ...witness, credentialId: 'c2' }), 'c2');
+
+    const proof = await registry.getProof('c2');
+    assert.equal(proof.leafIndex, 1);
+    assert.equal(proof.root, root);
+    assert.equal(rootFromProof(proof), BigInt(root));
+    assert.equal(await registry.isKnownRoot(root), true);
+});
+
+test('inserting a commitment twice keeps its leaf', async () => {
+    const registry = new CredentialRegistry({ depth: 4 });
+    const commitment = computeCredentialCommitment(witness);
+    const first = await registry.insert(commitment, 'c1');
+    const second = await registry.insert(commitment, 'c1');
+
+    assert.equal(second.leafIndex, first.leafIndex);
+    assert.equal((await registry.getRoot()).size, 1);
+});
+
+test('removing a credential zeroes its leaf and publishes a new root', async () => {
+    const registry = new CredentialRegistry({ depth: 4 });
+    const { root } = await registry.insert(computeCredentialCommitment(witness), 'c1');
+
+    assert.equal(await registry.remove('c1'), true);
+    assert.equal(await registry.remove('c1'), false);
+    await assert.rejects(registry.getProof('c1'), /removed from registry/);
+
+    const current = await registry.getRoot();
+    assert.notEqual(current.root, root);
+    assert.equal(current.sequence, 2);
+});
+
+test('the tree is rebuilt from stored leaves', async () => {
+    const registry = new CredentialRegistry({ depth: 4 });
+    await registry.insert(computeCredentialCommitment(witness), 'c1');
+    await registry.insert(computeCredentialCommitment({ ...witness, credentialId: 'c2' }), 'c2');
+    await registry.remove('c1');
+
+    const reloaded = new CredentialRegistry({ depth: 4, leaves: registry.leaves, roots: registry.roots });
+    assert.deepEqual(await reloaded.getRoot(), await registry.getRoot());
+});
+
+test('removing a credential invalidates every earlier root', async () => {
+    const registry = new CredentialRegistry({ depth: 4 });
+    const { root: before } = await registry.insert(computeCredentialCommitment(witness), 'c1');
+    const { root: latest } = await registry.insert(computeCredentialCommitment({ ...witness, credentialId: 'c2' }), 'c2');
+
+    await registry.remove('c1');
+    const { root: current } = await registry.getRoot();
+    assert.equal(await registry.isKnownRoot(before), false);
+    assert.equal(await registry.isKnownRoot(latest), false);
+    assert.equal(await registry.isKnownRoot(current), true);
+    assert.deepEqual((await registry.getRoots()).map(record => record.root), [current]);
+
+    // Roots published after the removal are accepted as usual, also after a restart
+    const { root: next } = await registry.insert(computeCredentialCommitment({ ...witness, credentialId: 'c3' }), 'c3');
+    const reloaded = new CredentialRegistry({ depth: 4, leaves: registry.leaves, roots: registry.roots });
+    assert.equal(await reloaded.isKnownRoot(current), true);
+    assert.equal(await reloaded.isKnownRoot(next), true);
+    assert.equal(await reloaded.isKnownRoot(latest), false);
+});
+
+test('a root published again by a removal stays known after a restart', async () => {
+    const registry = new CredentialRegistry({ depth: 4 });
+    const commitment = credentialId => computeCredentialCommitment({ ...witness, credentialId });
+    await registry.insert(commitment('a'), 'a');
+    await registry.insert(commitment('b'), 'b');
+    await registry.remove('b');
+    await registry.insert(commitment('d'), 'd');
+    await registry.remove('d');
+    const { root: restored, sequence } = await registry.getRoot();
+    assert.equal(sequence, 5);
+
+    const reloaded = new CredentialRegistry({ depth: 4, leaves: registry.leaves, roots: registry.roots });
+    assert.deepEqual(await reloaded.getRoot(), await registry.getRoot());
+    const { root } = await reloaded.insert(commitment('c'), 'c');
+    assert.equal((await reloaded.getRoot()).sequence, 6);
+    assert.equal(await reloaded.isKnownRoot(root), true);
+    assert.deepEqual((await reloaded.getRoots()).map(record => record.root), [root, restored]);
+});
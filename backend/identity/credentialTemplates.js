@@ -0,0 +1,284 @@
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { CHECK_TYPES } = require('./kycProviders');
+const { checkSchema, validate } = require('./jsonSchema');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TEMPLATE_STATUS = {
+    ACTIVE: 'active',
+    SUPERSEDED: 'superseded', // an older version; still served so issued credentials validate
+    RETIRED: 'retired' // no further issuance
+};
+
+// Schema IDs of credentials issued before templates were versioned; they map to version 1
+const LEGACY_SCHEMA_URL = 'https://zkkyc.example/schemas';
+
+const COUNTRY_CODE = { type: 'string', pattern: '^[A-Z]{2}$', description: 'ISO 3166-1 alpha-2 country code' };
+const DATE_OF_BIRTH = { type: 'string', format: 'date' };
+const DOCUMENT_TYPE = { type: 'string', enum: ['passport', 'id_card', 'drivers_license'] };
+
+// Built-in templates, created as version 1 when missing
+const DEFAULT_TEMPLATES = [
+    {
+        templateId: 'basic_kyc',
+        name: 'Basic KYC Verification',
+        validityPeriod: 365 * DAY,
+        requires: [CHECK_TYPES.DOCUMENT, CHECK_TYPES.LIVENESS],
+        attributes: {
+            fullName: { type: 'string', minLength: 1, maxLength: 200 },
+            dateOfBirth: DATE_OF_BIRTH,
+            country: COUNTRY_CODE,
+            documentType: DOCUMENT_TYPE,
+            isAdult: { type: 'boolean', const: true, description: 'At least 18 years old, computed from dateOfBirth' }
+        }
+    },
+    {
+        templateId: 'enhanced_kyc',
+        name: 'Enhanced KYC Verification',
+        validityPeriod: 365 * DAY,
+        requires: [CHECK_TYPES.DOCUMENT, CHECK_TYPES.LIVENESS, CHECK_TYPES.ADDRESS],
+        attributes: {
+            fullName: { type: 'string', minLength: 1, maxLength: 200 },
+            dateOfBirth: DATE_OF_BIRTH,
+            country: COUNTRY_CODE,
+            address: {
+                type: 'object',
+                properties: {
+                    street: { type: 'string', minLength: 1 },
+                    city: { type: 'string', minLength: 1 },
+                    postalCode: { type: 'string', maxLength: 16 },
+                    country: COUNTRY_CODE
+                },
+                required: ['street', 'city', 'country']
+            },
+            nationality: COUNTRY_CODE,
+            documentType: DOCUMENT_TYPE,
+            documentNumber: { type: 'string', pattern: '^[A-Za-z0-9-]{4,20}$' },
+            isAdult: { type: 'boolean', const: true, description: 'At least 18 years old, computed from dateOfBirth' },
+            sanctionsCheck: { type: 'boolean', const: true, description: 'Screened against sanctions lists without a match' }
+        }
+    },
+    {
+        templateId: 'age_verification',
+        name: 'Age Verification',
+        validityPeriod: 90 * DAY,
+        requires: [CHECK_TYPES.AGE],
+        attributes: {
+            isAdult: { type: 'boolean', description: 'At least 18 years old, computed from dateOfBirth' },
+            dateOfBirth: DATE_OF_BIRTH,
+            minAge: { type: 'integer', minimum: 0, maximum: 150 }
+        }
+    }
+];
+
+/**
+ * Versioned credential templates
+ *
+ * A template names the attributes a credential carries, each described by a
+ * JSON Schema, which of them are required and the KYC checks that must pass
+ * before issuance. Updating a template creates a new version; earlier
+ * versions are kept, and their schemas stay published under their own IDs so
+ * credentials issued from them can still be validated.
+ */
+class TemplateRegistry {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.credentialTemplates);
+        this.schemaUrl = options.schemaUrl || 'https://issuer.zkkyc.example/api/schemas';
+
+        for (const template of options.defaults || DEFAULT_TEMPLATES) {
+            if (!this.latest(template.templateId)) {
+                this.create(template);
+            }
+        }
+    }
+
+    /**
+     * Create a template as version 1
+     */
+    create(definition = {}) {
+        if (!/^[a-z][a-z0-9_]{2,63}$/.test(definition.templateId || '')) {
+            throw new Error('Invalid template: templateId must be 3-64 lowercase letters, digits or underscores');
+        }
+        if (this.latest(definition.templateId)) {
+            throw new Error(`Template ${definition.templateId} already exists`);
+        }
+        return this.saveVersion(definition.templateId, 1, definition);
+    }
+
+    /**
+     * Publish a new version of a template; the previous version is superseded
+     */
+    update(templateId, changes = {}) {
+        const current = this.active(templateId);
+        const definition = {
+            name: current.name,
+            description: current.description,
+            validityPeriod: current.validityPeriod,
+            requires: current.requires,
+            attributes: current.attributes,
+            required: current.required,
+            ...changes
+        };
+
+        const template = this.saveVersion(templateId, current.version + 1, definition);
+        this.repository.save({ ...current, status: TEMPLATE_STATUS.SUPERSEDED });
+        return template;
+    }
+
+    /**
+     * Stop issuing from a template; its versions remain readable
+     */
+    retire(templateId) {
+        const current = this.active(templateId);
+        const retired = { ...current, status: TEMPLATE_STATUS.RETIRED, retiredAt: Date.now() };
+        this.repository.save(retired);
+        return retired;
+    }
+
+    saveVersion(templateId, version, definition) {
+        const errors = this.checkDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid template: ${errors.join(', ')}`);
+        }
+
+        const template = {
+            id: `${templateId}@${version}`,
+            templateId,
+            version,
+            name: definition.name,
+            description: definition.description || null,
+            validityPeriod: definition.validityPeriod,
+            requires: definition.requires || [],
+            attributes: definition.attributes,
+            required: definition.required || Object.keys(definition.attributes),
+            schemaId: `${this.schemaUrl}/${templateId}/${version}`,
+            status: TEMPLATE_STATUS.ACTIVE,
+            createdAt: Date.now()
+        };
+        this.repository.save(template);
+        return template;
+    }
+
+    checkDefinition({ name, validityPeriod, requires = [], attributes, required }) {
+        const errors = [];
+        if (!name) {
+            errors.push('name is required');
+        }
+        if (!Number.isInteger(validityPeriod) || validityPeriod <= 0) {
+            errors.push('validityPeriod must be a positive number of milliseconds');
+        }
+
+        const checkTypes = Object.values(CHECK_TYPES);
+        for (const check of [].concat(requires)) {
+            if (!checkTypes.includes(check)) {
+                errors.push(`unknown KYC check ${check}`);
+            }
+        }
+
+        if (!attributes || typeof attributes !== 'object' || Object.keys(attributes).length === 0) {
+            errors.push('attributes must map attribute names to JSON Schemas');
+            return errors;
+        }
+        for (const [attribute, schema] of Object.entries(attributes)) {
+            errors.push(...checkSchema(schema, attribute));
+        }
+        for (const attribute of [].concat(required || [])) {
+            if (!attributes[attribute]) {
+                errors.push(`required attribute ${attribute} is not defined`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * All versions of a template, newest first
+     */
+    versions(templateId) {
+        return this.repository.findBy('templateId', templateId)
+            .sort((a, b) => b.version - a.version);
+    }
+
+    latest(templateId) {
+        return this.versions(templateId)[0] || null;
+    }
+
+    /**
+     * Current version of a template that can be issued from
+     */
+    active(templateId) {
+        const template = this.latest(templateId);
+        if (!template) {
+            throw new Error(`Template ${templateId} not found`);
+        }
+        if (template.status === TEMPLATE_STATUS.RETIRED) {
+            throw new Error(`Template ${templateId} is retired`);
+        }
+        return template;
+    }
+
+    getVersion(templateId, version) {
+        const template = this.repository.get(`${templateId}@${version}`);
+        if (!template) {
+            throw new Error(`Template ${templateId} version ${version} not found`);
+        }
+        return template;
+    }
+
+    bySchemaId(schemaId) {
+        if (schemaId.startsWith(`${LEGACY_SCHEMA_URL}/`)) {
+            return this.repository.get(`${schemaId.slice(LEGACY_SCHEMA_URL.length + 1)}@1`);
+        }
+        if (!schemaId.startsWith(`${this.schemaUrl}/`)) {
+            return null;
+        }
+
+        const [templateId, version] = schemaId.slice(this.schemaUrl.length + 1).split('/');
+        return this.repository.get(`${templateId}@${version}`);
+    }
+
+    /**
+     * Latest version of every template, retired ones included
+     */
+    list() {
+        const latest = new Map();
+        for (const template of this.repository.list()) {
+            const current = latest.get(template.templateId);
+            if (!current || template.version > current.version) {
+                latest.set(template.templateId, template);
+            }
+        }
+        return Array.from(latest.values()).sort((a, b) => a.templateId.localeCompare(b.templateId));
+    }
+
+    /**
+     * JSON Schema of the credentials issued from a template version
+     */
+    credentialSchema(template) {
+        return {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $id: template.schemaId,
+            title: `${template.name} (version ${template.version})`,
+            type: 'object',
+            properties: {
+                credentialSubject: {
+                    type: 'object',
+                    properties: { id: { type: 'string' }, ...template.attributes },
+                    required: template.required
+                }
+            },
+            required: ['credentialSubject']
+        };
+    }
+
+    /**
+     * Validate a credential subject against a template version
+     */
+    validateSubject(template, subject) {
+        return validate(this.credentialSchema(template).properties.credentialSubject, subject);
+    }
+}
+
+module.exports = TemplateRegistry;
+module.exports.TEMPLATE_STATUS = TEMPLATE_STATUS;
+module.exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
@@ -0,0 +1,69 @@
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { buildDenyTree } = require('../../circuits/generate_proof');
+
+/**
+ * Published deny lists (e.g. sanctioned countries) and their gap-tree roots
+ *
+ * Provers use a list's countries to build non-membership paths, and verifiers
+ * compare a proof's `excludedCountriesRoot` against the published root.
+ */
+class DenyListRegistry {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.denyLists);
+    }
+    
+    /**
+     * Publish a list, replacing any previous version under the same ID
+     */
+    publish(id, countries) {
+        if (!Array.isArray(countries)) {
+            throw new Error('countries must be an array');
+        }
+        
+        const { codes, root } = buildDenyTree(countries);
+        const previous = this.repository.get(id);
+        const list = {
+            id,
+            countries: codes,
+            root: root.toString(),
+            version: previous ? previous.version + 1 : 1,
+            publishedAt: Date.now()
+        };
+        
+        this.repository.save(list);
+        return list;
+    }
+    
+    /**
+     * Publish the configured lists that have not been published yet
+     */
+    seed(lists = {}) {
+        for (const [id, countries] of Object.entries(lists)) {
+            if (!this.repository.get(id)) {
+                this.publish(id, countries);
+            }
+        }
+    }
+    
+    get(id) {
+        const list = this.repository.get(id);
+        if (!list) {
+            throw new Error(`Deny list ${id} not found`);
+        }
+        return list;
+    }
+    
+    list() {
+        return this.repository.list();
+    }
+    
+    /**
+     * Country codes of a published list (by ID), or the given countries as-is
+     */
+    resolve(countries) {
+        return typeof countries === 'string' ? this.get(countries).countries : countries;
+    }
+}
+
+module.exports = DenyListRegistry;
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DenyListRegistry = require('./denyList');
+const { COUNTRY_CODES } = require('../../circuits/countries.mjs');
+
+test('deny lists take any ISO 3166-1 country', () => {
+    const registry = new DenyListRegistry();
+    const list = registry.publish('sanctions', ['CU', 'IR', 'KP', 'SY', 'RU', 'BY', 'VE', 'MM']);
+
+    assert.deepEqual(list.countries, [104, 112, 192, 364, 408, 643, 760, 862]);
+    assert.equal(list.version, 1);
+    assert.throws(() => registry.publish('sanctions', ['XX']), /Unsupported country: XX/);
+});
+
+test('every country code is distinct and fits the deny-list bounds', () => {
+    const codes = Object.values(COUNTRY_CODES);
+    assert.equal(codes.length, 249);
+    assert.equal(new Set(codes).size, codes.length);
+    assert.ok(codes.every(code => code > 0 && code < 1000));
+});
+
+test('seeding keeps lists that were already published', () => {
+    const registry = new DenyListRegistry();
+    registry.publish('sanctions', ['IR']);
+    registry.seed({ sanctions: ['CU', 'IR'], embargo: ['KP'] });
+
+    assert.deepEqual(registry.get('sanctions').countries, [364]);
+    assert.deepEqual(registry.get('embargo').countries, [408]);
+});
@@ -0,0 +1,231 @@
+const { Transform } = require('stream');
+
+// Accepted document types, recognised by their leading bytes
+const DOCUMENT_TYPES = {
+    'image/jpeg': { extension: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+    'image/png': { extension: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    'application/pdf': { extension: 'pdf', magic: Buffer.from('%PDF-') }
+};
+
+// Bytes needed to recognise every type above
+const SNIFF_LENGTH = 8;
+
+// JPEG segments carrying metadata: APP1 (EXIF, XMP), APP13 (IPTC) and comments
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+// JPEG markers without a length field
+const JPEG_STANDALONE_MARKERS = new Set([0x01, 0xd0, 0xd1, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8]);
+
+// PNG chunks carrying metadata: EXIF, text and modification time
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+/**
+ * Detect a document's MIME type from its first bytes
+ */
+function detectMimeType(header) {
+    for (const [mimeType, { magic }] of Object.entries(DOCUMENT_TYPES)) {
+        if (header.length >= magic.length && header.subarray(0, magic.length).equals(magic)) {
+            return mimeType;
+        }
+    }
+    return null;
+}
+
+/**
+ * Stream filter for uploaded documents
+ *
+ * Checks the content against the declared MIME type, enforces the size limit
+ * and drops metadata on the way through: EXIF, XMP, IPTC and comment segments
+ * from JPEGs, and EXIF, text and time chunks from PNGs. Only segment headers
+ * are buffered; image data is passed straight through. PDFs are passed as is.
+ */
+class DocumentSanitizer extends Transform {
+    constructor({ declaredType, maxSize }) {
+        super();
+        this.declaredType = declaredType;
+        this.maxSize = maxSize;
+        this.mimeType = null;
+        this.bytesIn = 0;
+        this.bytesOut = 0;
+        this.removed = []; // names of the dropped metadata segments
+
+        this.pending = Buffer.alloc(0);
+        this.copy = 0; // bytes to pass through before parsing again
+        this.skip = 0; // bytes to drop before parsing again
+        this.state = 'sniff';
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.bytesIn += chunk.length;
+        if (this.bytesIn > this.maxSize) {
+            return callback(new Error(`Document exceeds ${this.maxSize} bytes`));
+        }
+
+        try {
+            this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+            this.process();
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        if (this.state === 'sniff') {
+            return callback(new Error('Document is empty or too short'));
+        }
+        if (this.state === 'jpeg' || this.state === 'png' || this.copy || this.skip) {
+            return callback(new Error('Document is truncated'));
+        }
+        callback();
+    }
+
+    output(data) {
+        if (data.length) {
+            this.bytesOut += data.length;
+            this.push(data);
+        }
+    }
+
+    /**
+     * Consume `pending` as far as the buffered bytes allow
+     */
+    process() {
+        while (this.pending.length) {
+            if (this.copy) {
+                const data = this.pending.subarray(0, this.copy);
+                this.copy -= data.length;
+                this.pending = this.pending.subarray(data.length);
+                this.output(data);
+                continue;
+            }
+            if (this.skip) {
+                const length = Math.min(this.skip, this.pending.length);
+                this.skip -= length;
+                this.pending = this.pending.subarray(length);
+                continue;
+            }
+
+            const advanced = this.step();
+            if (!advanced) return;
+        }
+    }
+
+    /**
+     * Parse one header from `pending`; false when more bytes are needed
+     */
+    step() {
+        switch (this.state) {
+            case 'sniff':
+                return this.sniff();
+            case 'jpeg':
+                return this.jpegSegment();
+            case 'png':
+                return this.pngChunk();
+            case 'copy':
+                this.output(this.pending);
+                this.pending = Buffer.alloc(0);
+                return true;
+            case 'done':
+                // Trailing bytes after the end of the image are dropped
+                this.pending = Buffer.alloc(0);
+                return true;
+            default:
+                throw new Error(`Unknown sanitizer state: ${this.state}`);
+        }
+    }
+
+    sniff() {
+        if (this.pending.length < SNIFF_LENGTH) return false;
+
+        this.mimeType = detectMimeType(this.pending);
+        if (!this.mimeType) {
+            throw new Error('Unsupported document type');
+        }
+        if (this.declaredType && this.declaredType !== this.mimeType) {
+            throw new Error(`Document content does not match its type: ${this.declaredType}`);
+        }
+
+        switch (this.mimeType) {
+            case 'image/jpeg':
+                // SOI marker
+                this.output(this.pending.subarray(0, 2));
+                this.pending = this.pending.subarray(2);
+                this.state = 'jpeg';
+                return true;
+            case 'image/png':
+                this.output(this.pending.subarray(0, 8));
+                this.pending = this.pending.subarray(8);
+                this.state = 'png';
+                return true;
+            default:
+                this.state = 'copy';
+                return true;
+        }
+    }
+
+    jpegSegment() {
+        if (this.pending.length < 2) return false;
+        if (this.pending[0] !== 0xff) {
+            throw new Error('Invalid JPEG segment');
+        }
+
+        const marker = this.pending[1];
+        if (marker === 0xff) {
+            // Fill byte before a marker
+            this.pending = this.pending.subarray(1);
+            return true;
+        }
+        if (JPEG_STANDALONE_MARKERS.has(marker)) {
+            this.output(this.pending.subarray(0, 2));
+            this.pending = this.pending.subarray(2);
+            return true;
+        }
+        if (marker === 0xd9) {
+            // EOI
+            this.output(this.pending.subarray(0, 2));
+            this.pending = this.pending.subarray(2);
+            this.state = 'done';
+            return true;
+        }
+
+        if (this.pending.length < 4) return false;
+        const length = this.pending.readUInt16BE(2); // includes the two length bytes
+
+        if (marker === 0xda) {
+            // Start of scan: entropy-coded data and the remaining segments follow
+            this.state = 'copy';
+            return true;
+        }
+        if (JPEG_METADATA_MARKERS.has(marker)) {
+            this.removed.push(`jpeg:0x${marker.toString(16)}`);
+            this.skip = length + 2;
+            return true;
+        }
+
+        this.copy = length + 2;
+        return true;
+    }
+
+    pngChunk() {
+        if (this.pending.length < 8) return false;
+
+        const length = this.pending.readUInt32BE(0);
+        const type = this.pending.toString('latin1', 4, 8);
+        const total = length + 12; // length, type, data and CRC
+
+        if (PNG_METADATA_CHUNKS.has(type)) {
+            this.removed.push(`png:${type}`);
+            this.skip = total;
+            return true;
+        }
+
+        this.copy = total;
+        if (type === 'IEND') {
+            this.state = 'done';
+        }
+        return true;
+    }
+}
+
+module.exports = { DOCUMENT_TYPES, DocumentSanitizer, detectMimeType };
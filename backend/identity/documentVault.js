@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { EncryptedBlobStore } = require('../storage/blobStore');
+const { DOCUMENT_TYPES, DocumentSanitizer } = require('./documentSanitizer');
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+const DOCUMENT_STATUS = {
+    STORED: 'stored',
+    DELETED: 'deleted'
+};
+
+/**
+ * Identity documents uploaded as KYC evidence
+ *
+ * Uploads are checked and stripped of metadata by DocumentSanitizer while they
+ * stream into the encrypted blob store, under a data key per application.
+ * Documents are deleted once their retention period ends; the application's
+ * key is destroyed with its last document. Every reviewer access is logged.
+ */
+class DocumentVault {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.documents);
+        this.accessLog = options.accessLog || new MemoryRepository(COLLECTIONS.documentAccess);
+        this.blobStore = options.blobStore || new EncryptedBlobStore({
+            dir: options.dir || path.join(os.tmpdir(), 'zkkyc-documents'),
+            masterKey: options.masterKey,
+            keyRepository: options.keyRepository
+        });
+        this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+        this.retention = (options.retentionDays || DEFAULT_RETENTION_DAYS) * DAY;
+    }
+
+    /**
+     * Store an uploaded document for an application
+     */
+    async upload(applicationId, { source, mimeType, documentType, uploadedBy }) {
+        if (!DOCUMENT_TYPES[mimeType]) {
+            throw new Error(`Unsupported document type: ${mimeType}`);
+        }
+
+        const sanitizer = new DocumentSanitizer({ declaredType: mimeType, maxSize: this.maxSize });
+        const blob = await this.blobStore.write(applicationId, source, sanitizer);
+
+        const now = Date.now();
+        const document = {
+            id: crypto.randomUUID(),
+            applicationId,
+            documentType: documentType || null,
+            mimeType: sanitizer.mimeType,
+            size: sanitizer.bytesOut,
+            metadataRemoved: sanitizer.removed,
+            uploadedBy,
+            uploadedAt: now,
+            expiresAt: now + this.retention,
+            status: DOCUMENT_STATUS.STORED,
+            blob
+        };
+        this.repository.save(document);
+        return document;
+    }
+
+    get(documentId) {
+        const document = this.repository.get(documentId);
+        if (!document) {
+            throw new Error('Document not found');
+        }
+        return document;
+    }
+
+    /**
+     * An application's documents, oldest first
+     */
+    list(applicationId) {
+        return this.repository.findBy('applicationId', applicationId)
+            .sort((a, b) => a.uploadedAt - b.uploadedAt);
+    }
+
+    /**
+     * Decrypted content of a document for a reviewer; the access is logged first
+     */
+    open(documentId, { reviewer, purpose }) {
+        if (!reviewer) {
+            throw new Error('reviewer is required');
+        }
+
+        const document = this.get(documentId);
+        if (document.status !== DOCUMENT_STATUS.STORED) {
+            throw new Error('Document was deleted under the retention policy');
+        }
+
+        this.accessLog.save({
+            id: crypto.randomUUID(),
+            documentId,
+            applicationId: document.applicationId,
+            reviewer,
+            purpose: purpose || null,
+            at: Date.now()
+        });
+        return { document, stream: this.blobStore.read(document.applicationId, document.blob) };
+    }
+
+    /**
+     * Reviewer accesses to an application's documents, newest first
+     */
+    accesses(applicationId) {
+        return this.accessLog.findBy('applicationId', applicationId)
+            .sort((a, b) => b.at - a.at);
+    }
+
+    /**
+     * Delete documents past their retention period
+     *
+     * Metadata and the access log are kept for the audit trail; the encrypted
+     * files are removed and, once an application has no stored documents
+     * left, its data key is destroyed.
+     */
+    async purgeExpired(now = Date.now()) {
+        const expired = this.repository.findBy('status', DOCUMENT_STATUS.STORED)
+            .filter(document => document.expiresAt <= now);
+
+        for (const document of expired) {
+            await this.blobStore.delete(document.blob.blobId);
+            this.repository.save({ ...document, status: DOCUMENT_STATUS.DELETED, deletedAt: now });
+        }
+
+        const applications = new Set(expired.map(document => document.applicationId));
+        for (const applicationId of applications) {
+            if (!this.list(applicationId).some(document => document.status === DOCUMENT_STATUS.STORED)) {
+                this.blobStore.destroyKey(applicationId);
+            }
+        }
+
+        return expired.length;
+    }
+
+    /**
+     * Document metadata without the blob's encryption parameters
+     */
+    toView(document) {
+        const { blob, ...rest } = document;
+        return rest;
+    }
+}
+
+module.exports = DocumentVault;
+module.exports.DOCUMENT_STATUS = DOCUMENT_STATUS;
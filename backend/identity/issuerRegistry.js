@@ -0,0 +1,492 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const { algorithmForKey, generateKeyPair } = require('./jws');
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+
+const DID_METHODS = {
+    KEY: 'key',
+    ETHR: 'ethr'
+};
+
+const ISSUER_STATUS = {
+    ACTIVE: 'active',
+    DEACTIVATED: 'deactivated' // no longer trusted; none of its credentials verify
+};
+
+// Multicodec prefixes of the public keys encoded in did:key identifiers
+const MULTICODEC = {
+    EdDSA: Buffer.from([0xed, 0x01]),
+    ES256K: Buffer.from([0xe7, 0x01])
+};
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+function toTime(value) {
+    const time = value === undefined || value === null ? Date.now() : new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return time;
+}
+
+function iso(time) {
+    return new Date(time).toISOString();
+}
+
+function publicKeyOf(privateKey) {
+    return crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+}
+
+/**
+ * Master key kept in `file`, generated there (readable by the owner only) on first start
+ */
+function readKeyFile(file) {
+    if (fs.existsSync(file)) {
+        return Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'hex');
+    }
+
+    const key = crypto.randomBytes(KEY_LENGTH);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${key.toString('hex')}\n`, { mode: 0o600, flag: 'wx' });
+    console.warn(`No issuer master key configured, generated one in ${file}`);
+    return key;
+}
+
+/**
+ * did:key identifier of a public key (multibase base58btc of the multicodec key)
+ */
+function keyDid(publicKey) {
+    const jwk = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+    const x = Buffer.from(jwk.x, 'base64url');
+    const algorithm = algorithmForKey(publicKey, 'public');
+
+    // secp256k1 keys are encoded compressed: 0x02 or 0x03 by the parity of y
+    const bytes = algorithm === 'ES256K'
+        ? Buffer.concat([Buffer.from([2 + (Buffer.from(jwk.y, 'base64url').at(-1) & 1)]), x])
+        : x;
+
+    return `did:key:z${ethers.utils.base58.encode(Buffer.concat([MULTICODEC[algorithm], bytes]))}`;
+}
+
+/**
+ * did:ethr identifier of a secp256k1 public key: its Ethereum address, on an optional network
+ */
+function ethrDid(publicKey, network) {
+    const jwk = crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+    const uncompressed = Buffer.concat([
+        Buffer.from([4]),
+        Buffer.from(jwk.x, 'base64url'),
+        Buffer.from(jwk.y, 'base64url')
+    ]);
+    const address = ethers.utils.computeAddress(uncompressed);
+
+    return network ? `did:ethr:${network}:${address}` : `did:ethr:${address}`;
+}
+
+/**
+ * Issuers with DID identities and a history of their signing keys
+ *
+ * An issuer is identified by a did:key or did:ethr derived from its first
+ * key. Rotating replaces the signing key: the old key stays in the history
+ * with the time it was rotated out, so credentials it signed before then keep
+ * verifying. Revoking a key (optionally backdated to a suspected compromise)
+ * invalidates everything it signed from that time on. Private keys are stored
+ * wrapped with the master key (configured, or kept in `masterKeyFile`) and
+ * destroyed when their key is rotated out or revoked; the issuer records
+ * themselves only hold public keys.
+ */
+class IssuerRegistry {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.issuers);
+        this.keys = options.keyRepository || new MemoryRepository(COLLECTIONS.issuerKeys);
+
+        this.configuredMasterKey = options.masterKey ? Buffer.from(options.masterKey, 'hex')
+            : options.masterKeyFile ? readKeyFile(options.masterKeyFile) : null;
+        if (this.configuredMasterKey && this.configuredMasterKey.length !== KEY_LENGTH) {
+            throw new Error(`Issuer master key must be ${KEY_LENGTH} bytes of hex`);
+        }
+    }
+
+    /**
+     * Create an issuer with a new or given key; its DID is derived from that key
+     */
+    create({ name, method = DID_METHODS.KEY, algorithm, privateKey, network } = {}) {
+        if (!name) {
+            throw new Error('Invalid issuer: name is required');
+        }
+        if (!Object.values(DID_METHODS).includes(method)) {
+            throw new Error(`Invalid issuer: unsupported DID method ${method}`);
+        }
+
+        const keyPair = this.keyPair(method, privateKey, algorithm);
+        const id = method === DID_METHODS.ETHR ? ethrDid(keyPair.publicKey, network) : keyDid(keyPair.publicKey);
+        if (this.find(id)) {
+            throw new Error(`Issuer ${id} already exists`);
+        }
+
+        const now = Date.now();
+        const issuer = {
+            id,
+            name,
+            method,
+            network: method === DID_METHODS.ETHR ? network || null : null,
+            status: ISSUER_STATUS.ACTIVE,
+            keys: [],
+            createdAt: now
+        };
+        return this.addKey(issuer, keyPair, now);
+    }
+
+    /**
+     * Default issuer on startup: the one holding the configured key, the one
+     * named by `did`, or the first active issuer; created when there is none
+     */
+    bootstrap({ name, didMethod, network, algorithm, privateKey, did } = {}) {
+        if (privateKey) {
+            const publicKey = publicKeyOf(privateKey);
+            const existing = this.list().find(issuer => issuer.keys.some(key => key.publicKey === publicKey));
+            if (!existing) {
+                return this.create({ name, method: didMethod, network, privateKey });
+            }
+
+            // Re-wrap the configured key if the stored copy is gone or the master key changed
+            const current = this.currentKey(existing);
+            if (current && current.publicKey === publicKey && !this.canSign(existing)) {
+                this.storePrivateKey(existing.id, current.id, privateKey);
+            }
+            return existing;
+        }
+
+        const issuer = did
+            ? this.get(did)
+            : this.list().find(candidate => candidate.status === ISSUER_STATUS.ACTIVE);
+        if (!issuer) {
+            console.warn('No issuer key configured, generating a new issuer key pair');
+            return this.create({ name, method: didMethod, network, algorithm });
+        }
+
+        // Never rotate silently: credentials would change key on every restart
+        if (!this.canSign(issuer)) {
+            throw new Error(`Signing key of ${issuer.id} is unavailable; start with the master key it was stored under`);
+        }
+        return issuer;
+    }
+
+    /**
+     * Replace an issuer's signing key; the previous key is kept for verification only
+     */
+    rotateKey(issuerId, { privateKey, algorithm } = {}) {
+        const issuer = this.active(issuerId);
+        const current = this.currentKey(issuer);
+        const keyPair = this.keyPair(issuer.method, privateKey, algorithm || (current && current.algorithm));
+
+        if (issuer.keys.some(key => key.publicKey === keyPair.publicKey)) {
+            throw new Error(`Key was already used by issuer ${issuerId}`);
+        }
+
+        const now = Date.now();
+        if (current) {
+            current.validUntil = now;
+        }
+        const rotated = this.addKey(issuer, keyPair, now);
+        if (current) {
+            this.keys.delete(current.id);
+        }
+        return rotated;
+    }
+
+    /**
+     * Revoke a key from `revokedAt` (default now); revoking the signing key rotates in a new one
+     *
+     * Backdating, e.g. to a suspected compromise, invalidates credentials
+     * already issued, so it needs a reason; who revoked and when is recorded.
+     */
+    revokeKey(issuerId, keyId, { revokedAt, reason, revokedBy } = {}) {
+        const issuer = this.get(issuerId);
+        const key = this.findKey(issuer, keyId);
+        if (key.revokedAt) {
+            throw new Error(`Key ${key.id} is already revoked`);
+        }
+
+        const now = Date.now();
+        const time = toTime(revokedAt);
+        if (time > now) {
+            throw new Error('Invalid revocation: revokedAt cannot be in the future');
+        }
+        if (time < now && !reason) {
+            throw new Error('Invalid revocation: a reason is required to backdate a revocation');
+        }
+
+        const wasCurrent = key === this.currentKey(issuer);
+        key.revokedAt = time;
+        key.revocationReason = reason || null;
+        key.revokedBy = revokedBy || null;
+        key.revocationRecordedAt = now;
+        this.keys.delete(key.id);
+
+        if (wasCurrent && issuer.status === ISSUER_STATUS.ACTIVE) {
+            key.validUntil = now;
+            return this.addKey(issuer, this.keyPair(issuer.method, null, key.algorithm), now);
+        }
+
+        this.repository.save(issuer);
+        return issuer;
+    }
+
+    /**
+     * Stop trusting an issuer: it cannot sign and none of its credentials verify
+     */
+    deactivate(issuerId, reason) {
+        const issuer = this.active(issuerId);
+        for (const key of issuer.keys) {
+            this.keys.delete(key.id);
+        }
+
+        const deactivated = {
+            ...issuer,
+            status: ISSUER_STATUS.DEACTIVATED,
+            deactivatedAt: Date.now(),
+            deactivationReason: reason || null
+        };
+        this.repository.save(deactivated);
+        return deactivated;
+    }
+
+    find(issuerId) {
+        return issuerId ? this.repository.get(issuerId) : null;
+    }
+
+    get(issuerId) {
+        const issuer = this.find(issuerId);
+        if (!issuer) {
+            throw new Error(`Issuer ${issuerId} not found`);
+        }
+        return issuer;
+    }
+
+    active(issuerId) {
+        const issuer = this.get(issuerId);
+        if (issuer.status !== ISSUER_STATUS.ACTIVE) {
+            throw new Error(`Issuer ${issuerId} is deactivated`);
+        }
+        return issuer;
+    }
+
+    list() {
+        return this.repository.list();
+    }
+
+    /**
+     * Issuers whose credentials are accepted
+     */
+    trusted() {
+        return this.repository.findBy('status', ISSUER_STATUS.ACTIVE);
+    }
+
+    isTrusted(issuerId) {
+        const issuer = this.find(issuerId);
+        return Boolean(issuer) && issuer.status === ISSUER_STATUS.ACTIVE;
+    }
+
+    /**
+     * Current signing key of an issuer with its private key
+     */
+    signingKey(issuerId) {
+        const issuer = this.active(issuerId);
+        const key = this.currentKey(issuer);
+        if (!key) {
+            throw new Error(`Issuer ${issuerId} has no signing key`);
+        }
+
+        return { keyId: key.id, algorithm: key.algorithm, publicKey: key.publicKey, privateKey: this.privateKey(key.id) };
+    }
+
+    canSign(issuer) {
+        try {
+            this.signingKey(issuer.id);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * The key an issuer signed with at `time`; throws if it was not valid then
+     *
+     * Without a `keyId` the key that was current at that time is used.
+     */
+    keyAt(issuerId, keyId, time) {
+        const issuer = this.active(issuerId);
+        const signedAt = toTime(time);
+
+        const key = keyId
+            ? this.findKey(issuer, keyId)
+            : issuer.keys.find(candidate => candidate.validFrom <= signedAt
+                && (!candidate.validUntil || signedAt < candidate.validUntil));
+        if (!key) {
+            throw new Error(`Issuer ${issuerId} had no key at ${iso(signedAt)}`);
+        }
+
+        if (signedAt < key.validFrom) {
+            throw new Error(`Key ${key.id} was not valid before ${iso(key.validFrom)}`);
+        }
+        if (key.validUntil && signedAt >= key.validUntil) {
+            throw new Error(`Key ${key.id} was rotated out at ${iso(key.validUntil)}`);
+        }
+        if (key.revokedAt && signedAt >= key.revokedAt) {
+            throw new Error(`Key ${key.id} was revoked at ${iso(key.revokedAt)}`);
+        }
+        return key;
+    }
+
+    /**
+     * Public key to verify a signature by `keyId` made at `signedAt`
+     *
+     * Returns null for unknown issuers and throws when the key was not valid
+     * for the issuer at that time.
+     */
+    resolveKey(issuerId, { keyId, signedAt } = {}) {
+        if (!this.find(issuerId)) {
+            return null;
+        }
+        return this.keyAt(issuerId, keyId, signedAt).publicKey;
+    }
+
+    /**
+     * DID document listing the keys that have not been revoked
+     */
+    didDocument(issuerId) {
+        const issuer = this.get(issuerId);
+        const keys = issuer.status === ISSUER_STATUS.ACTIVE ? issuer.keys.filter(key => !key.revokedAt) : [];
+
+        return {
+            '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/suites/jws-2020/v1'],
+            id: issuer.id,
+            verificationMethod: keys.map(key => ({
+                id: key.id,
+                type: 'JsonWebKey2020',
+                controller: issuer.id,
+                publicKeyJwk: crypto.createPublicKey(key.publicKey).export({ format: 'jwk' })
+            })),
+            assertionMethod: keys.map(key => key.id)
+        };
+    }
+
+    toView(issuer) {
+        const current = this.currentKey(issuer);
+        return {
+            ...issuer,
+            currentKeyId: current ? current.id : null,
+            keys: issuer.keys.map(key => ({
+                ...key,
+                validFrom: iso(key.validFrom),
+                validUntil: key.validUntil ? iso(key.validUntil) : null,
+                revokedAt: key.revokedAt ? iso(key.revokedAt) : null,
+                revocationRecordedAt: key.revocationRecordedAt ? iso(key.revocationRecordedAt) : undefined
+            }))
+        };
+    }
+
+    /**
+     * Helper methods
+     */
+    currentKey(issuer) {
+        return issuer.keys.find(key => !key.validUntil && !key.revokedAt) || null;
+    }
+
+    findKey(issuer, keyId) {
+        const id = String(keyId).includes('#') ? keyId : `${issuer.id}#${keyId}`;
+        const key = issuer.keys.find(candidate => candidate.id === id);
+        if (!key) {
+            throw new Error(`Key ${id} not found`);
+        }
+        return key;
+    }
+
+    keyPair(method, privateKey, algorithm) {
+        let keyPair;
+        if (privateKey) {
+            try {
+                keyPair = { privateKey, publicKey: publicKeyOf(privateKey), algorithm: algorithmForKey(privateKey, 'private') };
+            } catch (error) {
+                throw new Error(`Invalid issuer key: ${error.message}`);
+            }
+        } else {
+            const generated = generateKeyPair(algorithm || 'ES256K');
+            keyPair = { ...generated, algorithm: algorithm || 'ES256K' };
+        }
+
+        if (method === DID_METHODS.ETHR && keyPair.algorithm !== 'ES256K') {
+            throw new Error('Invalid issuer key: did:ethr issuers need an ES256K key');
+        }
+        return keyPair;
+    }
+
+    addKey(issuer, { privateKey, publicKey, algorithm }, validFrom) {
+        const id = `${issuer.id}#key-${issuer.keys.length + 1}`;
+        issuer.keys.push({
+            id,
+            algorithm,
+            publicKey,
+            validFrom,
+            validUntil: null,
+            revokedAt: null
+        });
+
+        this.storePrivateKey(issuer.id, id, privateKey);
+        this.repository.save(issuer);
+        return issuer;
+    }
+
+    storePrivateKey(issuerId, keyId, privateKey) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(CIPHER, this.masterKey(), iv);
+        cipher.setAAD(Buffer.from(keyId));
+        const wrappedKey = Buffer.concat([cipher.update(privateKey, 'utf8'), cipher.final()]);
+
+        this.keys.save({
+            keyId,
+            issuerId,
+            wrappedKey: wrappedKey.toString('base64'),
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64'),
+            createdAt: Date.now()
+        });
+    }
+
+    privateKey(keyId) {
+        const stored = this.keys.get(keyId);
+        if (!stored) {
+            throw new Error(`Private key of ${keyId} is not available`);
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv(CIPHER, this.masterKey(), Buffer.from(stored.iv, 'base64'));
+            decipher.setAAD(Buffer.from(keyId));
+            decipher.setAuthTag(Buffer.from(stored.authTag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(stored.wrappedKey, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error(`Private key of ${keyId} cannot be decrypted with the configured master key`);
+        }
+    }
+
+    masterKey() {
+        // In-memory registries (tests) get an ephemeral master key on first use
+        if (!this.configuredMasterKey) {
+            console.warn('No issuer master key configured, generating an ephemeral key; stored issuer keys will be unusable after a restart');
+            this.configuredMasterKey = crypto.randomBytes(KEY_LENGTH);
+        }
+        return this.configuredMasterKey;
+    }
+}
+
+module.exports = IssuerRegistry;
+module.exports.DID_METHODS = DID_METHODS;
+module.exports.ISSUER_STATUS = ISSUER_STATUS;
+module.exports.keyDid = keyDid;
+module.exports.ethrDid = ethrDid;
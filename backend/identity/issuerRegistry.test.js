@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IssuerRegistry = require('./issuerRegistry');
+const { MemoryStore } = require('../storage/memoryStore');
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'zkkyc-issuers-'));
+}
+
+test('without a configured master key one is generated into the key file and reused', () => {
+    const dir = tempDir();
+    try {
+        const store = new MemoryStore();
+        const masterKeyFile = path.join(dir, 'keys', 'issuer-master.key');
+        const options = { repository: store.issuers, keyRepository: store.issuerKeys, masterKeyFile };
+
+        const first = new IssuerRegistry(options).bootstrap({ name: 'Default' });
+        assert.equal((fs.statSync(masterKeyFile).mode & 0o777).toString(8), '600');
+
+        // A restart keeps the issuer and its signing key
+        const registry = new IssuerRegistry(options);
+        const second = registry.bootstrap({ name: 'Default' });
+        assert.equal(second.id, first.id);
+        assert.equal(second.keys.length, 1);
+        assert.equal(registry.canSign(second), true);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('bootstrap fails instead of rotating when the signing key cannot be decrypted', () => {
+    const store = new MemoryStore();
+    const options = { repository: store.issuers, keyRepository: store.issuerKeys };
+    const issuer = new IssuerRegistry({ ...options, masterKey: 'ab'.repeat(32) }).bootstrap({ name: 'Default' });
+
+    const registry = new IssuerRegistry({ ...options, masterKey: 'cd'.repeat(32) });
+    assert.throws(() => registry.bootstrap({ name: 'Default' }), /Signing key of .* is unavailable/);
+    assert.equal(registry.get(issuer.id).keys.length, 1);
+});
+
+test('a revoked key stops verifying signatures from its revocation time', async () => {
+    const registry = new IssuerRegistry({ masterKey: 'ab'.repeat(32) });
+    const issuer = registry.create({ name: 'Bank' });
+    const [key] = issuer.keys;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const revokedAt = key.validFrom + 5;
+
+    registry.revokeKey(issuer.id, 'key-1', { revokedAt, reason: 'compromised', revokedBy: 'ops' });
+
+    assert.equal(registry.resolveKey(issuer.id, { keyId: key.id, signedAt: key.validFrom }), key.publicKey);
+    assert.throws(() => registry.resolveKey(issuer.id, { keyId: key.id, signedAt: revokedAt }), /was revoked/);
+    assert.equal(registry.currentKey(registry.get(issuer.id)).id, `${issuer.id}#key-2`);
+    assert.throws(() => registry.revokeKey(issuer.id, 'key-2', { revokedAt: Date.now() + 60000 }), /future/);
+});
@@ -0,0 +1,171 @@
+// The JSON Schema subset credential templates are written in. Keywords
+// outside it are rejected when a template is saved, so a schema never
+// promises a constraint that is not enforced.
+const ASSERTION_KEYWORDS = new Set([
+    'type', 'enum', 'const', 'format', 'pattern', 'minLength', 'maxLength',
+    'minimum', 'maximum', 'properties', 'required', 'additionalProperties',
+    'items', 'minItems', 'maxItems'
+]);
+const ANNOTATION_KEYWORDS = new Set(['$schema', '$id', 'title', 'description', 'examples', 'default']);
+
+const TYPES = new Set(['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']);
+
+const FORMATS = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+        && new Date(value).toISOString().startsWith(value),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value)
+        && !Number.isNaN(Date.parse(value)),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => {
+        try {
+            return Boolean(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Problems with a schema itself: unsupported keywords, types or formats
+ */
+function checkSchema(schema, path = 'schema') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    for (const keyword of Object.keys(schema)) {
+        if (!ASSERTION_KEYWORDS.has(keyword) && !ANNOTATION_KEYWORDS.has(keyword)) {
+            errors.push(`${path} uses unsupported keyword ${keyword}`);
+        }
+    }
+
+    for (const type of [].concat(schema.type || [])) {
+        if (!TYPES.has(type)) {
+            errors.push(`${path} has unknown type ${type}`);
+        }
+    }
+    if (schema.format !== undefined && !FORMATS[schema.format]) {
+        errors.push(`${path} has unsupported format ${schema.format}`);
+    }
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+        errors.push(`${path}.enum must be a non-empty array`);
+    }
+    if (schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern, 'u');
+        } catch (error) {
+            errors.push(`${path}.pattern is not a valid regular expression`);
+        }
+    }
+    if (schema.required !== undefined && !Array.isArray(schema.required)) {
+        errors.push(`${path}.required must be an array`);
+    }
+
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        errors.push(...checkSchema(property, `${path}.properties.${name}`));
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...checkSchema(schema.additionalProperties, `${path}.additionalProperties`));
+    }
+    if (schema.items !== undefined) {
+        errors.push(...checkSchema(schema.items, `${path}.items`));
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a value against a schema; returns error messages, empty when valid
+ */
+function validate(schema, value, path = '') {
+    const name = path || 'value';
+    const errors = [];
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            // Further keywords would only repeat the type mismatch
+            return [`${name} must be ${types.join(' or ')}`];
+        }
+    }
+
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+        errors.push(`${name} must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum !== undefined && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${name} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${name} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${name} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${name} must match ${schema.pattern}`);
+        }
+        if (schema.format !== undefined && !FORMATS[schema.format](value)) {
+            errors.push(`${name} must be a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${name} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${name} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const property of schema.required || []) {
+            if (value[property] === undefined) {
+                errors.push(`Missing required attribute: ${path ? `${path}.${property}` : property}`);
+            }
+        }
+        for (const [property, propertyValue] of Object.entries(value)) {
+            const propertyPath = path ? `${path}.${property}` : property;
+            const propertySchema = schema.properties?.[property];
+
+            if (propertySchema) {
+                errors.push(...validate(propertySchema, propertyValue, propertyPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${propertyPath} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, propertyValue, propertyPath));
+            }
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${name} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${name} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${name}[${index}]`)));
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { checkSchema, validate, FORMATS };
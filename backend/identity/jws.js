@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+// Supported JWS algorithms and the key types that produce them
+const ALGORITHMS = {
+    ES256K: { keyType: 'ec', namedCurve: 'secp256k1', digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { keyType: 'ed25519', digest: null }
+};
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function toKeyObject(key, type) {
+    if (key instanceof crypto.KeyObject) {
+        return key;
+    }
+
+    const create = type === 'private' ? crypto.createPrivateKey : crypto.createPublicKey;
+    if (typeof key === 'object' && key !== null) {
+        return create({ key, format: 'jwk' });
+    }
+    return create(key);
+}
+
+/**
+ * Determine the JWS algorithm for a key (PEM, JWK or KeyObject)
+ */
+function algorithmForKey(key, type = 'public') {
+    const keyObject = toKeyObject(key, type);
+    const { namedCurve } = keyObject.asymmetricKeyDetails || {};
+
+    for (const [alg, spec] of Object.entries(ALGORITHMS)) {
+        if (spec.keyType === keyObject.asymmetricKeyType && (!spec.namedCurve || spec.namedCurve === namedCurve)) {
+            return alg;
+        }
+    }
+
+    throw new Error(`Unsupported key type: ${keyObject.asymmetricKeyType} ${namedCurve || ''}`.trim());
+}
+
+/**
+ * Generate a PEM key pair for ES256K (secp256k1) or EdDSA (Ed25519)
+ */
+function generateKeyPair(algorithm = 'ES256K') {
+    const spec = ALGORITHMS[algorithm];
+    if (!spec) {
+        throw new Error(`Unsupported algorithm: ${algorithm}`);
+    }
+
+    const options = {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    };
+    if (spec.namedCurve) {
+        options.namedCurve = spec.namedCurve;
+    }
+
+    return crypto.generateKeyPairSync(spec.keyType, options);
+}
+
+/**
+ * Sign raw bytes with the algorithm matching the private key
+ */
+function signBytes(data, privateKey) {
+    const key = toKeyObject(privateKey, 'private');
+    const spec = ALGORITHMS[algorithmForKey(key, 'private')];
+
+    return crypto.sign(spec.digest, Buffer.from(data), { key, dsaEncoding: spec.dsaEncoding });
+}
+
+/**
+ * Verify a signature over raw bytes with the algorithm matching the public key
+ */
+function verifyBytes(data, signature, publicKey) {
+    const key = toKeyObject(publicKey, 'public');
+    const spec = ALGORITHMS[algorithmForKey(key, 'public')];
+
+    return crypto.verify(spec.digest, Buffer.from(data), { key, dsaEncoding: spec.dsaEncoding }, signature);
+}
+
+/**
+ * Sign a JWT with the given private key
+ */
+function signJwt(payload, privateKey, header = {}) {
+    const alg = algorithmForKey(privateKey, 'private');
+
+    const encodedHeader = base64url(JSON.stringify({ alg, typ: 'JWT', ...header }));
+    const encodedPayload = base64url(JSON.stringify(payload));
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+
+    return `${signingInput}.${base64url(signBytes(signingInput, privateKey))}`;
+}
+
+/**
+ * Decode a JWT without verifying it
+ */
+function decodeJwt(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw new Error('Malformed JWT');
+    }
+
+    return {
+        header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+        payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+        signature: parts[2],
+        signingInput: `${parts[0]}.${parts[1]}`
+    };
+}
+
+/**
+ * Verify a JWT signature and return its decoded header and payload
+ */
+function verifyJwt(token, publicKey) {
+    const decoded = decodeJwt(token);
+    const alg = algorithmForKey(publicKey, 'public');
+
+    if (decoded.header.alg !== alg) {
+        throw new Error(`JWT algorithm ${decoded.header.alg} does not match key algorithm ${alg}`);
+    }
+
+    if (!verifyBytes(decoded.signingInput, Buffer.from(decoded.signature, 'base64url'), publicKey)) {
+        throw new Error('Invalid JWT signature');
+    }
+
+    return decoded;
+}
+
+/**
+ * Serialize JSON with sorted keys, for comparing and hashing documents
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = {
+    ALGORITHMS,
+    algorithmForKey,
+    generateKeyPair,
+    signBytes,
+    verifyBytes,
+    signJwt,
+    decodeJwt,
+    verifyJwt,
+    canonicalize
+};
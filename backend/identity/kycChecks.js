@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { canonicalize } = require('./jws');
+const { CHECK_STATUS, createKYCProvider } = require('./kycProviders');
+
+// How long a passed check counts towards issuance
+const DEFAULT_CHECK_TTL = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash of the attributes a check verified
+ */
+function subjectHash(subject = {}) {
+    return crypto.createHash('sha256').update(canonicalize(subject)).digest('hex');
+}
+
+/**
+ * Results of KYC provider checks, per applicant address
+ *
+ * Checks are run through a provider adapter and recorded with the provider's
+ * reference and a hash of the attributes it verified. Providers that answer
+ * asynchronously return `pending` and report the outcome later through
+ * `complete`. Credential issuance asks `missing` which of a template's
+ * required checks have not passed for the attributes being issued.
+ */
+class KYCCheckRegistry {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.kycChecks);
+        this.provider = options.provider || createKYCProvider();
+        this.ttl = options.ttl || DEFAULT_CHECK_TTL;
+    }
+
+    /**
+     * Run one check with the provider and record its result
+     */
+    async run(userAddress, type, { subject = {}, evidence = {} } = {}) {
+        if (!userAddress) {
+            throw new Error('userAddress is required');
+        }
+
+        const result = await this.provider.runCheck(type, subject, evidence);
+        const check = {
+            id: crypto.randomUUID(),
+            userAddress: userAddress.toLowerCase(),
+            type,
+            provider: this.provider.name,
+            subjectHash: subjectHash(subject),
+            createdAt: Date.now()
+        };
+        return this.record(check, result);
+    }
+
+    /**
+     * Record the outcome of a pending check reported by the provider
+     */
+    complete(checkId, result) {
+        const check = this.get(checkId);
+        if (!check) {
+            throw new Error('Check not found');
+        }
+        if (check.status !== CHECK_STATUS.PENDING) {
+            throw new Error(`Check already ${check.status}`);
+        }
+        if (result.status === CHECK_STATUS.PENDING) {
+            throw new Error('A completed check must pass or fail');
+        }
+        return this.record(check, result);
+    }
+
+    record(check, { status, reason, reference }) {
+        if (!Object.values(CHECK_STATUS).includes(status)) {
+            throw new Error(`Invalid check status: ${status}`);
+        }
+
+        const now = Date.now();
+        Object.assign(check, {
+            status,
+            reason: reason || null,
+            reference: reference || check.reference || null,
+            updatedAt: now,
+            expiresAt: status === CHECK_STATUS.PASSED ? now + this.ttl : null
+        });
+        this.repository.save(check);
+        return check;
+    }
+
+    get(checkId) {
+        return this.repository.get(checkId) || null;
+    }
+
+    /**
+     * All checks for an address, newest first
+     */
+    list(userAddress) {
+        return this.repository.findBy('userAddress', userAddress.toLowerCase())
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Check types with an unexpired passed result for an address
+     *
+     * With `subject`, only checks that verified exactly these attributes count.
+     */
+    passed(userAddress, subject) {
+        const now = Date.now();
+        const hash = subject && subjectHash(subject);
+        return new Set(this.list(userAddress)
+            .filter(check => check.status === CHECK_STATUS.PASSED && check.expiresAt > now)
+            .filter(check => !hash || check.subjectHash === hash)
+            .map(check => check.type));
+    }
+
+    /**
+     * Required check types that have not passed for an address (and `subject`)
+     */
+    missing(userAddress, required = [], subject) {
+        const passed = this.passed(userAddress, subject);
+        return required.filter(type => !passed.has(type));
+    }
+}
+
+module.exports = KYCCheckRegistry;
+module.exports.subjectHash = subjectHash;
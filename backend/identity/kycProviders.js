@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+
+// Checks a credential template can require, by the names templates use
+const CHECK_TYPES = {
+    DOCUMENT: 'documentVerification',
+    LIVENESS: 'livenessCheck',
+    ADDRESS: 'addressVerification',
+    AGE: 'ageVerification'
+};
+
+const CHECK_STATUS = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    PENDING: 'pending' // the provider reports the outcome later
+};
+
+// Adapter method that runs each check type
+const CHECK_METHODS = {
+    [CHECK_TYPES.DOCUMENT]: 'verifyDocument',
+    [CHECK_TYPES.LIVENESS]: 'checkLiveness',
+    [CHECK_TYPES.ADDRESS]: 'verifyAddress',
+    [CHECK_TYPES.AGE]: 'verifyAge'
+};
+
+/**
+ * Base class for KYC provider adapters
+ *
+ * Each method receives the applicant's claimed attributes (`subject`) and the
+ * provider-specific evidence (document scans, selfie session IDs, utility
+ * bills) and resolves to { status, reason?, reference? }, where `reference` is
+ * the provider's own ID for the check. Adapters override the checks they
+ * support.
+ */
+class KYCProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.callbackSecret = options.callbackSecret || null;
+        this.callbackTolerance = options.callbackTolerance || 5 * 60 * 1000; // 5 minutes
+        this.deliveries = new Map(); // signature hex -> expiresAt, callbacks already accepted
+    }
+
+    async verifyDocument() {
+        throw new Error(`${this.name} does not support ${CHECK_TYPES.DOCUMENT}`);
+    }
+
+    async checkLiveness() {
+        throw new Error(`${this.name} does not support ${CHECK_TYPES.LIVENESS}`);
+    }
+
+    async verifyAddress() {
+        throw new Error(`${this.name} does not support ${CHECK_TYPES.ADDRESS}`);
+    }
+
+    async verifyAge() {
+        throw new Error(`${this.name} does not support ${CHECK_TYPES.AGE}`);
+    }
+
+    /**
+     * Run a check by type
+     */
+    async runCheck(type, subject = {}, evidence = {}) {
+        const method = CHECK_METHODS[type];
+        if (!method) {
+            throw new Error(`Unknown KYC check: ${type}`);
+        }
+
+        const result = await this[method](subject, evidence);
+        if (!Object.values(CHECK_STATUS).includes(result.status)) {
+            throw new Error(`${this.name} returned an invalid status for ${type}: ${result.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Whether a result callback for `checkId` was sent by the provider
+     *
+     * `signature` is the hex HMAC-SHA256 of the raw request body under the
+     * shared callback secret. The signed body names the check (`checkId`) and
+     * when it was sent (`timestamp`, in ms), which must be within
+     * `callbackTolerance` of now; each delivery is accepted once, so a captured
+     * callback cannot be replayed for this or any other check. Without a
+     * secret no callback is accepted; adapters for providers with their own
+     * scheme override this.
+     */
+    verifyCallback(body, signature, checkId) {
+        if (!this.callbackSecret || !body || typeof signature !== 'string') {
+            return false;
+        }
+
+        const expected = crypto.createHmac('sha256', this.callbackSecret).update(body).digest();
+        const given = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return false;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(String(body));
+        } catch (error) {
+            return false;
+        }
+        const now = Date.now();
+        if (!payload || payload.checkId !== checkId
+            || !Number.isFinite(payload.timestamp) || Math.abs(now - payload.timestamp) > this.callbackTolerance) {
+            return false;
+        }
+
+        // Deliveries are remembered until they would be stale anyway
+        for (const [delivery, expiresAt] of this.deliveries) {
+            if (expiresAt <= now) {
+                this.deliveries.delete(delivery);
+            }
+        }
+        const delivery = expected.toString('hex');
+        if (this.deliveries.has(delivery)) {
+            return false;
+        }
+        this.deliveries.set(delivery, payload.timestamp + this.callbackTolerance);
+        return true;
+    }
+}
+
+/**
+ * Provider used when none is configured: every check is refused
+ */
+class DisabledKYCProvider extends KYCProvider {
+    constructor() {
+        super('none');
+    }
+
+    async runCheck() {
+        throw new Error('No KYC provider is configured');
+    }
+}
+
+/**
+ * Local provider for development and tests
+ *
+ * Every check passes unless configured otherwise. `outcomes` maps a check type
+ * to a status, or to a function (subject, evidence) => status | { status, reason }
+ * for outcomes that depend on the applicant.
+ */
+class StubKYCProvider extends KYCProvider {
+    constructor(options = {}) {
+        super(options.name || 'stub', options);
+        this.outcomes = { ...options.outcomes };
+        this.delay = options.delay || 0;
+    }
+
+    setOutcome(type, outcome) {
+        this.outcomes[type] = outcome;
+    }
+
+    async respond(type, subject, evidence) {
+        if (this.delay) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+        }
+
+        const configured = this.outcomes[type];
+        const outcome = typeof configured === 'function'
+            ? await configured(subject, evidence)
+            : configured || CHECK_STATUS.PASSED;
+        const result = typeof outcome === 'string' ? { status: outcome } : outcome;
+
+        return {
+            reason: result.status === CHECK_STATUS.FAILED ? `Stub ${type} configured to fail` : undefined,
+            ...result,
+            reference: `stub_${crypto.randomBytes(8).toString('hex')}`
+        };
+    }
+
+    verifyDocument(subject, evidence) {
+        return this.respond(CHECK_TYPES.DOCUMENT, subject, evidence);
+    }
+
+    checkLiveness(subject, evidence) {
+        return this.respond(CHECK_TYPES.LIVENESS, subject, evidence);
+    }
+
+    verifyAddress(subject, evidence) {
+        return this.respond(CHECK_TYPES.ADDRESS, subject, evidence);
+    }
+
+    verifyAge(subject, evidence) {
+        return this.respond(CHECK_TYPES.AGE, subject, evidence);
+    }
+}
+
+/**
+ * Create the configured provider adapter
+ *
+ * Without a provider no check can pass; the stub has to be chosen explicitly.
+ */
+function createKYCProvider({ provider = 'none', stubOutcomes, callbackSecret } = {}) {
+    switch (provider) {
+        case 'none':
+            return new DisabledKYCProvider();
+        case 'stub':
+            console.warn('KYC_PROVIDER is stub: checks pass without verifying anything; never use it in production');
+            return new StubKYCProvider({ outcomes: stubOutcomes, callbackSecret });
+        default:
+            throw new Error(`Unknown KYC provider: ${provider}`);
+    }
+}
+
+module.exports = { CHECK_TYPES, CHECK_STATUS, KYCProvider, DisabledKYCProvider, StubKYCProvider, createKYCProvider };
@@ -0,0 +1,110 @@
+/**
+ * Incremental binary Merkle tree of fixed depth
+ *
+ * Leaves are appended left to right; empty positions hold `zeroValue`. Every
+ * level is kept in memory so inclusion paths can be served for any leaf.
+ */
+class IncrementalMerkleTree {
+    constructor(depth, hash, zeroValue = 0n) {
+        this.depth = depth;
+        this.hash = hash; // (left, right) -> bigint
+        this.capacity = 2 ** depth;
+
+        // zeros[i] is the root of an empty subtree of height i
+        this.zeros = [BigInt(zeroValue)];
+        for (let i = 0; i < depth; i++) {
+            this.zeros.push(hash(this.zeros[i], this.zeros[i]));
+        }
+
+        this.layers = Array.from({ length: depth + 1 }, () => []);
+    }
+
+    get root() {
+        return this.layers[this.depth][0] ?? this.zeros[this.depth];
+    }
+
+    get size() {
+        return this.layers[0].length;
+    }
+
+    /**
+     * Append a leaf and return its index
+     */
+    insert(leaf) {
+        if (this.size >= this.capacity) {
+            throw new Error('Merkle tree is full');
+        }
+
+        const index = this.size;
+        this.update(index, leaf);
+        return index;
+    }
+
+    /**
+     * Replace the leaf at an index (e.g. with the zero value to remove it)
+     */
+    update(index, leaf) {
+        if (index < 0 || index > this.size) {
+            throw new Error(`Leaf index ${index} out of range`);
+        }
+
+        let node = BigInt(leaf);
+        let position = index;
+        this.layers[0][position] = node;
+
+        for (let level = 0; level < this.depth; level++) {
+            const isRight = position % 2 === 1;
+            const sibling = this.nodeAt(level, isRight ? position - 1 : position + 1);
+
+            node = isRight ? this.hash(sibling, node) : this.hash(node, sibling);
+            position = Math.floor(position / 2);
+            this.layers[level + 1][position] = node;
+        }
+    }
+
+    /**
+     * Inclusion path for a leaf, siblings ordered from the leaf up
+     */
+    getProof(index) {
+        if (index < 0 || index >= this.size) {
+            throw new Error(`Leaf index ${index} out of range`);
+        }
+
+        const pathElements = [];
+        const pathIndices = [];
+        let position = index;
+
+        for (let level = 0; level < this.depth; level++) {
+            const isRight = position % 2 === 1;
+            pathElements.push(this.nodeAt(level, isRight ? position - 1 : position + 1));
+            pathIndices.push(isRight ? 1 : 0);
+            position = Math.floor(position / 2);
+        }
+
+        return {
+            root: this.root,
+            leaf: this.layers[0][index],
+            leafIndex: index,
+            pathElements,
+            pathIndices
+        };
+    }
+
+    /**
+     * Recompute the root from a leaf and its inclusion path
+     */
+    verifyProof({ leaf, pathElements, pathIndices, root }) {
+        let node = BigInt(leaf);
+        for (let level = 0; level < pathElements.length; level++) {
+            const sibling = BigInt(pathElements[level]);
+            node = Number(pathIndices[level]) === 1 ? this.hash(sibling, node) : this.hash(node, sibling);
+        }
+        return node === BigInt(root);
+    }
+
+    nodeAt(level, position) {
+        return this.layers[level][position] ?? this.zeros[level];
+    }
+}
+
+module.exports = IncrementalMerkleTree;
@@ -0,0 +1,21 @@
+const { computeScope, computeNullifier, fieldToHex } = require('../../circuits/hashing.mjs');
+
+/**
+ * Format a field element as a 32-byte hex string
+ */
+function nullifierToHex(value) {
+    return fieldToHex(value);
+}
+
+/**
+ * computeNullifier from circuits/hashing.mjs, as a 32-byte hex string
+ */
+function generateNullifier(secret, credentialId, scope = computeScope()) {
+    return nullifierToHex(computeNullifier(secret, credentialId, scope));
+}
+
+module.exports = {
+    computeScope,
+    generateNullifier,
+    nullifierToHex
+};
@@ -0,0 +1,218 @@
+const zlib = require('zlib');
+const { MemoryRepository } = require('../storage/memoryStore');
+const { COLLECTIONS } = require('../storage/schema');
+const { decodeJwt, verifyJwt } = require('./jws');
+
+// Bitstring Status List purposes; each credential gets the same index in every list
+const STATUS_PURPOSES = ['revocation', 'suspension'];
+
+// Minimum list length from the spec (16KB), large enough for herd privacy
+const DEFAULT_LIST_SIZE = 131072;
+
+/**
+ * Compress a bitstring and encode it as a multibase base64url string
+ */
+function encodeBitstring(bits) {
+    return 'u' + zlib.gzipSync(bits).toString('base64url');
+}
+
+/**
+ * Decode a multibase base64url, GZIP-compressed bitstring
+ */
+function decodeBitstring(encodedList) {
+    if (typeof encodedList !== 'string' || !encodedList.startsWith('u')) {
+        throw new Error('encodedList must be multibase base64url');
+    }
+    return zlib.gunzipSync(Buffer.from(encodedList.slice(1), 'base64url'));
+}
+
+/**
+ * Read the bit at an index; index 0 is the left-most bit of the first byte
+ */
+function getBit(bits, index) {
+    if (index < 0 || index >= bits.length * 8) {
+        throw new Error(`Status list index ${index} out of range`);
+    }
+    return (bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+}
+
+function setBit(bits, index, value) {
+    if (index < 0 || index >= bits.length * 8) {
+        throw new Error(`Status list index ${index} out of range`);
+    }
+    if (value) {
+        bits[index >> 3] |= 0x80 >> (index & 7);
+    } else {
+        bits[index >> 3] &= ~(0x80 >> (index & 7));
+    }
+}
+
+/**
+ * Issuer-side status lists: allocates credential indexes and flips status bits
+ */
+class StatusListRegistry {
+    constructor(options = {}) {
+        this.repository = options.repository || new MemoryRepository(COLLECTIONS.statusLists);
+        this.listSize = options.listSize || DEFAULT_LIST_SIZE;
+    }
+
+    /**
+     * Reserve the next free index in one of an issuer's lists, opening a new
+     * list when its current one is full
+     */
+    allocate(issuerId) {
+        const lists = this.repository.list();
+        let list = lists.find(l => l.issuerId === issuerId && l.nextIndex < l.size);
+
+        if (!list) {
+            list = this.createList(String(lists.length + 1), issuerId);
+        }
+
+        const index = list.nextIndex;
+        list.nextIndex++;
+        this.repository.save(list);
+
+        return { listId: list.id, index };
+    }
+
+    /**
+     * Set or clear a credential's bit for one purpose
+     */
+    setStatus(listId, index, purpose, value) {
+        const list = this.getList(listId);
+        if (!list.lists[purpose]) {
+            throw new Error(`Unknown status purpose: ${purpose}`);
+        }
+
+        const bits = decodeBitstring(list.lists[purpose]);
+        setBit(bits, index, value);
+        list.lists[purpose] = encodeBitstring(bits);
+        list.updatedAt = Date.now();
+
+        this.repository.save(list);
+    }
+
+    getStatus(listId, index, purpose) {
+        const list = this.getList(listId);
+        if (!list.lists[purpose]) {
+            throw new Error(`Unknown status purpose: ${purpose}`);
+        }
+        return getBit(decodeBitstring(list.lists[purpose]), index);
+    }
+
+    getList(listId) {
+        const list = this.repository.get(String(listId));
+        if (!list) {
+            throw new Error(`Status list ${listId} not found`);
+        }
+        return list;
+    }
+
+    /**
+     * Helper methods
+     */
+    createList(id, issuerId) {
+        const empty = encodeBitstring(Buffer.alloc(this.listSize / 8));
+        const now = Date.now();
+
+        return {
+            id,
+            issuerId,
+            size: this.listSize,
+            nextIndex: 0,
+            lists: Object.fromEntries(STATUS_PURPOSES.map(purpose => [purpose, empty])),
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+}
+
+/**
+ * Verifier-side status checks with cached status list credentials
+ *
+ * `fetchList(url)` returns the status list credential served at `url` (as a
+ * JWT or as a credential with a JwtProof2020 proof) and
+ * `resolveKey(issuerId, { keyId })` returns the issuer's public key. Each list is fetched once per `ttl`, so
+ * checking many credentials does not call the issuer for each one.
+ */
+class StatusListVerifier {
+    constructor({ fetchList, resolveKey, ttl = 5 * 60 * 1000 }) {
+        this.fetchList = fetchList;
+        this.resolveKey = resolveKey;
+        this.ttl = ttl;
+        this.cache = new Map(); // url -> { purpose, bits, issuer, fetchedAt }
+    }
+
+    /**
+     * Check every BitstringStatusListEntry of a credential
+     */
+    async check(credential) {
+        const entries = [].concat(credential.credentialStatus || [])
+            .filter(entry => entry && entry.type === 'BitstringStatusListEntry');
+        const issuer = typeof credential.issuer === 'object' ? credential.issuer.id : credential.issuer;
+
+        const status = {};
+        for (const entry of entries) {
+            const list = await this.getList(entry.statusListCredential);
+            if (list.issuer !== issuer) {
+                throw new Error(`Status list ${entry.statusListCredential} was not issued by ${issuer}`);
+            }
+            if (list.purpose !== entry.statusPurpose) {
+                throw new Error(`Status list ${entry.statusListCredential} is not a ${entry.statusPurpose} list`);
+            }
+            status[entry.statusPurpose] = getBit(list.bits, Number(entry.statusListIndex));
+        }
+
+        return {
+            revoked: Boolean(status.revocation),
+            suspended: Boolean(status.suspension),
+            status
+        };
+    }
+
+    async getList(url) {
+        const cached = this.cache.get(url);
+        if (cached && Date.now() - cached.fetchedAt < this.ttl) {
+            return cached;
+        }
+
+        const fetched = await this.fetchList(url);
+        const jwt = typeof fetched === 'string' ? fetched : fetched && fetched.proof && fetched.proof.jwt;
+        if (!jwt) {
+            throw new Error(`Status list ${url} is not signed`);
+        }
+
+        // Lists are signed when served, so the key must be valid now
+        const { header, payload } = decodeJwt(jwt);
+        const publicKey = this.resolveKey(payload.iss, { keyId: header.kid });
+        if (!publicKey) {
+            throw new Error(`Unknown status list issuer: ${payload.iss}`);
+        }
+        verifyJwt(jwt, publicKey);
+
+        if (payload.exp && payload.exp * 1000 <= Date.now()) {
+            throw new Error(`Status list ${url} expired`);
+        }
+
+        const subject = payload.vc.credentialSubject;
+        const list = {
+            issuer: payload.iss,
+            purpose: subject.statusPurpose,
+            bits: decodeBitstring(subject.encodedList),
+            fetchedAt: Date.now()
+        };
+
+        this.cache.set(url, list);
+        return list;
+    }
+}
+
+module.exports = {
+    STATUS_PURPOSES,
+    DEFAULT_LIST_SIZE,
+    encodeBitstring,
+    decodeBitstring,
+    getBit,
+    StatusListRegistry,
+    StatusListVerifier
+};
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const ethers = require('ethers');
+const { algorithmForKey, canonicalize, decodeJwt, signBytes, verifyBytes, verifyJwt } = require('./jws');
+
+const CREDENTIAL_CONTEXTS = [
+    'https://www.w3.org/2018/credentials/v1',
+    'https://www.w3.org/ns/credentials/v2'
+];
+
+const FORMATS = {
+    JWT: 'jwt',
+    JSON_LD: 'jsonld'
+};
+
+// Data Integrity cryptosuites, both using JCS canonicalization
+const CRYPTOSUITES = {
+    EdDSA: 'eddsa-jcs-2022',
+    ES256K: 'ecdsa-secp256k1-jcs-2019'
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function stripProof(credential) {
+    const { proof, ...unsecured } = credential;
+    return unsecured;
+}
+
+/**
+ * Hash the proof options and the unsecured document as the Data Integrity signing input
+ */
+function dataIntegrityHash(unsecured, proofOptions) {
+    return Buffer.concat([
+        sha256(canonicalize(proofOptions)),
+        sha256(canonicalize(unsecured))
+    ]);
+}
+
+/**
+ * Build the JWT claims for a credential (VC-JWT, vc claim carries the full credential)
+ */
+function toJwtClaims(credential) {
+    const unsecured = stripProof(credential);
+    const issuer = typeof unsecured.issuer === 'object' ? unsecured.issuer.id : unsecured.issuer;
+    const claims = {
+        iss: issuer,
+        sub: unsecured.credentialSubject && unsecured.credentialSubject.id,
+        jti: unsecured.id,
+        nbf: Math.floor(new Date(unsecured.issuanceDate || unsecured.validFrom).getTime() / 1000),
+        vc: unsecured
+    };
+
+    const expiration = unsecured.expirationDate || unsecured.validUntil;
+    if (expiration) {
+        claims.exp = Math.floor(new Date(expiration).getTime() / 1000);
+    }
+    return claims;
+}
+
+/**
+ * Rebuild a credential from VC-JWT claims, filling registered claims the vc omits
+ */
+function fromJwtClaims(payload, jwt) {
+    if (!payload.vc || typeof payload.vc !== 'object') {
+        throw new Error('JWT has no vc claim');
+    }
+
+    const credential = { ...payload.vc };
+    if (!credential.issuer && payload.iss) {
+        credential.issuer = payload.iss;
+    }
+    if (!credential.id && payload.jti) {
+        credential.id = payload.jti;
+    }
+    if (!credential.issuanceDate && !credential.validFrom && payload.nbf) {
+        credential.issuanceDate = new Date(payload.nbf * 1000).toISOString();
+    }
+    if (!credential.expirationDate && !credential.validUntil && payload.exp) {
+        credential.expirationDate = new Date(payload.exp * 1000).toISOString();
+    }
+    if (credential.credentialSubject && !credential.credentialSubject.id && payload.sub) {
+        credential.credentialSubject = { ...credential.credentialSubject, id: payload.sub };
+    }
+
+    credential.proof = { type: 'JwtProof2020', jwt };
+    return credential;
+}
+
+/**
+ * Add a Data Integrity proof to a credential, replacing any existing proof
+ */
+function addDataIntegrityProof(credential, { privateKey, verificationMethod, created = new Date() }) {
+    const unsecured = stripProof(credential);
+    const proofOptions = {
+        type: 'DataIntegrityProof',
+        cryptosuite: CRYPTOSUITES[algorithmForKey(privateKey, 'private')],
+        created: created.toISOString(),
+        verificationMethod,
+        proofPurpose: 'assertionMethod'
+    };
+
+    const signature = signBytes(dataIntegrityHash(unsecured, proofOptions), privateKey);
+
+    return {
+        ...unsecured,
+        proof: {
+            ...proofOptions,
+            proofValue: 'z' + ethers.utils.base58.encode(signature)
+        }
+    };
+}
+
+/**
+ * Verify a Data Integrity proof against the issuer's public key
+ */
+function verifyDataIntegrityProof(credential, publicKey) {
+    const { proof } = credential;
+    if (!proof || proof.type !== 'DataIntegrityProof' || typeof proof.proofValue !== 'string') {
+        return false;
+    }
+
+    if (proof.cryptosuite !== CRYPTOSUITES[algorithmForKey(publicKey, 'public')]) {
+        return false;
+    }
+    if (!proof.proofValue.startsWith('z')) {
+        return false; // only base58btc multibase is supported
+    }
+
+    const { proofValue, ...proofOptions } = proof;
+    const signature = Buffer.from(ethers.utils.base58.decode(proofValue.slice(1)));
+
+    return verifyBytes(dataIntegrityHash(stripProof(credential), proofOptions), signature, publicKey);
+}
+
+/**
+ * Check the structure, schema reference and validity period of a credential
+ */
+function validateCredential(credential, now = new Date()) {
+    const errors = [];
+
+    if (!credential || typeof credential !== 'object') {
+        return { valid: false, errors: ['Credential must be an object'] };
+    }
+
+    const contexts = credential['@context'];
+    if (!Array.isArray(contexts) || !CREDENTIAL_CONTEXTS.includes(contexts[0])) {
+        errors.push(`@context must start with ${CREDENTIAL_CONTEXTS.join(' or ')}`);
+    }
+
+    const types = credential.type;
+    if (!Array.isArray(types) || !types.includes('VerifiableCredential')) {
+        errors.push('type must include VerifiableCredential');
+    }
+
+    const issuer = typeof credential.issuer === 'object' && credential.issuer !== null
+        ? credential.issuer.id
+        : credential.issuer;
+    if (typeof issuer !== 'string' || !issuer) {
+        errors.push('issuer is required');
+    }
+
+    if (!credential.credentialSubject || typeof credential.credentialSubject !== 'object') {
+        errors.push('credentialSubject is required');
+    }
+
+    const schemas = [].concat(credential.credentialSchema || []);
+    if (schemas.length === 0) {
+        errors.push('credentialSchema is required');
+    }
+    for (const schema of schemas) {
+        if (!schema || typeof schema.id !== 'string' || typeof schema.type !== 'string') {
+            errors.push('credentialSchema entries must have an id and type');
+        }
+    }
+
+    const issuedAt = credential.issuanceDate || credential.validFrom;
+    const expiresAt = credential.expirationDate || credential.validUntil;
+    if (!issuedAt || Number.isNaN(new Date(issuedAt).getTime())) {
+        errors.push('issuanceDate must be a valid date');
+    } else if (new Date(issuedAt) > now) {
+        errors.push('Credential is not valid yet');
+    }
+    if (expiresAt !== undefined) {
+        if (Number.isNaN(new Date(expiresAt).getTime())) {
+            errors.push('expirationDate must be a valid date');
+        } else if (new Date(expiresAt) <= now) {
+            errors.push('Credential expired');
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Detect the wire format of a serialized credential
+ */
+function detectFormat(input) {
+    if (typeof input === 'string') {
+        const trimmed = input.trim();
+        return trimmed.startsWith('{') ? FORMATS.JSON_LD : FORMATS.JWT;
+    }
+    return FORMATS.JSON_LD;
+}
+
+/**
+ * Parse a VC-JWT or JSON-LD credential and verify its proof
+ *
+ * `resolveKey(issuerId, { keyId, signedAt })` returns the public key the issuer
+ * signed with, or nothing if the issuer is unknown; it may throw when the key
+ * was not valid at `signedAt`. VC-JWTs are signed at issuance and name their
+ * key in `kid`; Data Integrity proofs carry their own `created` time and
+ * `verificationMethod`.
+ */
+function parseCredential(input, { resolveKey, now = new Date() } = {}) {
+    const format = detectFormat(input);
+    let credential;
+    let issuerId;
+    let signer = {};
+
+    if (format === FORMATS.JWT) {
+        const { header, payload } = decodeJwt(input);
+        credential = fromJwtClaims(payload, String(input).trim());
+        issuerId = payload.iss;
+        signer = { keyId: header.kid, signedAt: credential.issuanceDate || credential.validFrom };
+    } else {
+        credential = typeof input === 'string' ? JSON.parse(input) : input;
+        issuerId = credential && (typeof credential.issuer === 'object' && credential.issuer !== null
+            ? credential.issuer.id
+            : credential.issuer);
+        if (credential && credential.proof) {
+            signer = { keyId: credential.proof.verificationMethod, signedAt: credential.proof.created };
+        }
+    }
+
+    const { errors } = validateCredential(credential, now);
+    let publicKey = null;
+    let keyError = null;
+    try {
+        publicKey = issuerId && resolveKey ? resolveKey(issuerId, signer) : null;
+    } catch (error) {
+        keyError = error.message;
+    }
+
+    if (keyError) {
+        errors.push(keyError);
+    } else if (!publicKey) {
+        errors.push(`Unknown issuer: ${issuerId}`);
+    } else if (format === FORMATS.JWT) {
+        try {
+            verifyJwt(credential.proof.jwt, publicKey);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    } else {
+        let proofValid = false;
+        try {
+            proofValid = verifyDataIntegrityProof(credential, publicKey);
+        } catch (error) {
+            proofValid = false;
+        }
+        if (!proofValid) {
+            errors.push('Invalid Data Integrity proof');
+        }
+    }
+
+    return { valid: errors.length === 0, errors, format, issuer: issuerId, credential };
+}
+
+module.exports = {
+    CREDENTIAL_CONTEXTS,
+    FORMATS,
+    CRYPTOSUITES,
+    toJwtClaims,
+    fromJwtClaims,
+    addDataIntegrityProof,
+    verifyDataIntegrityProof,
+    validateCredential,
+    detectFormat,
+    parseCredential
+};
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateKeyPair, signJwt } = require('./jws');
+const {
+    FORMATS,
+    addDataIntegrityProof,
+    detectFormat,
+    fromJwtClaims,
+    parseCredential,
+    toJwtClaims,
+    validateCredential,
+    verifyDataIntegrityProof
+} = require('./vcFormats');
+
+const issuer = 'did:example:issuer';
+
+function credential(overrides = {}) {
+    return {
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        id: 'urn:uuid:1',
+        type: ['VerifiableCredential', 'KYCVerificationCredential'],
+        issuer: { id: issuer, name: 'Issuer' },
+        issuanceDate: '2024-01-01T00:00:00.000Z',
+        expirationDate: '2099-01-01T00:00:00.000Z',
+        credentialSubject: { id: 'did:ethr:0xabc', isAdult: true },
+        credentialSchema: { id: 'https://schemas.example/kyc/1', type: 'JsonSchemaValidator2018' },
+        ...overrides
+    };
+}
+
+test('VC-JWT claims round-trip to the same credential', () => {
+    const claims = toJwtClaims(credential());
+    assert.equal(claims.iss, issuer);
+    assert.equal(claims.sub, 'did:ethr:0xabc');
+    assert.equal(claims.nbf, Date.parse('2024-01-01') / 1000);
+
+    const { proof, ...parsed } = fromJwtClaims(claims, 'token');
+    assert.deepEqual(parsed, credential());
+    assert.deepEqual(proof, { type: 'JwtProof2020', jwt: 'token' });
+    assert.throws(() => fromJwtClaims({ iss: issuer }, 'token'), /no vc claim/);
+});
+
+test('validation reports missing fields and the validity period', () => {
+    assert.deepEqual(validateCredential(credential()), { valid: true, errors: [] });
+
+    const { errors } = validateCredential(credential({ credentialSchema: undefined, type: ['KYC'] }));
+    assert.deepEqual(errors, ['type must include VerifiableCredential', 'credentialSchema is required']);
+
+    assert.deepEqual(validateCredential(credential(), new Date('2100-01-01')).errors, ['Credential expired']);
+    assert.deepEqual(validateCredential(credential(), new Date('2023-01-01')).errors, ['Credential is not valid yet']);
+});
+
+for (const algorithm of ['ES256K', 'EdDSA']) {
+    test(`Data Integrity proofs with ${algorithm} keys`, () => {
+        const { privateKey, publicKey } = generateKeyPair(algorithm);
+        const signed = addDataIntegrityProof(credential(), { privateKey, verificationMethod: `${issuer}#key-1` });
+
+        assert.equal(verifyDataIntegrityProof(signed, publicKey), true);
+        const tampered = { ...signed, credentialSubject: { ...signed.credentialSubject, isAdult: false } };
+        assert.equal(verifyDataIntegrityProof(tampered, publicKey), false);
+        assert.equal(verifyDataIntegrityProof(signed, generateKeyPair(algorithm).publicKey), false);
+    });
+}
+
+test('both formats are parsed and verified against the resolved key', () => {
+    const { privateKey, publicKey } = generateKeyPair('ES256K');
+    const resolved = [];
+    const resolveKey = (issuerId, signer) => {
+        resolved.push(signer);
+        return issuerId === issuer ? publicKey : null;
+    };
+
+    const jwt = signJwt(toJwtClaims(credential()), privateKey, { kid: `${issuer}#key-1` });
+    const fromJwt = parseCredential(jwt, { resolveKey });
+    assert.equal(detectFormat(jwt), FORMATS.JWT);
+    assert.equal(fromJwt.valid, true, fromJwt.errors.join());
+    assert.equal(fromJwt.issuer, issuer);
+
+    const jsonld = addDataIntegrityProof(credential(), { privateKey, verificationMethod: `${issuer}#key-1` });
+    const fromJsonLd = parseCredential(JSON.stringify(jsonld), { resolveKey });
+    assert.equal(fromJsonLd.format, FORMATS.JSON_LD);
+    assert.equal(fromJsonLd.valid, true, fromJsonLd.errors.join());
+
+    assert.deepEqual(resolved.map(signer => signer.keyId), [`${issuer}#key-1`, `${issuer}#key-1`]);
+
+    const unknown = parseCredential(credential({ issuer: 'did:example:other' }), { resolveKey });
+    assert.deepEqual(unknown.errors, ['Unknown issuer: did:example:other']);
+});
@@ -0,0 +1,80 @@
+const { loadConfig } = require('./config');
+const { createApp } = require('./api/proofServer');
+const VerificationService = require('./api/verificationService');
+const CredentialIssuer = require('./identity/credentialIssuer');
+const IssuerRegistry = require('./identity/issuerRegistry');
+const ApplicationWorkflow = require('./api/applicationWorkflow');
+const DocumentVault = require('./identity/documentVault');
+const { issueAndRegister } = require('./api/issuance');
+const { createKYCProvider } = require('./identity/kycProviders');
+const { createStore } = require('./storage');
+
+/**
+ * Initialize services and start listening
+ */
+async function start(config = loadConfig()) {
+    const store = createStore(config.storage);
+    const issuers = new IssuerRegistry({
+        repository: store.issuers,
+        keyRepository: store.issuerKeys,
+        masterKey: config.issuer.masterKey,
+        masterKeyFile: config.issuer.masterKeyFile
+    });
+    const verificationService = new VerificationService({ store, issuers });
+    const credentialIssuer = new CredentialIssuer(config.issuer, {
+        store,
+        issuers,
+        kycProvider: createKYCProvider(config.kyc)
+    });
+    const applicationWorkflow = new ApplicationWorkflow({
+        repository: store.applications,
+        issueCredential: (application, issuerId) => issueAndRegister({ verificationService, credentialIssuer }, application, issuerId)
+    });
+    const documentVault = new DocumentVault({
+        ...config.documents,
+        repository: store.documents,
+        accessLog: store.documentAccess,
+        keyRepository: store.documentKeys
+    });
+    
+    // Retention policy: expired documents are deleted at startup and then periodically
+    const purgeDocuments = () => documentVault.purgeExpired()
+        .then(count => count && console.log(`Deleted ${count} documents past their retention period`))
+        .catch(error => console.error('Document purge failed:', error));
+    purgeDocuments();
+    setInterval(purgeDocuments, config.documents.purgeInterval).unref();
+    
+    try {
+        await verificationService.initialize({
+            circuitPath: config.circuitPath,
+            rpcUrl: config.rpcUrl,
+            denyLists: config.denyLists
+        });
+    } catch (error) {
+        // Mock proofs prove nothing, so they are only used when explicitly allowed
+        if (!config.allowMockProofs) {
+            throw new Error(`Circuit artifacts not loaded (${error.message}); set ALLOW_MOCK_PROOFS=true to run with mock proofs in development`);
+        }
+        console.error('!!! WARNING: ALLOW_MOCK_PROOFS is set and circuit artifacts were not loaded:', error.message);
+        console.error('!!! Proofs are MOCKED and verify without any cryptography. Never run this in production.');
+        await verificationService.initialize({ rpcUrl: config.rpcUrl, denyLists: config.denyLists });
+    }
+    
+    const app = createApp({ config, verificationService, credentialIssuer, applicationWorkflow, documentVault });
+    
+    return new Promise(resolve => {
+        const server = app.listen(config.port, () => {
+            console.log(`zkKYC backend listening on port ${config.port}`);
+            resolve(server);
+        });
+    });
+}
+
+if (require.main === module) {
+    start().catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { start };
@@ -0,0 +1,33 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { start } = require('./server');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zkkyc-server-'));
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function config(env = {}) {
+    return loadConfig({
+        PORT: '0',
+        STORAGE_DRIVER: 'memory',
+        CIRCUIT_PATH: path.join(dir, 'missing-build'),
+        DOCUMENT_STORE_PATH: path.join(dir, 'documents'),
+        ISSUER_MASTER_KEY: 'ab'.repeat(32),
+        ...env
+    });
+}
+
+test('startup fails without circuit artifacts', async () => {
+    await assert.rejects(start(config()), /ALLOW_MOCK_PROOFS/);
+});
+
+test('mock proofs are only used when explicitly allowed', async () => {
+    const server = await start(config({ ALLOW_MOCK_PROOFS: 'true' }));
+    await new Promise(resolve => server.close(resolve));
+});
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { MemoryRepository } = require('./memoryStore');
+const { COLLECTIONS } = require('./schema');
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Encrypted files on local disk with per-owner envelope keys
+ *
+ * Every owner (e.g. an application) gets a random data key, stored wrapped
+ * with the master key in the `documentKeys` collection. Blobs are encrypted
+ * with AES-256-GCM under the owner's data key while they stream to disk, with
+ * the blob ID as associated data so ciphertexts cannot be swapped between
+ * records. Destroying an owner's key makes all of its blobs unreadable.
+ */
+class EncryptedBlobStore {
+    constructor({ dir, masterKey, keyRepository } = {}) {
+        if (!dir) {
+            throw new Error('Blob store directory is required');
+        }
+
+        // Development stores get an ephemeral master key
+        if (!masterKey) {
+            console.warn('No document master key configured, generating an ephemeral key; stored documents will be unreadable after a restart');
+        }
+        this.masterKey = masterKey ? Buffer.from(masterKey, 'hex') : crypto.randomBytes(KEY_LENGTH);
+        if (this.masterKey.length !== KEY_LENGTH) {
+            throw new Error(`Document master key must be ${KEY_LENGTH} bytes of hex`);
+        }
+
+        this.dir = dir;
+        this.keys = keyRepository || new MemoryRepository(COLLECTIONS.documentKeys);
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    /**
+     * Data key of an owner, created and wrapped on first use
+     */
+    dataKey(ownerId) {
+        const stored = this.keys.get(ownerId);
+        if (stored) {
+            const decipher = crypto.createDecipheriv(CIPHER, this.masterKey, Buffer.from(stored.iv, 'base64'));
+            decipher.setAAD(Buffer.from(ownerId));
+            decipher.setAuthTag(Buffer.from(stored.authTag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(stored.wrappedKey, 'base64')), decipher.final()]);
+        }
+
+        const key = crypto.randomBytes(KEY_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(CIPHER, this.masterKey, iv);
+        cipher.setAAD(Buffer.from(ownerId));
+        const wrappedKey = Buffer.concat([cipher.update(key), cipher.final()]);
+
+        this.keys.save({
+            ownerId,
+            wrappedKey: wrappedKey.toString('base64'),
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64'),
+            createdAt: Date.now()
+        });
+        return key;
+    }
+
+    /**
+     * Encrypt a stream (through any transforms given) into a new blob
+     *
+     * Resolves to { blobId, iv, authTag, size } once the blob is on disk; a
+     * failed stream leaves no file behind.
+     */
+    async write(ownerId, source, ...transforms) {
+        const blobId = crypto.randomUUID();
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(CIPHER, this.dataKey(ownerId), iv);
+        cipher.setAAD(Buffer.from(blobId));
+
+        const file = this.path(blobId);
+        const partial = `${file}.partial`;
+        try {
+            await pipeline(source, ...transforms, cipher, fs.createWriteStream(partial, { mode: 0o600 }));
+            await fs.promises.rename(partial, file);
+        } catch (error) {
+            await fs.promises.rm(partial, { force: true });
+            throw error;
+        }
+
+        const { size } = await fs.promises.stat(file);
+        return { blobId, iv: iv.toString('base64'), authTag: cipher.getAuthTag().toString('base64'), size };
+    }
+
+    /**
+     * Decrypting stream of a blob; it errors if the ciphertext was altered
+     */
+    read(ownerId, { blobId, iv, authTag }) {
+        const decipher = crypto.createDecipheriv(CIPHER, this.dataKey(ownerId), Buffer.from(iv, 'base64'));
+        decipher.setAAD(Buffer.from(blobId));
+        decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+        const file = fs.createReadStream(this.path(blobId));
+        file.on('error', error => decipher.destroy(error));
+        return file.pipe(decipher);
+    }
+
+    async delete(blobId) {
+        await fs.promises.rm(this.path(blobId), { force: true });
+    }
+
+    /**
+     * Destroy an owner's data key; its remaining blobs can no longer be decrypted
+     */
+    destroyKey(ownerId) {
+        return this.keys.delete(ownerId);
+    }
+
+    path(blobId) {
+        if (!/^[0-9a-f-]{36}$/.test(blobId)) {
+            throw new Error(`Invalid blob ID: ${blobId}`);
+        }
+        return path.join(this.dir, `${blobId}.bin`);
+    }
+}
+
+module.exports = { EncryptedBlobStore };
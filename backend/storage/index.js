@@ -0,0 +1,24 @@
+const { MemoryStore } = require('./memoryStore');
+
+/**
+ * Create a store for the configured driver ('sqlite' or 'memory')
+ *
+ * A store exposes one repository per collection in ./schema.js, each with
+ * get(key), save(record), delete(key), findBy(field, value), list() and
+ * count([field, value]).
+ */
+function createStore({ driver = 'memory', filename } = {}) {
+    switch (driver) {
+        case 'memory':
+            return new MemoryStore();
+        case 'sqlite': {
+            // Loaded lazily so the native module is only needed for SQLite
+            const { SqliteStore } = require('./sqliteStore');
+            return new SqliteStore(filename);
+        }
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,96 @@
+const { COLLECTIONS } = require('./schema');
+
+/**
+ * In-memory repository with secondary indexes, for tests and development
+ *
+ * Records are cloned on the way in and out so callers must `save` changes,
+ * exactly as with the SQLite repository.
+ */
+class MemoryRepository {
+    constructor(definition) {
+        this.definition = definition;
+        this.records = new Map(); // key -> record
+        this.indexes = new Map(); // field -> (value -> Set of keys)
+        
+        for (const field of definition.indexes) {
+            this.indexes.set(field, new Map());
+        }
+    }
+    
+    get(key) {
+        const record = this.records.get(key);
+        return record ? structuredClone(record) : null;
+    }
+    
+    save(record) {
+        const key = record[this.definition.key];
+        if (key === undefined || key === null) {
+            throw new Error(`${this.definition.table} record is missing ${this.definition.key}`);
+        }
+        
+        this.unindex(key);
+        this.records.set(key, structuredClone(record));
+        
+        for (const [field, index] of this.indexes) {
+            const value = record[field];
+            if (value === undefined || value === null) continue;
+            
+            if (!index.has(value)) {
+                index.set(value, new Set());
+            }
+            index.get(value).add(key);
+        }
+        
+        return record;
+    }
+    
+    delete(key) {
+        this.unindex(key);
+        return this.records.delete(key);
+    }
+    
+    findBy(field, value) {
+        const index = this.indexes.get(field);
+        if (!index) {
+            throw new Error(`${this.definition.table} has no index on ${field}`);
+        }
+        
+        const keys = index.get(value) || new Set();
+        return Array.from(keys).map(key => this.get(key));
+    }
+    
+    list() {
+        return Array.from(this.records.keys()).map(key => this.get(key));
+    }
+    
+    count(field, value) {
+        if (field === undefined) {
+            return this.records.size;
+        }
+        return this.findBy(field, value).length;
+    }
+    
+    unindex(key) {
+        const existing = this.records.get(key);
+        if (!existing) return;
+        
+        for (const [field, index] of this.indexes) {
+            const keys = index.get(existing[field]);
+            if (keys) {
+                keys.delete(key);
+            }
+        }
+    }
+}
+
+class MemoryStore {
+    constructor() {
+        for (const [name, definition] of Object.entries(COLLECTIONS)) {
+            this[name] = new MemoryRepository(definition);
+        }
+    }
+    
+    close() {}
+}
+
+module.exports = { MemoryStore, MemoryRepository };
@@ -0,0 +1,231 @@
+/**
+ * Ordered schema migrations, tracked with SQLite's user_version pragma
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        up: `
+            CREATE TABLE credentials (
+                id TEXT PRIMARY KEY,
+                user_address TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_credentials_user_address ON credentials (user_address);
+            
+            CREATE TABLE proofs (
+                nullifier TEXT PRIMARY KEY,
+                credential_id TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_proofs_credential_id ON proofs (credential_id);
+            
+            CREATE TABLE nullifiers (
+                nullifier TEXT PRIMARY KEY,
+                credential_id TEXT,
+                status TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_nullifiers_credential_id ON nullifiers (credential_id);
+            CREATE INDEX idx_nullifiers_status ON nullifiers (status);
+            
+            CREATE TABLE issued_credentials (
+                credential_id TEXT PRIMARY KEY,
+                user_address TEXT,
+                status TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_issued_credentials_user_address ON issued_credentials (user_address);
+            CREATE INDEX idx_issued_credentials_status ON issued_credentials (status);
+        `
+    },
+    {
+        version: 2,
+        name: 'status_lists',
+        up: `
+            CREATE TABLE status_lists (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+        `
+    },
+    {
+        version: 3,
+        name: 'credential_registry',
+        up: `
+            CREATE TABLE registry_leaves (
+                commitment TEXT PRIMARY KEY,
+                credential_id TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_registry_leaves_credential_id ON registry_leaves (credential_id);
+            
+            CREATE TABLE registry_roots (
+                root TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+        `
+    },
+    {
+        version: 4,
+        name: 'deny_lists',
+        up: `
+            CREATE TABLE deny_lists (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+        `
+    },
+    {
+        version: 5,
+        name: 'circuits',
+        up: `
+            CREATE TABLE circuits (
+                circuit_id TEXT PRIMARY KEY,
+                name TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_circuits_name ON circuits (name);
+        `
+    },
+    {
+        version: 6,
+        name: 'kyc_checks',
+        up: `
+            CREATE TABLE kyc_checks (
+                id TEXT PRIMARY KEY,
+                user_address TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_kyc_checks_user_address ON kyc_checks (user_address);
+        `
+    },
+    {
+        version: 7,
+        name: 'applications',
+        up: `
+            CREATE TABLE applications (
+                id TEXT PRIMARY KEY,
+                user_address TEXT,
+                status TEXT,
+                reviewer TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_applications_user_address ON applications (user_address);
+            CREATE INDEX idx_applications_status ON applications (status);
+            CREATE INDEX idx_applications_reviewer ON applications (reviewer);
+        `
+    },
+    {
+        version: 8,
+        name: 'documents',
+        up: `
+            CREATE TABLE documents (
+                id TEXT PRIMARY KEY,
+                application_id TEXT,
+                status TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_documents_application_id ON documents (application_id);
+            CREATE INDEX idx_documents_status ON documents (status);
+            
+            CREATE TABLE document_keys (
+                owner_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            
+            CREATE TABLE document_access (
+                id TEXT PRIMARY KEY,
+                application_id TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_document_access_application_id ON document_access (application_id);
+        `
+    },
+    {
+        version: 9,
+        name: 'credential_templates',
+        up: `
+            CREATE TABLE credential_templates (
+                id TEXT PRIMARY KEY,
+                template_id TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_credential_templates_template_id ON credential_templates (template_id);
+        `
+    },
+    {
+        version: 10,
+        name: 'issuers',
+        up: `
+            CREATE TABLE issuers (
+                id TEXT PRIMARY KEY,
+                status TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_issuers_status ON issuers (status);
+            
+            CREATE TABLE issuer_keys (
+                key_id TEXT PRIMARY KEY,
+                issuer_id TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_issuer_keys_issuer_id ON issuer_keys (issuer_id);
+        `
+    },
+    {
+        // A root published again (a removal restoring an earlier tree) gets a
+        // record of its own instead of replacing the earlier one
+        version: 11,
+        name: 'registry_roots_by_sequence',
+        up: `
+            CREATE TABLE registry_roots_by_sequence (
+                sequence INTEGER PRIMARY KEY,
+                root TEXT,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            INSERT INTO registry_roots_by_sequence (sequence, root, data, updated_at)
+                SELECT json_extract(data, '$.sequence'), root, data, updated_at FROM registry_roots;
+            DROP TABLE registry_roots;
+            ALTER TABLE registry_roots_by_sequence RENAME TO registry_roots;
+            CREATE INDEX idx_registry_roots_root ON registry_roots (root);
+        `
+    }
+];
+
+/**
+ * Apply every migration newer than the database's current version
+ */
+function migrate(db, migrations = MIGRATIONS) {
+    const current = db.pragma('user_version', { simple: true });
+    const pending = migrations.filter(m => m.version > current).sort((a, b) => a.version - b.version);
+    
+    for (const migration of pending) {
+        db.transaction(() => {
+            db.exec(migration.up);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+    }
+    
+    return pending.map(m => m.name);
+}
+
+module.exports = { MIGRATIONS, migrate };
@@ -0,0 +1,102 @@
+/**
+ * Collections persisted by the storage layer
+ *
+ * Each record is stored whole; `key` is its primary key and `indexes` are the
+ * fields that can be looked up with `findBy`.
+ */
+const COLLECTIONS = {
+    credentials: {
+        table: 'credentials',
+        key: 'id',
+        indexes: ['userAddress']
+    },
+    proofs: {
+        table: 'proofs',
+        key: 'nullifier',
+        indexes: ['credentialId']
+    },
+    nullifiers: {
+        table: 'nullifiers',
+        key: 'nullifier',
+        indexes: ['credentialId', 'status']
+    },
+    issuedCredentials: {
+        table: 'issued_credentials',
+        key: 'credentialId',
+        indexes: ['userAddress', 'status']
+    },
+    statusLists: {
+        table: 'status_lists',
+        key: 'id',
+        indexes: []
+    },
+    registryLeaves: {
+        table: 'registry_leaves',
+        key: 'commitment',
+        indexes: ['credentialId']
+    },
+    registryRoots: {
+        table: 'registry_roots',
+        key: 'sequence',
+        indexes: ['root']
+    },
+    denyLists: {
+        table: 'deny_lists',
+        key: 'id',
+        indexes: []
+    },
+    circuits: {
+        table: 'circuits',
+        key: 'circuitId',
+        indexes: ['name']
+    },
+    kycChecks: {
+        table: 'kyc_checks',
+        key: 'id',
+        indexes: ['userAddress']
+    },
+    applications: {
+        table: 'applications',
+        key: 'id',
+        indexes: ['userAddress', 'status', 'reviewer']
+    },
+    documents: {
+        table: 'documents',
+        key: 'id',
+        indexes: ['applicationId', 'status']
+    },
+    documentKeys: {
+        table: 'document_keys',
+        key: 'ownerId',
+        indexes: []
+    },
+    documentAccess: {
+        table: 'document_access',
+        key: 'id',
+        indexes: ['applicationId']
+    },
+    credentialTemplates: {
+        table: 'credential_templates',
+        key: 'id',
+        indexes: ['templateId']
+    },
+    issuers: {
+        table: 'issuers',
+        key: 'id',
+        indexes: ['status']
+    },
+    issuerKeys: {
+        table: 'issuer_keys',
+        key: 'keyId',
+        indexes: ['issuerId']
+    }
+};
+
+/**
+ * Map a record field to its SQL column name
+ */
+function toColumn(field) {
+    return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+module.exports = { COLLECTIONS, toColumn };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { COLLECTIONS, toColumn } = require('./schema');
+const { migrate } = require('./migrations');
+
+/**
+ * SQLite-backed repository; records are stored as JSON with indexed columns
+ */
+class SqliteRepository {
+    constructor(db, definition) {
+        this.definition = definition;
+        this.db = db;
+        
+        const { table, key, indexes } = definition;
+        const keyColumn = toColumn(key);
+        const columns = [keyColumn, ...indexes.map(toColumn), 'data', 'updated_at'];
+        
+        this.statements = {
+            get: db.prepare(`SELECT data FROM ${table} WHERE ${keyColumn} = ?`),
+            save: db.prepare(
+                `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) ` +
+                `VALUES (${columns.map(c => '@' + c).join(', ')})`
+            ),
+            delete: db.prepare(`DELETE FROM ${table} WHERE ${keyColumn} = ?`),
+            list: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`),
+            count: db.prepare(`SELECT COUNT(*) AS total FROM ${table}`),
+            findBy: new Map(indexes.map(field => [
+                field,
+                db.prepare(`SELECT data FROM ${table} WHERE ${toColumn(field)} = ? ORDER BY rowid`)
+            ]))
+        };
+    }
+    
+    get(key) {
+        const row = this.statements.get.get(key);
+        return row ? JSON.parse(row.data) : null;
+    }
+    
+    save(record) {
+        const { key, indexes, table } = this.definition;
+        if (record[key] === undefined || record[key] === null) {
+            throw new Error(`${table} record is missing ${key}`);
+        }
+        
+        const params = {
+            [toColumn(key)]: record[key],
+            data: JSON.stringify(record),
+            updated_at: Date.now()
+        };
+        for (const field of indexes) {
+            params[toColumn(field)] = record[field] === undefined ? null : record[field];
+        }
+        
+        this.statements.save.run(params);
+        return record;
+    }
+    
+    delete(key) {
+        return this.statements.delete.run(key).changes > 0;
+    }
+    
+    findBy(field, value) {
+        const statement = this.statements.findBy.get(field);
+        if (!statement) {
+            throw new Error(`${this.definition.table} has no index on ${field}`);
+        }
+        return statement.all(value).map(row => JSON.parse(row.data));
+    }
+    
+    list() {
+        return this.statements.list.all().map(row => JSON.parse(row.data));
+    }
+    
+    count(field, value) {
+        if (field === undefined) {
+            return this.statements.count.get().total;
+        }
+        return this.findBy(field, value).length;
+    }
+}
+
+class SqliteStore {
+    constructor(filename) {
+        if (filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+        
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.appliedMigrations = migrate(this.db);
+        
+        for (const [name, definition] of Object.entries(COLLECTIONS)) {
+            this[name] = new SqliteRepository(this.db, definition);
+        }
+    }
+    
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = { SqliteStore, SqliteRepository };
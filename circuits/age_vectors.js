@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { wtns } = require('snarkjs');
+const {
+    TREE_DEPTH,
+    DEFAULT_ARTIFACTS,
+    buildCircuitInputs,
+    encodeCommitmentInputs
+} = require('./generate_proof');
+const { poseidon, computeCommitment } = require('./hashing.mjs');
+
+// Age checks around birthdays, leap days and pre-1970 births
+const AGE_VECTORS = [
+    { dob: '2006-03-15', currentDate: '2024-03-14', minAge: 18, expected: false },
+    { dob: '2006-03-15', currentDate: '2024-03-15', minAge: 18, expected: true },
+    { dob: '2006-03-15', currentDate: '2024-03-16', minAge: 18, expected: true },
+    { dob: '2006-12-31', currentDate: '2025-01-01', minAge: 18, expected: true },
+    { dob: '2007-01-01', currentDate: '2024-12-31', minAge: 18, expected: false },
+    // February 29th birthdays turn a year older on March 1st in non-leap years
+    { dob: '2004-02-29', currentDate: '2022-02-28', minAge: 18, expected: false },
+    { dob: '2004-02-29', currentDate: '2022-03-01', minAge: 18, expected: true },
+    { dob: '2004-02-29', currentDate: '2024-02-28', minAge: 20, expected: false },
+    { dob: '2004-02-29', currentDate: '2024-02-29', minAge: 20, expected: true },
+    { dob: '2000-02-29', currentDate: '2018-02-28', minAge: 18, expected: false },
+    { dob: '2000-02-29', currentDate: '2018-03-01', minAge: 18, expected: true },
+    // Checking on a leap day
+    { dob: '2006-02-28', currentDate: '2024-02-29', minAge: 18, expected: true },
+    { dob: '2006-03-01', currentDate: '2024-02-29', minAge: 18, expected: false },
+    // 2100 is not a leap year
+    { dob: '2082-03-01', currentDate: '2100-02-28', minAge: 18, expected: false },
+    { dob: '2082-03-01', currentDate: '2100-03-01', minAge: 18, expected: true },
+    // Births before 1970 have negative day numbers
+    { dob: '1960-12-31', currentDate: '2025-12-30', minAge: 65, expected: false },
+    { dob: '1960-12-31', currentDate: '2025-12-31', minAge: 65, expected: true },
+    { dob: '1970-01-01', currentDate: '1988-01-01', minAge: 18, expected: true }
+];
+
+/**
+ * Merkle path for a tree whose only leaf is at index 0
+ */
+function singleLeafProof(leaf) {
+    const hash = (left, right) => poseidon([left, right]);
+    const pathElements = [];
+    let zero = 0n;
+    let root = leaf;
+
+    for (let level = 0; level < TREE_DEPTH; level++) {
+        pathElements.push(zero.toString());
+        root = hash(root, zero);
+        zero = hash(zero, zero);
+    }
+
+    return {
+        root: root.toString(),
+        pathElements,
+        pathIndices: new Array(TREE_DEPTH).fill(0)
+    };
+}
+
+/**
+ * Witness index of a named signal, from the circuit's .sym file
+ */
+function findSignal(symFile, name) {
+    for (const line of fs.readFileSync(symFile, 'utf8').split('\n')) {
+        const [, witnessIndex, , signal] = line.split(',');
+        if (signal === name) {
+            return Number(witnessIndex);
+        }
+    }
+    throw new Error(`Signal ${name} not found in ${symFile}`);
+}
+
+async function runVector(vector, { wasm, sym }) {
+    const credential = {
+        secret: '0x1234',
+        credentialId: 'age-vector',
+        dateOfBirth: vector.dob,
+        country: 'US',
+        documentNumber: 'P0000000'
+    };
+
+    const leaf = computeCommitment(encodeCommitmentInputs(credential));
+
+    const inputs = buildCircuitInputs(
+        { ...credential, merkleProof: singleLeafProof(leaf) },
+        { minAge: vector.minAge, currentDate: vector.currentDate }
+    );
+
+    const witnessFile = { type: 'mem' };
+    await wtns.calculate(inputs, wasm, witnessFile);
+    const witness = await wtns.exportJson(witnessFile);
+
+    return witness[findSignal(sym, 'main.ageCheck.out')] === 1n;
+}
+
+/**
+ * CLI entrypoint
+ *
+ * Usage: node age_vectors.js [--build ./build]
+ *
+ * The build directory needs kyc-circuit.wasm and kyc-circuit.sym (circom --sym).
+ */
+async function main(argv) {
+    const buildIndex = argv.indexOf('--build');
+    const build = buildIndex === -1 ? path.join(__dirname, 'build') : argv[buildIndex + 1];
+    const options = {
+        wasm: path.join(build, DEFAULT_ARTIFACTS.wasm),
+        sym: path.join(build, 'kyc-circuit.sym')
+    };
+
+    let failures = 0;
+    for (const vector of AGE_VECTORS) {
+        const actual = await runVector(vector, options);
+        const ok = actual === vector.expected;
+        if (!ok) failures++;
+
+        console.log(`${ok ? 'ok  ' : 'FAIL'} born ${vector.dob}, on ${vector.currentDate}, ` +
+            `minAge ${vector.minAge}: ${actual} (expected ${vector.expected})`);
+    }
+
+    console.log(`${AGE_VECTORS.length - failures}/${AGE_VECTORS.length} age vectors passed`);
+    return failures === 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(ok => process.exit(ok ? 0 : 1))
+        .catch(error => {
+            console.error('Age vectors failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { AGE_VECTORS };
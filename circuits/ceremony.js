@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { curves, powersOfTau, r1cs, zKey } = require('snarkjs');
+const { CIRCUITS, circuitId, parseArgs, resolveArtifacts } = require('./generate_proof');
+
+// Iterations (2^n hashes) applied to the beacon, as in the snarkjs docs
+const BEACON_ITERATIONS = 10;
+
+// Solidity verifier written for the main circuit
+const DEFAULT_VERIFIER = path.join(__dirname, '..', 'contracts', 'ZkVerifier.sol');
+
+// snarkjs reports some failures only through its logger
+const logger = {
+    debug: () => {},
+    info: () => {},
+    warn: message => console.warn(message),
+    error: message => console.error(message)
+};
+
+function randomEntropy() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function sha256File(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Smallest Powers of Tau power that fits a circuit, as snarkjs computes it
+ *
+ * snarkjs's newZKey takes floor(log2(n)) + 1, so an exact power of two needs
+ * the next power up.
+ */
+function requiredPower(circuit) {
+    return Math.floor(Math.log2(circuit.nConstraints + circuit.nPubInputs + circuit.nOutputs)) + 1;
+}
+
+/**
+ * Compile a circuit with circom into the build directory
+ *
+ * Without `circom` the circom2 package from devDependencies is run with this
+ * Node. `includes` are extra directories searched for node_modules/circomlib.
+ */
+function compileCircuit(source, buildDir, { circom, includes = [] } = {}) {
+    const args = [
+        path.join(__dirname, source),
+        '--r1cs', '--wasm', '--sym', '--O2',
+        '-o', path.resolve(buildDir),
+        ...[__dirname, ...includes].flatMap(dir => ['-l', path.resolve(dir)])
+    ];
+    if (circom) {
+        execFileSync(circom, args, { stdio: 'inherit' });
+    } else {
+        // circom2 runs under WASI, which cannot follow '..'; from the filesystem
+        // root every absolute path becomes a plain relative one
+        execFileSync(process.execPath, [require.resolve('circom2/cli.js'), ...args], {
+            stdio: 'inherit',
+            cwd: path.parse(__dirname).root
+        });
+    }
+
+    // circom writes the wasm into <name>_js/; the prover expects it next to the keys
+    const name = path.basename(source, '.circom');
+    fs.copyFileSync(path.join(buildDir, `${name}_js`, `${name}.wasm`), path.join(buildDir, `${name}.wasm`));
+
+    return path.join(buildDir, `${name}.r1cs`);
+}
+
+/**
+ * Phase 1: a local Powers of Tau with the given number of contributions
+ *
+ * Only meant for development; production keys should start from a public
+ * ceremony's ptau file (--ptau).
+ */
+async function runPhase1(power, buildDir, contributions) {
+    const curve = await curves.getCurveFromName('bn128');
+    const file = round => path.join(buildDir, `pot${power}_${String(round).padStart(4, '0')}.ptau`);
+
+    await powersOfTau.newAccumulator(curve, power, file(0), logger);
+    for (let round = 1; round <= contributions; round++) {
+        await powersOfTau.contribute(file(round - 1), file(round), `Phase 1 contribution #${round}`, randomEntropy(), logger);
+        fs.unlinkSync(file(round - 1));
+    }
+
+    const ptau = path.join(buildDir, `pot${power}_final.ptau`);
+    await powersOfTau.preparePhase2(file(contributions), ptau, logger);
+    fs.unlinkSync(file(contributions));
+
+    return ptau;
+}
+
+/**
+ * Phase 2: circuit-specific setup, contribution rounds and a final beacon
+ */
+async function runPhase2({ r1csFile, ptau, zkeyFile, contributions, beacon }) {
+    const file = round => zkeyFile.replace(/(_final)?\.zkey$/, `_${String(round).padStart(4, '0')}.zkey`);
+    const transcript = [];
+
+    // newZKey returns -1 when the circuit does not fit the ptau
+    if (await zKey.newZKey(r1csFile, ptau, file(0), logger) === -1) {
+        throw new Error(`Could not create the initial zkey from ${ptau}`);
+    }
+
+    for (let round = 1; round <= contributions; round++) {
+        const name = `Contribution #${round}`;
+        const hash = await zKey.contribute(file(round - 1), file(round), name, randomEntropy(), logger);
+        transcript.push({ name, hash: Buffer.from(hash).toString('hex') });
+        fs.unlinkSync(file(round - 1));
+    }
+
+    const hash = await zKey.beacon(file(contributions), zkeyFile, 'Final beacon', beacon, BEACON_ITERATIONS, logger);
+    if (!hash) {
+        throw new Error('Could not apply the beacon');
+    }
+    transcript.push({ name: 'Final beacon', beacon, iterations: BEACON_ITERATIONS, hash: Buffer.from(hash).toString('hex') });
+    fs.unlinkSync(file(contributions));
+
+    if (!(await zKey.verifyFromR1cs(r1csFile, ptau, zkeyFile, logger))) {
+        throw new Error(`${zkeyFile} does not match ${r1csFile} and ${ptau}`);
+    }
+
+    return transcript;
+}
+
+/**
+ * Export the Groth16 verifier contract for a zkey
+ */
+async function exportSolidityVerifier(zkeyFile, outFile) {
+    // The template ships with snarkjs, so no network access is needed
+    const templates = {
+        groth16: fs.readFileSync(
+            path.join(path.dirname(require.resolve('snarkjs')), '..', 'templates', 'verifier_groth16.sol.ejs'),
+            'utf8'
+        )
+    };
+
+    const source = await zKey.exportSolidityVerifier(zkeyFile, templates, logger);
+    await fs.promises.mkdir(path.dirname(outFile), { recursive: true });
+    await fs.promises.writeFile(outFile, source);
+}
+
+/**
+ * Run the full ceremony for one circuit and write its artifacts
+ */
+async function runCeremony(options) {
+    const name = options.circuit || 'kyc_verification';
+    const definition = CIRCUITS[name];
+    if (!definition) {
+        throw new Error(`Unknown circuit: ${name}`);
+    }
+
+    const buildDir = path.resolve(options.build || path.join(__dirname, 'build'));
+    const contributions = parseInt(options.contributions || '1', 10);
+    const beacon = options.beacon || randomEntropy();
+    if (!(contributions >= 1)) {
+        throw new Error('At least one contribution is required');
+    }
+    if (!/^([0-9a-fA-F]{2})+$/.test(beacon)) {
+        throw new Error('The beacon must be a hex string');
+    }
+
+    await fs.promises.mkdir(buildDir, { recursive: true });
+    const artifacts = resolveArtifacts(buildDir, definition.artifacts);
+
+    console.log(`Compiling ${definition.source}`);
+    const r1csFile = options.r1cs || compileCircuit(definition.source, buildDir, {
+        circom: options.circom,
+        includes: options.include ? options.include.split(',') : []
+    });
+    const circuit = await r1cs.info(r1csFile);
+    const power = requiredPower(circuit);
+    console.log(`${circuit.nConstraints} constraints, needs 2^${power} powers of tau`);
+
+    let ptau = options.ptau;
+    if (!ptau) {
+        console.log(`Running a local phase 1 (power ${power})`);
+        ptau = await runPhase1(power, buildDir, contributions);
+    }
+
+    console.log(`Running phase 2 with ${contributions} contribution(s) and beacon ${beacon}`);
+    const transcript = await runPhase2({ r1csFile, ptau, zkeyFile: artifacts.zkey, contributions, beacon });
+    console.log(`Verified ${artifacts.zkey}`);
+
+    const vkey = await zKey.exportVerificationKey(artifacts.zkey, logger);
+    await fs.promises.writeFile(artifacts.vkey, JSON.stringify(vkey, null, 2));
+
+    const verifier = options.verifier || (name === 'kyc_verification' ? DEFAULT_VERIFIER : null);
+    if (verifier) {
+        await exportSolidityVerifier(artifacts.zkey, verifier);
+        console.log(`Solidity verifier written to ${verifier}`);
+    }
+
+    // Record what was run so the keys can be audited and reproduced
+    const record = {
+        circuitId: circuitId(name),
+        constraints: circuit.nConstraints,
+        power,
+        ptau: { file: path.basename(ptau), sha256: sha256File(ptau) },
+        contributions: transcript,
+        artifacts: Object.fromEntries(Object.entries(artifacts).map(([kind, file]) => [
+            kind,
+            { file: path.basename(file), sha256: sha256File(file) }
+        ])),
+        completedAt: new Date().toISOString()
+    };
+    const recordFile = path.join(buildDir, `${path.basename(definition.source, '.circom')}.ceremony.json`);
+    await fs.promises.writeFile(recordFile, JSON.stringify(record, null, 2));
+    console.log(`Ceremony transcript written to ${recordFile}`);
+
+    return record;
+}
+
+/**
+ * CLI entrypoint
+ *
+ * Usage: node ceremony.js [--circuit kyc_verification] [--build ./build]
+ *                         [--contributions 1] [--beacon <hex>] [--ptau <file>]
+ *                         [--r1cs <file>] [--circom <binary>] [--include <dirs>]
+ *                         [--verifier <file>]
+ *
+ * Without --ptau a local phase 1 is run as well; with --r1cs the circuit is
+ * not recompiled. --circom picks a circom binary instead of the local circom2
+ * package. Everything runs offline.
+ */
+async function main(argv) {
+    await runCeremony(parseArgs(argv));
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Ceremony failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { requiredPower, runPhase1, runPhase2, exportSolidityVerifier, runCeremony };
@@ -0,0 +1,143 @@
+pragma circom 2.1.5;
+
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+
+// Quotient and remainder of a non-negative value by a constant divisor
+template DivMod(divisor, quotientBits, remainderBits) {
+    signal input in;
+    signal output quotient;
+    signal output remainder;
+    
+    quotient <-- in \ divisor;
+    remainder <-- in % divisor;
+    in === quotient * divisor + remainder;
+    
+    // Both parts are range checked, or a "negative" remainder would pass
+    component quotientBitsCheck = Num2Bits(quotientBits);
+    quotientBitsCheck.in <== quotient;
+    component remainderBitsCheck = Num2Bits(remainderBits);
+    remainderBitsCheck.in <== remainder;
+    
+    component remainderCheck = LessThan(remainderBits);
+    remainderCheck.in[0] <== remainder;
+    remainderCheck.in[1] <== divisor;
+    remainderCheck.out === 1;
+}
+
+// Gregorian calendar date of a day number (days since 1970-01-01)
+//
+// The date is supplied as a hint and constrained to be valid (month 1-12, day
+// within the month, leap years included) and to map back to the same day
+// number, so each day number has exactly one accepted date.
+template CivilFromDays() {
+    signal input days;
+    signal output year;
+    signal output month;
+    signal output day;
+    
+    // Hint: civil_from_days (H. Hinnant), with years counted from March
+    var z = days + 719468;
+    var era = z \ 146097;
+    var doe = z - era * 146097;
+    var yoe = (doe - doe \ 1460 + doe \ 36524 - doe \ 146096) \ 365;
+    var doy = doe - (365 * yoe + yoe \ 4 - yoe \ 100);
+    var mp = (5 * doy + 2) \ 153;
+    var m = mp < 10 ? mp + 3 : mp - 9;
+    year <-- yoe + era * 400 + (m <= 2 ? 1 : 0);
+    month <-- m;
+    day <-- doy - (153 * mp + 2) \ 5 + 1;
+    
+    component yearBits = Num2Bits(13); // years 0-8191
+    yearBits.in <== year;
+    
+    component monthBits = Num2Bits(4);
+    monthBits.in <== month - 1;
+    component monthCheck = LessThan(4);
+    monthCheck.in[0] <== month - 1;
+    monthCheck.in[1] <== 12;
+    monthCheck.out === 1;
+    
+    // Shift to a March-based year so February's leap day comes last
+    component early = LessThan(4);
+    early.in[0] <== month;
+    early.in[1] <== 3;
+    signal shiftedYear <== year - early.out;
+    signal shiftedMonth <== month + 12 * early.out - 3; // 0 = March ... 11 = February
+    
+    // First day of this month and the next, counted from March 1st
+    component monthStart = DivMod(5, 9, 3);
+    monthStart.in <== 153 * shiftedMonth + 2;
+    component nextMonthStart = DivMod(5, 9, 3);
+    nextMonthStart.in <== 153 * shiftedMonth + 155;
+    
+    // Leap year: divisible by 4, and not by 100 unless also by 400
+    component year4 = DivMod(4, 11, 2);
+    year4.in <== year;
+    component year100 = DivMod(100, 7, 7);
+    year100.in <== year;
+    component year400 = DivMod(400, 5, 9);
+    year400.in <== year;
+    
+    component divisibleBy4 = IsZero();
+    divisibleBy4.in <== year4.remainder;
+    component divisibleBy100 = IsZero();
+    divisibleBy100.in <== year100.remainder;
+    component divisibleBy400 = IsZero();
+    divisibleBy400.in <== year400.remainder;
+    
+    signal leapCentury <== divisibleBy100.out * divisibleBy400.out;
+    signal leap <== divisibleBy4.out * (1 - divisibleBy100.out + leapCentury);
+    
+    // Day must fall within the month; February is the only irregular one
+    component isFebruary = IsEqual();
+    isFebruary.in[0] <== shiftedMonth;
+    isFebruary.in[1] <== 11;
+    signal regularLength <== nextMonthStart.quotient - monthStart.quotient;
+    signal monthLength <== isFebruary.out * (28 + leap - regularLength) + regularLength;
+    
+    component dayBits = Num2Bits(5);
+    dayBits.in <== day - 1;
+    component dayCheck = LessThan(5);
+    dayCheck.in[0] <== day - 1;
+    dayCheck.in[1] <== monthLength;
+    dayCheck.out === 1;
+    
+    // days_from_civil: the date must map back to the input day number
+    component shifted4 = DivMod(4, 11, 2);
+    shifted4.in <== shiftedYear;
+    component shifted100 = DivMod(100, 7, 7);
+    shifted100.in <== shiftedYear;
+    component shifted400 = DivMod(400, 5, 9);
+    shifted400.in <== shiftedYear;
+    
+    days + 719468 === 365 * shiftedYear + shifted4.quotient - shifted100.quotient
+        + shifted400.quotient + monthStart.quotient + day - 1;
+}
+
+// Whether someone born on `birthDay` is at least `years` old on `currentDay`
+//
+// Both are day numbers. Ages are whole calendar years: the age increases on
+// the birthday itself, and on March 1st for February 29th birthdays in
+// non-leap years.
+template AgeAtLeast() {
+    signal input birthDay;
+    signal input currentDay;
+    signal input years;
+    signal output out;
+    
+    component birth = CivilFromDays();
+    birth.days <== birthDay;
+    component current = CivilFromDays();
+    current.days <== currentDay;
+    
+    component yearsBits = Num2Bits(8);
+    yearsBits.in <== years;
+    
+    // Compare dates as YYYYMMDD: age >= years iff current - birth >= years * 10000
+    component check = GreaterEqThan(27);
+    check.in[0] <== current.year * 10000 + current.month * 100 + current.day;
+    check.in[1] <== birth.year * 10000 + birth.month * 100 + birth.day + years * 10000;
+    
+    out <== check.out;
+}
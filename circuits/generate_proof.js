@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { groth16 } = require('snarkjs');
+const {
+    FIELD_SIZE,
+    COMMITMENT_FIELDS,
+    DEFAULT_SCOPE,
+    hashToField,
+    toFieldElement,
+    toDayNumber,
+    encodeDate,
+    computeScope,
+    computeHolderCommitment
+} = require('./hashing.mjs');
+const { COUNTRY_CODES } = require('./countries.mjs');
+const {
+    PUBLIC_SIGNALS,
+    SANCTIONS_PUBLIC_SIGNALS,
+    TREE_DEPTH,
+    COUNTRY_TREE_DEPTH,
+    DENY_TREE_DEPTH,
+    encodeCountry,
+    buildCountryTree,
+    hashAllowedCountries,
+    countryMembershipProof,
+    buildDenyTree,
+    hashExcludedCountries,
+    countryNonMembershipProof,
+    encodeCommitmentInputs,
+    buildCircuitInputs
+} = require('./inputs.mjs');
+
+const DEFAULT_ARTIFACTS = {
+    wasm: 'kyc-circuit.wasm',
+    zkey: 'circuit_final.zkey',
+    vkey: 'verification_key.json'
+};
+
+const SANCTIONS_ARTIFACTS = {
+    wasm: 'kyc-sanctions.wasm',
+    zkey: 'kyc-sanctions_final.zkey',
+    vkey: 'kyc-sanctions_verification_key.json'
+};
+
+// Circuits built from this directory, keyed by name. Bump the version whenever
+// a circuit's constraints change, since its keys change with them.
+const CIRCUITS = {
+    kyc_verification: {
+        version: '2.0.0',
+        source: 'kyc-circuit.circom',
+        artifacts: DEFAULT_ARTIFACTS,
+        publicSignals: PUBLIC_SIGNALS
+    },
+    kyc_sanctions: {
+        version: '2.0.0',
+        source: 'kyc-sanctions.circom',
+        artifacts: SANCTIONS_ARTIFACTS,
+        publicSignals: SANCTIONS_PUBLIC_SIGNALS
+    }
+};
+
+/**
+ * Versioned circuit identifier: name@version
+ */
+function circuitId(name, version = CIRCUITS[name] && CIRCUITS[name].version) {
+    if (!version) {
+        throw new Error(`Unknown circuit: ${name}`);
+    }
+    return `${name}@${version}`;
+}
+
+/**
+ * Resolve the artifact paths inside a circuit build directory
+ */
+function resolveArtifacts(circuitPath, names = DEFAULT_ARTIFACTS) {
+    return {
+        wasm: path.join(circuitPath, names.wasm),
+        zkey: path.join(circuitPath, names.zkey),
+        vkey: path.join(circuitPath, names.vkey)
+    };
+}
+
+/**
+ * Generate a Groth16 proof for the given circuit inputs
+ */
+async function generateProof(inputs, { wasm, zkey }) {
+    const { proof, publicSignals } = await groth16.fullProve(inputs, wasm, zkey);
+    return { proof, publicSignals };
+}
+
+/**
+ * Write proof.json and public.json to the output directory
+ */
+async function writeProofFiles(outDir, proof, publicSignals) {
+    await fs.promises.mkdir(outDir, { recursive: true });
+
+    const proofPath = path.join(outDir, 'proof.json');
+    const publicPath = path.join(outDir, 'public.json');
+
+    await fs.promises.writeFile(proofPath, JSON.stringify(proof, null, 2));
+    await fs.promises.writeFile(publicPath, JSON.stringify(publicSignals, null, 2));
+
+    return { proofPath, publicPath };
+}
+
+/**
+ * Parse `--name value` pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            args[arg.slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function readJson(file) {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+}
+
+/**
+ * CLI entrypoint
+ *
+ * Usage: node generate_proof.js --credential credential.json [--requirements requirements.json]
+ *                               [--build ./build] [--out .]
+ */
+async function main(argv) {
+    const args = parseArgs(argv);
+
+    if (!args.credential) {
+        console.error('Usage: node generate_proof.js --credential <file> [--requirements <file>] [--build <dir>] [--out <dir>]');
+        process.exit(1);
+    }
+
+    const credential = await readJson(args.credential);
+    const requirements = args.requirements ? await readJson(args.requirements) : {};
+    const circuit = requirements.excludedCountries ? 'kyc_sanctions' : 'kyc_verification';
+    const artifacts = resolveArtifacts(args.build || path.join(__dirname, 'build'), CIRCUITS[circuit].artifacts);
+
+    const inputs = buildCircuitInputs(credential, requirements);
+    const { proof, publicSignals } = await generateProof(inputs, artifacts);
+    const { proofPath, publicPath } = await writeProofFiles(args.out || process.cwd(), proof, publicSignals);
+
+    console.log(`Proof (${circuitId(circuit)}) written to ${proofPath}`);
+    console.log(`Public signals written to ${publicPath}`);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Proof generation failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    FIELD_SIZE,
+    COUNTRY_CODES,
+    PUBLIC_SIGNALS,
+    SANCTIONS_PUBLIC_SIGNALS,
+    COMMITMENT_FIELDS,
+    TREE_DEPTH,
+    COUNTRY_TREE_DEPTH,
+    DENY_TREE_DEPTH,
+    DEFAULT_SCOPE,
+    DEFAULT_ARTIFACTS,
+    SANCTIONS_ARTIFACTS,
+    CIRCUITS,
+    circuitId,
+    hashToField,
+    toFieldElement,
+    encodeCountry,
+    toDayNumber,
+    encodeDate,
+    buildCountryTree,
+    hashAllowedCountries,
+    countryMembershipProof,
+    buildDenyTree,
+    hashExcludedCountries,
+    countryNonMembershipProof,
+    computeScope,
+    computeHolderCommitment,
+    encodeCommitmentInputs,
+    buildCircuitInputs,
+    resolveArtifacts,
+    generateProof,
+    writeProofFiles,
+    parseArgs
+};
@@ -0,0 +1,187 @@
+// Field-element hashing shared by the circuits tooling, the backend and the web app
+//
+// ES module so Vite can bundle it; the CommonJS side loads it with require().
+// Everything here is synchronous and matches circomlib's Poseidon and MiMC7
+// templates, so values computed in the browser, on the server and in the
+// circuit agree exactly.
+import { poseidon1, poseidon2, poseidon3, poseidon4, poseidon5, poseidon6 } from 'poseidon-lite';
+import { sha256 } from '@noble/hashes/sha256';
+import { keccak_256 } from '@noble/hashes/sha3';
+
+// BN254 scalar field used by circom/snarkjs
+export const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Fields hashed (in this order) into the credential commitment
+export const COMMITMENT_FIELDS = [
+    'holderCommitment',
+    'credentialId',
+    'dob',
+    'countryCode',
+    'nationalityCode',
+    'documentNumberHash'
+];
+
+// Scope used when a verifier does not name its own
+export const DEFAULT_SCOPE = {
+    verifierId: 'zkkyc',
+    action: 'kyc_verification'
+};
+
+// Poseidon by arity; the circuits use at most 6 inputs
+const POSEIDON = [null, poseidon1, poseidon2, poseidon3, poseidon4, poseidon5, poseidon6];
+
+// MiMC7 as in circomlib: 91 rounds, round constants from a keccak256 chain seeded with "mimc"
+const MIMC_ROUNDS = 91;
+const MIMC_CONSTANTS = (() => {
+    const constants = [0n];
+    let c = keccak_256(new TextEncoder().encode('mimc'));
+    for (let i = 1; i < MIMC_ROUNDS; i++) {
+        c = keccak_256(c);
+        constants.push(bytesToBigInt(c) % FIELD_SIZE);
+    }
+    return constants;
+})();
+
+function bytesToBigInt(bytes) {
+    let value = 0n;
+    for (const byte of bytes) {
+        value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+}
+
+function mod(value) {
+    return ((value % FIELD_SIZE) + FIELD_SIZE) % FIELD_SIZE;
+}
+
+/**
+ * Hash an arbitrary string into a field element: SHA-256 of its UTF-8 bytes, mod p
+ */
+export function hashToField(value) {
+    return (bytesToBigInt(sha256(new TextEncoder().encode(String(value)))) % FIELD_SIZE).toString();
+}
+
+/**
+ * Reduce a numeric value (bigint, decimal or hex) into the field, hashing anything else
+ */
+export function toFieldElement(value) {
+    if (typeof value === 'bigint') {
+        return mod(value).toString();
+    }
+
+    const str = String(value);
+    if (/^(0x[0-9a-fA-F]+|\d+)$/.test(str)) {
+        return (BigInt(str) % FIELD_SIZE).toString();
+    }
+
+    return hashToField(str);
+}
+
+/**
+ * Day number of a date: whole days since 1970-01-01 (UTC)
+ *
+ * Accepts an ISO string, a Date or a day number. Times of day are dropped, so
+ * '1990-05-01' and '1990-05-01T23:00:00Z' are the same day.
+ */
+export function toDayNumber(date) {
+    if (typeof date === 'number') {
+        return Math.floor(date);
+    }
+
+    const timestamp = new Date(date).getTime();
+    if (Number.isNaN(timestamp)) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    return Math.floor(timestamp / MS_PER_DAY);
+}
+
+/**
+ * Encode a date as its day number, as a field element (dates before 1970 wrap)
+ */
+export function encodeDate(date) {
+    return mod(BigInt(toDayNumber(date))).toString();
+}
+
+/**
+ * Format a field element as a 0x-prefixed 32-byte hex string
+ */
+export function fieldToHex(value) {
+    return '0x' + BigInt(value).toString(16).padStart(64, '0');
+}
+
+/**
+ * Poseidon hash of 1 to 6 field elements, as a bigint
+ */
+export function poseidon(inputs) {
+    const hash = POSEIDON[inputs.length];
+    if (!hash) {
+        throw new Error(`Poseidon takes 1 to ${POSEIDON.length - 1} inputs, got ${inputs.length}`);
+    }
+    return hash(inputs.map(BigInt));
+}
+
+/**
+ * MiMC7 permutation of one field element under a key (circomlib MiMC7(91))
+ */
+export function mimc7(input, key = 0n) {
+    const x = mod(BigInt(input));
+    const k = mod(BigInt(key));
+    let r = 0n;
+
+    for (let i = 0; i < MIMC_ROUNDS; i++) {
+        const t = i === 0 ? mod(x + k) : mod(r + k + MIMC_CONSTANTS[i]);
+        const t2 = (t * t) % FIELD_SIZE;
+        const t4 = (t2 * t2) % FIELD_SIZE;
+        r = (((t4 * t2) % FIELD_SIZE) * t) % FIELD_SIZE;
+    }
+    return mod(r + k);
+}
+
+/**
+ * MiMC7 hash of any number of field elements (circomlib MultiMiMC7), as a bigint
+ */
+export function mimcHash(inputs, key = 0n) {
+    let r = mod(BigInt(key));
+    for (const input of inputs) {
+        const x = mod(BigInt(input));
+        r = mod(r + x + mimc7(x, r));
+    }
+    return r;
+}
+
+/**
+ * Compute the external nullifier (scope) for a verifier action
+ */
+export function computeScope(verifierId = DEFAULT_SCOPE.verifierId, action = DEFAULT_SCOPE.action) {
+    return hashToField(`${verifierId}:${action}`);
+}
+
+/**
+ * Commitment to the holder's secret: Poseidon(secret)
+ *
+ * The holder generates the secret and only sends this to the issuer, which
+ * puts it in the credential commitment without ever learning the secret.
+ */
+export function computeHolderCommitment(secret) {
+    return poseidon([toFieldElement(secret)]).toString();
+}
+
+/**
+ * Credential commitment (registry leaf) from encoded fields, in COMMITMENT_FIELDS order
+ */
+export function computeCommitment(encoded) {
+    return poseidon(COMMITMENT_FIELDS.map(field => encoded[field]));
+}
+
+/**
+ * Semaphore-style nullifier
+ *
+ * Poseidon(secret, credentialId, scope), the nullifier output of
+ * kyc-circuit.circom: the same credential always yields the same nullifier for
+ * a given verifier scope.
+ */
+export function computeNullifier(secret, credentialId, scope = computeScope()) {
+    return poseidon([toFieldElement(secret), hashToField(credentialId), scope]);
+}
@@ -0,0 +1,281 @@
+// Witness inputs for kyc-circuit.circom and kyc-sanctions.circom
+//
+// ES module like hashing.mjs, so the proof CLI, the backend and the web app
+// build the same inputs from a credential. Everything here is synchronous.
+import {
+    hashToField,
+    toFieldElement,
+    encodeDate,
+    poseidon,
+    computeScope,
+    computeHolderCommitment
+} from './hashing.mjs';
+import { COUNTRY_CODES } from './countries.mjs';
+
+// Public signal order: circuit outputs first, then public inputs
+export const PUBLIC_SIGNALS = [
+    'isValid',
+    'nullifier',
+    'minAge',
+    'allowedCountriesHash',
+    'credentialRoot',
+    'currentDate',
+    'externalNullifier'
+];
+
+// kyc-sanctions.circom appends the deny-list root to the same layout
+export const SANCTIONS_PUBLIC_SIGNALS = [...PUBLIC_SIGNALS, 'excludedCountriesRoot'];
+
+// Depth of the credential registry Merkle tree (KYCVerification(20, 8))
+export const TREE_DEPTH = 20;
+
+// Depth of the allowed-countries tree: up to 256 countries
+export const COUNTRY_TREE_DEPTH = 8;
+
+// Depth of the excluded-countries gap tree: up to 63 countries
+export const DENY_TREE_DEPTH = 6;
+
+// Bounds of the deny-list gaps; ISO numeric codes are three digits
+const DENY_LIST_MIN = 0;
+const DENY_LIST_MAX = 1000;
+
+/**
+ * Encode a country (alpha-2 or numeric) as its ISO 3166-1 numeric code
+ */
+export function encodeCountry(country) {
+    if (/^\d+$/.test(String(country))) {
+        return String(Number(country));
+    }
+
+    const code = COUNTRY_CODES[String(country).toUpperCase()];
+    if (!code) {
+        throw new Error(`Unsupported country: ${country}`);
+    }
+    return String(code);
+}
+
+/**
+ * Distinct ISO numeric codes of a country list, in ascending order
+ */
+function sortCountryCodes(countries) {
+    return [...new Set(countries.map(c => Number(encodeCountry(c))))].sort((a, b) => a - b);
+}
+
+/**
+ * Every layer of a Poseidon Merkle tree of the given depth, leaves padded with zeros
+ */
+function buildTreeLayers(leaves, depth) {
+    const layers = [leaves.map(BigInt).concat(new Array(2 ** depth - leaves.length).fill(0n))];
+    for (let level = 0; level < depth; level++) {
+        const nodes = layers[level];
+        const parents = [];
+        for (let i = 0; i < nodes.length; i += 2) {
+            parents.push(poseidon([nodes[i], nodes[i + 1]]));
+        }
+        layers.push(parents);
+    }
+    return layers;
+}
+
+/**
+ * Sibling path of a leaf, from the leaf up
+ */
+function treePath(layers, index) {
+    const pathElements = [];
+    const pathIndices = [];
+    for (let level = 0; level < layers.length - 1; level++) {
+        pathElements.push(layers[level][index ^ 1].toString());
+        pathIndices.push(index & 1);
+        index >>= 1;
+    }
+    return { pathElements, pathIndices };
+}
+
+/**
+ * Poseidon Merkle tree of allowed country codes
+ *
+ * Leaves are the distinct ISO numeric codes in ascending order, padded with
+ * zeros, so the same set always gives the same root.
+ */
+export function buildCountryTree(countries = []) {
+    const codes = sortCountryCodes(countries);
+    if (codes.length > 2 ** COUNTRY_TREE_DEPTH) {
+        throw new Error(`At most ${2 ** COUNTRY_TREE_DEPTH} countries are supported`);
+    }
+
+    const layers = buildTreeLayers(codes, COUNTRY_TREE_DEPTH);
+    return { codes, layers, root: layers[COUNTRY_TREE_DEPTH][0] };
+}
+
+/**
+ * Commit to a list of allowed countries as a Merkle root ('0' allows any country)
+ */
+export function hashAllowedCountries(countries = []) {
+    if (countries.length === 0) {
+        return '0';
+    }
+    return buildCountryTree(countries).root.toString();
+}
+
+/**
+ * Inclusion path of a country in the allowed-countries tree
+ */
+export function countryMembershipProof(country, allowedCountries = []) {
+    if (allowedCountries.length === 0) {
+        // Any country is accepted; the path is not checked
+        return {
+            pathElements: new Array(COUNTRY_TREE_DEPTH).fill('0'),
+            pathIndices: new Array(COUNTRY_TREE_DEPTH).fill(0)
+        };
+    }
+
+    const { codes, layers } = buildCountryTree(allowedCountries);
+    const index = codes.indexOf(Number(encodeCountry(country)));
+    if (index === -1) {
+        throw new Error(`Country ${country} is not in the allowed list`);
+    }
+
+    return treePath(layers, index);
+}
+
+/**
+ * Sorted Merkle tree of the gaps between excluded country codes
+ *
+ * The distinct codes are sorted and bracketed by DENY_LIST_MIN and
+ * DENY_LIST_MAX; each leaf is Poseidon(low, high) of two neighbours. A code is
+ * not excluded exactly when some gap has low < code < high, so non-membership
+ * is proven with one inclusion path. An empty list is the single gap (0, 1000).
+ */
+export function buildDenyTree(countries = []) {
+    const codes = sortCountryCodes(countries);
+    if (codes.length >= 2 ** DENY_TREE_DEPTH) {
+        throw new Error(`At most ${2 ** DENY_TREE_DEPTH - 1} excluded countries are supported`);
+    }
+
+    const bounds = [DENY_LIST_MIN, ...codes, DENY_LIST_MAX];
+    const gaps = bounds.slice(1).map((high, i) => [bounds[i], high]);
+    const leaves = gaps.map(gap => poseidon(gap));
+
+    const layers = buildTreeLayers(leaves, DENY_TREE_DEPTH);
+    return { codes, gaps, layers, root: layers[DENY_TREE_DEPTH][0] };
+}
+
+/**
+ * Commit to a list of excluded countries as the root of its gap tree
+ */
+export function hashExcludedCountries(countries = []) {
+    return buildDenyTree(countries).root.toString();
+}
+
+/**
+ * The gap containing a country and its inclusion path in the deny tree
+ */
+export function countryNonMembershipProof(country, excludedCountries = []) {
+    const { gaps, layers } = buildDenyTree(excludedCountries);
+    const code = Number(encodeCountry(country));
+    const index = gaps.findIndex(([low, high]) => low < code && code < high);
+    if (index === -1) {
+        throw new Error(`Country ${country} is on the excluded list`);
+    }
+
+    return {
+        gap: gaps[index].map(String),
+        ...treePath(layers, index)
+    };
+}
+
+/**
+ * Encode the committed credential fields
+ *
+ * The credential commitment (registry leaf) is Poseidon of these values, in
+ * COMMITMENT_FIELDS order. The holder passes its `secret`; the issuer, which
+ * never sees the secret, passes the holder's `holderCommitment` instead.
+ */
+export function encodeCommitmentInputs(credential) {
+    const subject = credential.credentialSubject || credential;
+    const dob = subject.dateOfBirth || subject.dob;
+
+    if (!credential.secret && !credential.holderCommitment) {
+        throw new Error('Credential secret or holderCommitment is required');
+    }
+    if (!credential.credentialId) {
+        throw new Error('Credential ID is required');
+    }
+    if (!dob || !subject.country || !subject.documentNumber) {
+        throw new Error('Credential must include dateOfBirth, country and documentNumber');
+    }
+
+    return {
+        holderCommitment: credential.secret
+            ? computeHolderCommitment(credential.secret)
+            : toFieldElement(credential.holderCommitment),
+        credentialId: hashToField(credential.credentialId),
+        dob: encodeDate(dob),
+        countryCode: encodeCountry(subject.country),
+        // Residence doubles as nationality when the credential has none
+        nationalityCode: encodeCountry(subject.nationality || subject.country),
+        documentNumberHash: hashToField(subject.documentNumber)
+    };
+}
+
+/**
+ * Build the witness inputs for kyc-circuit.circom from a credential
+ *
+ * Only the holder can build them, since they include its `secret`.
+ * `credential.merkleProof` is the commitment's inclusion path in the
+ * credential registry ({ root, pathElements, pathIndices }). When
+ * `requirements.excludedCountries` is given, the inputs are for
+ * kyc-sanctions.circom and also prove that neither the country nor the
+ * nationality is on that list.
+ */
+export function buildCircuitInputs(credential, requirements = {}) {
+    if (!credential.secret) {
+        throw new Error('Credential secret is required');
+    }
+    // The circuit derives the holder commitment from the secret itself
+    const { holderCommitment, ...committed } = encodeCommitmentInputs(credential);
+    const { merkleProof } = credential;
+
+    if (!merkleProof || !Array.isArray(merkleProof.pathElements) || !Array.isArray(merkleProof.pathIndices)) {
+        throw new Error('Credential merkleProof is required');
+    }
+    if (merkleProof.pathElements.length !== TREE_DEPTH || merkleProof.pathIndices.length !== TREE_DEPTH) {
+        throw new Error(`Merkle proof must have ${TREE_DEPTH} levels`);
+    }
+
+    const subject = credential.credentialSubject || credential;
+    const allowedCountries = requirements.allowedCountries || [];
+    const countryProof = countryMembershipProof(subject.country, allowedCountries);
+
+    const inputs = {
+        privateKey: toFieldElement(credential.secret),
+        ...committed,
+        pathElements: merkleProof.pathElements.map(toFieldElement),
+        pathIndices: merkleProof.pathIndices.map(String),
+        countryPathElements: countryProof.pathElements,
+        countryPathIndices: countryProof.pathIndices.map(String),
+        minAge: String(requirements.minAge ?? 18),
+        allowedCountriesHash: hashAllowedCountries(allowedCountries),
+        credentialRoot: toFieldElement(merkleProof.root),
+        currentDate: encodeDate(requirements.currentDate || new Date()),
+        externalNullifier: computeScope(requirements.verifierId, requirements.action)
+    };
+
+    if (requirements.excludedCountries) {
+        const { excludedCountries } = requirements;
+        const countryGap = countryNonMembershipProof(subject.country, excludedCountries);
+        const nationalityGap = countryNonMembershipProof(subject.nationality || subject.country, excludedCountries);
+
+        Object.assign(inputs, {
+            countryGap: countryGap.gap,
+            countryGapPathElements: countryGap.pathElements,
+            countryGapPathIndices: countryGap.pathIndices.map(String),
+            nationalityGap: nationalityGap.gap,
+            nationalityGapPathElements: nationalityGap.pathElements,
+            nationalityGapPathIndices: nationalityGap.pathIndices.map(String),
+            excludedCountriesRoot: hashExcludedCountries(excludedCountries)
+        });
+    }
+
+    return inputs;
+}
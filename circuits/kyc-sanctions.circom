@@ -0,0 +1,78 @@
+pragma circom 2.1.5;
+
+include "kyc.circom";
+include "merkle.circom";
+
+// KYCVerification plus proof that neither the country of residence nor the
+// nationality is on a deny list (e.g. sanctioned countries). The list is
+// committed to as a sorted tree of the gaps between its ISO numeric codes.
+template KYCSanctionsVerification(levels, countryLevels, denyLevels) {
+    // Private inputs
+    signal input privateKey;
+    signal input dob;
+    signal input countryCode;
+    signal input nationalityCode;
+    signal input documentNumberHash;
+    signal input credentialId;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+    signal input countryPathElements[countryLevels];
+    signal input countryPathIndices[countryLevels];
+    signal input countryGap[2]; // Deny-list gap around the country of residence
+    signal input countryGapPathElements[denyLevels];
+    signal input countryGapPathIndices[denyLevels];
+    signal input nationalityGap[2]; // Deny-list gap around the nationality
+    signal input nationalityGapPathElements[denyLevels];
+    signal input nationalityGapPathIndices[denyLevels];
+    
+    // Public inputs (KYCVerification's, then the deny-list root)
+    signal input minAge;
+    signal input allowedCountriesHash;
+    signal input credentialRoot;
+    signal input currentDate;
+    signal input externalNullifier;
+    signal input excludedCountriesRoot; // Root of the deny-list gap tree
+    
+    // Outputs
+    signal output isValid;
+    signal output nullifier;
+    
+    component kyc = KYCVerification(levels, countryLevels);
+    kyc.privateKey <== privateKey;
+    kyc.dob <== dob;
+    kyc.countryCode <== countryCode;
+    kyc.nationalityCode <== nationalityCode;
+    kyc.documentNumberHash <== documentNumberHash;
+    kyc.credentialId <== credentialId;
+    kyc.pathElements <== pathElements;
+    kyc.pathIndices <== pathIndices;
+    kyc.countryPathElements <== countryPathElements;
+    kyc.countryPathIndices <== countryPathIndices;
+    kyc.minAge <== minAge;
+    kyc.allowedCountriesHash <== allowedCountriesHash;
+    kyc.credentialRoot <== credentialRoot;
+    kyc.currentDate <== currentDate;
+    kyc.externalNullifier <== externalNullifier;
+    
+    // ISO numeric codes are below 1000, so 10 bits cover the gap bounds
+    component countryClear = SortedNonMembership(denyLevels, 10);
+    countryClear.value <== countryCode;
+    countryClear.gap <== countryGap;
+    countryClear.pathElements <== countryGapPathElements;
+    countryClear.pathIndices <== countryGapPathIndices;
+    countryClear.root <== excludedCountriesRoot;
+    
+    component nationalityClear = SortedNonMembership(denyLevels, 10);
+    nationalityClear.value <== nationalityCode;
+    nationalityClear.gap <== nationalityGap;
+    nationalityClear.pathElements <== nationalityGapPathElements;
+    nationalityClear.pathIndices <== nationalityGapPathIndices;
+    nationalityClear.root <== excludedCountriesRoot;
+    
+    nullifier <== kyc.nullifier;
+    
+    signal notExcluded <== countryClear.out * nationalityClear.out;
+    isValid <== kyc.isValid * notExcluded;
+}
+
+component main {public [minAge, allowedCountriesHash, credentialRoot, currentDate, externalNullifier, excludedCountriesRoot]} = KYCSanctionsVerification(20, 8, 6);
@@ -0,0 +1,93 @@
+pragma circom 2.1.5;
+
+include "node_modules/circomlib/circuits/comparators.circom";
+include "node_modules/circomlib/circuits/poseidon.circom";
+include "date.circom";
+include "merkle.circom";
+
+template KYCVerification(levels, countryLevels) {
+    // Private inputs (known only to prover)
+    signal input privateKey;
+    signal input dob; // Date of birth (day number: days since 1970-01-01)
+    signal input countryCode; // Country of residence (ISO 3166-1 numeric)
+    signal input nationalityCode; // Nationality (ISO 3166-1 numeric)
+    signal input documentNumberHash;
+    signal input credentialId; // Binds the nullifier to one credential
+    signal input pathElements[levels]; // Inclusion path of the credential commitment
+    signal input pathIndices[levels];
+    signal input countryPathElements[countryLevels]; // Country's path in the allow-list tree
+    signal input countryPathIndices[countryLevels];
+    
+    // Public inputs
+    signal input minAge; // Minimum age required
+    signal input allowedCountriesHash; // Merkle root of allowed country codes (0 = any country)
+    signal input credentialRoot; // Merkle root of issued credential commitments
+    signal input currentDate; // Current date (day number) for age calculation
+    signal input externalNullifier; // Verifier scope: hash of verifier ID and action
+    
+    // Outputs
+    signal output isValid;
+    signal output nullifier;
+    
+    // Components
+    component ageCheck = AgeAtLeast(); // Check if age >= minAge
+    component countryMembership = MerkleTreeInclusionProof(countryLevels);
+    component countryCheck = IsEqual(); // Check if country is allowed
+    component anyCountry = IsZero();
+    component noCountry = IsZero();
+    component nullifierHash = Poseidon(3); // Scoped nullifier
+    component holderCommitment = Poseidon(1); // Commitment to the holder's secret
+    component commitment = Poseidon(6); // Credential commitment (Merkle leaf)
+    component membership = MerkleTreeInclusionProof(levels);
+    
+    // Check age requirement in whole calendar years
+    ageCheck.birthDay <== dob;
+    ageCheck.currentDay <== currentDate;
+    ageCheck.years <== minAge;
+    
+    // Check country: its ISO 3166-1 numeric code must be a leaf of the
+    // verifier's allow-list tree (empty leaves are 0, so 0 is never a country)
+    noCountry.in <== countryCode;
+    noCountry.out === 0;
+    
+    countryMembership.leaf <== countryCode;
+    for (var i = 0; i < countryLevels; i++) {
+        countryMembership.pathElements[i] <== countryPathElements[i];
+        countryMembership.pathIndices[i] <== countryPathIndices[i];
+    }
+    countryCheck.in[0] <== countryMembership.root;
+    countryCheck.in[1] <== allowedCountriesHash;
+    
+    anyCountry.in <== allowedCountriesHash;
+    signal countryAllowed <== anyCountry.out + countryCheck.out - anyCountry.out * countryCheck.out;
+    
+    // Generate nullifier: one per (user secret, credential, scope), so a
+    // credential can be proven once for each verifier action
+    nullifierHash.inputs[0] <== privateKey;
+    nullifierHash.inputs[1] <== credentialId;
+    nullifierHash.inputs[2] <== externalNullifier;
+    
+    nullifier <== nullifierHash.out;
+    
+    // The credential commitment must be a leaf of the registry tree, which
+    // proves the attributes were issued without revealing which credential.
+    // The issuer only saw Poseidon(privateKey), never the key itself.
+    holderCommitment.inputs[0] <== privateKey;
+    
+    commitment.inputs[0] <== holderCommitment.out;
+    commitment.inputs[1] <== credentialId;
+    commitment.inputs[2] <== dob;
+    commitment.inputs[3] <== countryCode;
+    commitment.inputs[4] <== nationalityCode;
+    commitment.inputs[5] <== documentNumberHash;
+    
+    membership.leaf <== commitment.out;
+    for (var i = 0; i < levels; i++) {
+        membership.pathElements[i] <== pathElements[i];
+        membership.pathIndices[i] <== pathIndices[i];
+    }
+    membership.root === credentialRoot;
+    
+    // Verify all conditions are met
+    isValid <== ageCheck.out * countryAllowed;
+}
@@ -0,0 +1,78 @@
+pragma circom 2.1.5;
+
+include "node_modules/circomlib/circuits/poseidon.circom";
+include "node_modules/circomlib/circuits/mux1.circom";
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+
+// Root of a binary Poseidon Merkle tree, computed from a leaf and its path
+template MerkleTreeInclusionProof(levels) {
+    signal input leaf;
+    signal input pathElements[levels]; // Sibling at each level, leaf first
+    signal input pathIndices[levels]; // 0 if the node is a left child, 1 if right
+    
+    signal output root;
+    
+    component hashers[levels];
+    component muxes[levels];
+    signal hashes[levels + 1];
+    hashes[0] <== leaf;
+    
+    for (var i = 0; i < levels; i++) {
+        pathIndices[i] * (1 - pathIndices[i]) === 0;
+        
+        // Order (node, sibling) by the node's position
+        muxes[i] = MultiMux1(2);
+        muxes[i].c[0][0] <== hashes[i];
+        muxes[i].c[0][1] <== pathElements[i];
+        muxes[i].c[1][0] <== pathElements[i];
+        muxes[i].c[1][1] <== hashes[i];
+        muxes[i].s <== pathIndices[i];
+        
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== muxes[i].out[0];
+        hashers[i].inputs[1] <== muxes[i].out[1];
+        hashes[i + 1] <== hashers[i].out;
+    }
+    
+    root <== hashes[levels];
+}
+
+// Non-membership in a sorted Merkle tree whose leaves are Poseidon(low, high)
+// of neighbouring list entries: `out` is 1 when low < value < high
+template SortedNonMembership(levels, bits) {
+    signal input value;
+    signal input gap[2]; // Neighbouring entries (low, high) around the value
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+    signal input root;
+    
+    signal output out;
+    
+    // The gap must be a leaf of the published tree
+    component leaf = Poseidon(2);
+    leaf.inputs[0] <== gap[0];
+    leaf.inputs[1] <== gap[1];
+    
+    component inclusion = MerkleTreeInclusionProof(levels);
+    inclusion.leaf <== leaf.out;
+    for (var i = 0; i < levels; i++) {
+        inclusion.pathElements[i] <== pathElements[i];
+        inclusion.pathIndices[i] <== pathIndices[i];
+    }
+    inclusion.root === root;
+    
+    // Comparators are only sound for values that fit in `bits`
+    component valueBits = Num2Bits(bits);
+    valueBits.in <== value;
+    
+    component aboveLow = LessThan(bits);
+    aboveLow.in[0] <== gap[0];
+    aboveLow.in[1] <== value;
+    
+    component belowHigh = LessThan(bits);
+    belowHigh.in[0] <== value;
+    belowHigh.in[1] <== gap[1];
+    
+    out <== aboveLow.out * belowHigh.out;
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "./interfaces/IZkKYC.sol";
+import "./interfaces/IGroth16Verifier.sol";
 
 contract ZkKYCRegistry is IZkKYC {
     // Struct for KYC status without revealing personal data
@@ -22,6 +23,18 @@ contract ZkKYCRegistry is IZkKYC {
     // Nullifier set to prevent double spending of proofs
     mapping(bytes32 => bool) public nullifiers;
     
+    // Credential registry roots registered by trusted issuers
+    mapping(bytes32 => bool) public credentialRoots;
+    
+    // Groth16 verifier for kyc-circuit.circom
+    IGroth16Verifier public immutable verifier;
+    
+    // Public signal positions of kyc-circuit.circom (PUBLIC_SIGNALS in circuits/inputs.mjs)
+    uint256 private constant SIGNAL_IS_VALID = 0;
+    uint256 private constant SIGNAL_NULLIFIER = 1;
+    uint256 private constant SIGNAL_CREDENTIAL_ROOT = 4;
+    uint256 private constant SIGNAL_CURRENT_DATE = 5;
+    
     // Events
     event KYCVerified(address indexed user, bytes32 indexed credentialRoot);
     event ProofVerified(address indexed user, bytes32 nullifier);
@@ -31,8 +44,9 @@ contract ZkKYCRegistry is IZkKYC {
     // Owner/Admin
     address public admin;
     
-    constructor() {
+    constructor(IGroth16Verifier _verifier) {
         admin = msg.sender;
+        verifier = _verifier;
     }
     
     modifier onlyAdmin() {
@@ -76,12 +90,16 @@ contract ZkKYCRegistry is IZkKYC {
             credentialRoot: credentialRoot,
             isActive: true
         });
+        credentialRoots[credentialRoot] = true;
         
         emit KYCVerified(user, credentialRoot);
     }
     
     /**
      * @dev Verify a zkProof of KYC without revealing identity
+     *
+     * `proof` is abi.encode(uint256[2] a, uint256[2][2] b, uint256[2] c,
+     * uint256[7] publicSignals) with the proof in the verifier's format.
      */
     function verifyProof(
         bytes calldata proof,
@@ -90,9 +108,8 @@ contract ZkKYCRegistry is IZkKYC {
     ) external returns (bool) {
         // Prevent proof reuse
         require(!nullifiers[nullifier], "Proof already used");
+        require(credentialRoots[credentialRoot], "Unknown credential root");
         
-        // Verify the zkProof (this would call a verifier contract)
-        // For now, we'll use a simplified check
         require(verifyZKProof(proof, nullifier, credentialRoot), "Invalid proof");
         
         // Mark nullifier as used
@@ -111,16 +128,33 @@ contract ZkKYCRegistry is IZkKYC {
     }
     
     /**
-     * @dev Internal function to verify zkProof (would integrate with verifier contract)
+     * @dev Check the proof with the Groth16 verifier
+     *
+     * The public signals must be for this nullifier and root, show that the
+     * circuit's checks passed and be dated within a day of the block, as the
+     * backend requires.
      */
     function verifyZKProof(
         bytes calldata proof,
         bytes32 nullifier,
         bytes32 credentialRoot
-    ) internal pure returns (bool) {
-        // In production, this would call a verifier contract
-        // that checks the zk-SNARK/STARK proof
-        // This is a placeholder
-        return proof.length > 0 && nullifier != bytes32(0) && credentialRoot != bytes32(0);
+    ) internal view returns (bool) {
+        (uint256[2] memory a, uint256[2][2] memory b, uint256[2] memory c, uint256[7] memory signals) =
+            abi.decode(proof, (uint256[2], uint256[2][2], uint256[2], uint256[7]));
+        
+        if (signals[SIGNAL_IS_VALID] != 1) {
+            return false;
+        }
+        if (bytes32(signals[SIGNAL_NULLIFIER]) != nullifier || bytes32(signals[SIGNAL_CREDENTIAL_ROOT]) != credentialRoot) {
+            return false;
+        }
+        
+        uint256 today = block.timestamp / 1 days;
+        uint256 proofDate = signals[SIGNAL_CURRENT_DATE];
+        if (proofDate + 1 < today || proofDate > today + 1) {
+            return false;
+        }
+        
+        return verifier.verifyProof(a, b, c, signals);
     }
 }
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const solc = require('solc');
+const { parseArgs } = require('../circuits/generate_proof');
+
+const REGISTRY_SOURCE = 'ZkkycRegistry.sol';
+
+// Written by circuits/ceremony.js for the main circuit's zkey
+const DEFAULT_VERIFIER = path.join(__dirname, 'ZkVerifier.sol');
+
+// Read by my-app/src/utils/blockchain.jsx, one <chainId>.json per network
+const DEPLOYMENTS_DIR = path.join(__dirname, 'deployments');
+
+/**
+ * Compile the registry and the Groth16 verifier with solc-js
+ *
+ * Returns { ZkKYCRegistry, Groth16Verifier }, each with its abi and bytecode.
+ */
+function compileContracts({ verifier = DEFAULT_VERIFIER } = {}) {
+    const verifierSource = fs.readFileSync(verifier, 'utf8');
+    if (!verifierSource.trim()) {
+        throw new Error(`${verifier} is empty; export it with circuits/ceremony.js first`);
+    }
+
+    const input = {
+        language: 'Solidity',
+        sources: {
+            [REGISTRY_SOURCE]: { content: fs.readFileSync(path.join(__dirname, REGISTRY_SOURCE), 'utf8') },
+            'ZkVerifier.sol': { content: verifierSource }
+        },
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+        }
+    };
+
+    // Imports such as ./interfaces/IZkKYC.sol resolve against this directory
+    const findImports = (file) => {
+        const resolved = path.join(__dirname, file);
+        return fs.existsSync(resolved)
+            ? { contents: fs.readFileSync(resolved, 'utf8') }
+            : { error: `File not found: ${file}` };
+    };
+
+    const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+    const errors = (output.errors || []).filter(error => error.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`Compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+    }
+
+    const artifact = (source, name) => {
+        const contract = output.contracts[source][name];
+        return { abi: contract.abi, bytecode: '0x' + contract.evm.bytecode.object };
+    };
+
+    return {
+        ZkKYCRegistry: artifact(REGISTRY_SOURCE, 'ZkKYCRegistry'),
+        Groth16Verifier: artifact('ZkVerifier.sol', 'Groth16Verifier')
+    };
+}
+
+/**
+ * Provider for a local node
+ *
+ * With an RPC URL this connects to a running node (`anvil` or `npx hardhat
+ * node`); otherwise a Hardhat network is started in this process.
+ */
+function connectNode(rpcUrl) {
+    if (rpcUrl) {
+        return new ethers.providers.JsonRpcProvider(rpcUrl);
+    }
+
+    process.env.HARDHAT_CONFIG = process.env.HARDHAT_CONFIG || path.join(__dirname, 'hardhat.config.js');
+    const hre = require('hardhat');
+    return new ethers.providers.Web3Provider(hre.network.provider);
+}
+
+async function deployContract(signer, { abi, bytecode }, args = []) {
+    const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+    const receipt = await contract.deployTransaction.wait();
+    return { contract, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Deploy the verifier and the registry, and register the trusted issuers
+ *
+ * The first node account deploys and becomes the registry admin; the next
+ * `issuers` accounts are added as trusted issuers.
+ */
+async function deployContracts(provider, compiled, { issuers = 2 } = {}) {
+    const accounts = await provider.listAccounts();
+    if (accounts.length < issuers + 1) {
+        throw new Error(`The node has ${accounts.length} accounts, ${issuers + 1} are needed`);
+    }
+    const admin = provider.getSigner(accounts[0]);
+
+    // The registry checks proofs with this verifier
+    const verifier = await deployContract(admin, compiled.Groth16Verifier);
+    const registry = await deployContract(admin, compiled.ZkKYCRegistry, [verifier.contract.address]);
+
+    const issuerAddresses = accounts.slice(1, issuers + 1);
+    for (const issuer of issuerAddresses) {
+        await (await registry.contract.addTrustedIssuer(issuer)).wait();
+    }
+
+    const { chainId, name } = await provider.getNetwork();
+    return {
+        chainId,
+        network: name === 'unknown' ? 'localhost' : name,
+        admin: accounts[0],
+        issuers: issuerAddresses,
+        verifier: verifier.contract,
+        registry: registry.contract,
+        contracts: {
+            ZkKYCRegistry: {
+                address: registry.contract.address,
+                abi: compiled.ZkKYCRegistry.abi,
+                blockNumber: registry.blockNumber
+            },
+            Groth16Verifier: {
+                address: verifier.contract.address,
+                abi: compiled.Groth16Verifier.abi,
+                blockNumber: verifier.blockNumber
+            }
+        }
+    };
+}
+
+/**
+ * Write the deployment the web app loads for this chain
+ */
+async function writeDeployment(deployment, dir = DEPLOYMENTS_DIR) {
+    const { chainId, network, admin, issuers, contracts } = deployment;
+    const file = path.join(dir, `${chainId}.json`);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({
+        chainId,
+        network,
+        admin,
+        issuers,
+        contracts,
+        deployedAt: new Date().toISOString()
+    }, null, 2));
+
+    return file;
+}
+
+/**
+ * CLI entrypoint
+ *
+ * Usage: node deploy.js [--rpc http://127.0.0.1:8545] [--verifier ZkVerifier.sol]
+ *                       [--issuers 2] [--out ./deployments]
+ *
+ * Without --rpc the contracts go to an in-process Hardhat network, which is
+ * gone when the script exits, so no deployment file is written.
+ */
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    const compiled = compileContracts({ verifier: options.verifier });
+    const provider = connectNode(options.rpc);
+    const deployment = await deployContracts(provider, compiled, {
+        issuers: parseInt(options.issuers || '2', 10)
+    });
+
+    console.log(`ZkKYCRegistry deployed to ${deployment.registry.address} on chain ${deployment.chainId}`);
+    console.log(`Groth16Verifier deployed to ${deployment.verifier.address}`);
+    console.log(`Trusted issuers: ${deployment.issuers.join(', ')}`);
+
+    if (options.rpc) {
+        console.log(`Deployment written to ${await writeDeployment(deployment, options.out)}`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Deployment failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { compileContracts, connectNode, deployContracts, writeDeployment };
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+const path = require('path');
+const ethers = require('ethers');
+const { parseArgs } = require('../circuits/generate_proof');
+const { fieldToHex } = require('../circuits/hashing.mjs');
+const VerificationService = require('../backend/api/verificationService');
+const { compileContracts, connectNode, deployContracts } = require('./deploy');
+
+const TEST_USER = {
+    fullName: 'Alice Example',
+    dob: '1990-05-01',
+    country: 'US',
+    documentType: 'passport',
+    documentNumber: 'E2E000001'
+};
+
+const SCOPE = { verifierId: 'zkkyc-e2e', action: 'onboarding' };
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Resolve once `promise` reverts with `reason`, fail if it succeeds
+ */
+async function expectRevert(promise, reason) {
+    try {
+        await (await promise).wait();
+    } catch (error) {
+        const message = error.error?.message || error.reason || error.message;
+        check(message.includes(reason), `Expected revert "${reason}", got: ${message}`);
+        return;
+    }
+    throw new Error(`Expected revert "${reason}", but the transaction succeeded`);
+}
+
+// The registry takes the proof as bytes: the Solidity-formatted a, b, c and the public signals
+function encodeProof(proof, publicSignals) {
+    return ethers.utils.defaultAbiCoder.encode(
+        ['uint256[2]', 'uint256[2][2]', 'uint256[2]', 'uint256[7]'],
+        [proof.a, proof.b, proof.c, publicSignals]
+    );
+}
+
+/**
+ * Deploy to a local node and run issue -> register -> prove -> verify -> replay
+ *
+ * Each step throws on an unexpected result; the steps that passed are logged.
+ */
+async function runFlow(options = {}) {
+    const buildDir = path.resolve(options.build || path.join(__dirname, '..', 'circuits', 'build'));
+    const step = (name) => console.log(`ok - ${name}`);
+
+    const compiled = compileContracts({ verifier: options.verifier });
+    const provider = connectNode(options.rpc);
+    const deployment = await deployContracts(provider, compiled, { issuers: 1 });
+    step(`deployed ZkKYCRegistry ${deployment.registry.address} and Groth16Verifier ${deployment.verifier.address}`);
+
+    const accounts = await provider.listAccounts();
+    const issuer = provider.getSigner(deployment.issuers[0]);
+    const userAddress = accounts[deployment.issuers.length + 1];
+    const user = provider.getSigner(userAddress);
+
+    const service = new VerificationService();
+    await service.initialize({
+        circuitPath: buildDir,
+        provider,
+        verifierContractAddress: deployment.verifier.address,
+        verifierABI: compiled.Groth16Verifier.abi
+    });
+
+    // The script plays the holder too, so the service keeps the holder secret and proves
+    const secret = ethers.utils.hexlify(ethers.utils.randomBytes(31));
+    const issued = await service.issueCredential({ ...TEST_USER, userAddress, secret });
+    const credentialRoot = fieldToHex(issued.credentialRoot);
+    step(`issued credential ${issued.credentialId}`);
+
+    const registry = deployment.registry;
+    const registration = await (await registry.connect(issuer)
+        .registerKYC(userAddress, issued.credential.expiryDate, credentialRoot)).wait();
+    check(registration.events.some(e => e.event === 'KYCVerified' && e.args.user === userAddress), 'KYCVerified was not emitted');
+    check(await registry.hasValidKYC(userAddress), 'hasValidKYC is false after registration');
+    step('trusted issuer registered KYC on-chain');
+
+    await expectRevert(registry.connect(user).registerKYC(userAddress, issued.credential.expiryDate, credentialRoot), 'Not trusted issuer');
+    step('untrusted issuer rejected');
+
+    const proof = await service.generateProof(issued.credentialId, { minAge: 18, ...SCOPE });
+    check(proof.proof.a, 'No proof generated; are the circuit artifacts in the build directory?');
+    step(`generated proof for ${proof.circuitId}`);
+
+    check(await deployment.verifier.verifyProof(proof.proof.a, proof.proof.b, proof.proof.c, proof.publicSignals),
+        'Groth16Verifier rejected a valid proof');
+    const tampered = [...proof.publicSignals];
+    tampered[0] = (BigInt(tampered[0]) + 1n).toString();
+    check(!(await deployment.verifier.verifyProof(proof.proof.a, proof.proof.b, proof.proof.c, tampered)),
+        'Groth16Verifier accepted tampered public signals');
+    step('Groth16Verifier accepts the proof and rejects tampered signals');
+
+    const verified = await service.verifyProof({ ...proof, scope: SCOPE });
+    check(verified.success, `VerificationService rejected the proof: ${verified.error}`);
+    step('VerificationService verified the proof (snarkjs and on-chain verifier)');
+
+    await expectRevert(registry.connect(user).verifyProof(encodeProof(proof.proof, tampered), proof.nullifier, credentialRoot), 'Invalid proof');
+    await expectRevert(registry.connect(user).verifyProof(encodeProof(proof.proof, proof.publicSignals), proof.nullifier, ethers.constants.HashZero), 'Unknown credential root');
+    step('registry rejects tampered signals and unregistered roots');
+
+    const submission = await (await registry.connect(user)
+        .verifyProof(encodeProof(proof.proof, proof.publicSignals), proof.nullifier, credentialRoot)).wait();
+    check(submission.events.some(e => e.event === 'ProofVerified' && e.args.nullifier === proof.nullifier), 'ProofVerified was not emitted');
+    check(await registry.nullifiers(proof.nullifier), 'Nullifier was not recorded on-chain');
+    step(`registry accepted nullifier ${proof.nullifier}`);
+
+    await expectRevert(registry.connect(user).verifyProof(encodeProof(proof.proof, proof.publicSignals), proof.nullifier, credentialRoot), 'Proof already used');
+    const replayed = await service.verifyProof({ ...proof, scope: SCOPE });
+    check(!replayed.success, 'VerificationService accepted a replayed proof');
+    step(`replay rejected on-chain and by VerificationService (${replayed.error})`);
+
+    return { deployment, credentialId: issued.credentialId, nullifier: proof.nullifier };
+}
+
+/**
+ * CLI entrypoint
+ *
+ * Usage: node e2e.js [--build ../circuits/build] [--verifier ZkVerifier.sol]
+ *                    [--rpc http://127.0.0.1:8545]
+ *
+ * Needs the artifacts and Solidity verifier from circuits/ceremony.js. Runs on
+ * an in-process Hardhat network unless --rpc names a node; nothing touches the
+ * network otherwise.
+ */
+async function main(argv) {
+    await runFlow(parseArgs(argv));
+    console.log('End-to-end flow passed');
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('End-to-end flow failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runFlow };
@@ -0,0 +1,12 @@
+// Local network for deploy.js and e2e.js
+//
+// The contracts are compiled by deploy.js with solc-js, so only the network is
+// configured here. `npx hardhat node --config contracts/hardhat.config.js`
+// starts the same chain as a standalone node.
+module.exports = {
+    networks: {
+        hardhat: {
+            chainId: 31337
+        }
+    }
+};
@@ -0,0 +1,11 @@
+pragma solidity ^0.8.19;
+
+// Groth16Verifier exported by snarkjs for kyc-circuit.circom (contracts/ZkVerifier.sol)
+interface IGroth16Verifier {
+    function verifyProof(
+        uint256[2] calldata pA,
+        uint256[2][2] calldata pB,
+        uint256[2] calldata pC,
+        uint256[7] calldata pubSignals
+    ) external view returns (bool);
+}
@@ -1,8 +1,16 @@
-import React, { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
+import React, { useState, useEffect, useRef } from 'react';
 import KYCForm from './components/KYCForm';
 import ProofGenerator from './components/ProofGenerator';
 import VerifierDashboard from './components/VerifierDashboard';
+import { connectRegistry, connectWallet as connectInjectedWallet, createMockRegistry } from './utils/blockchain';
+import {
+    hasWallet,
+    passphraseMaterial,
+    restoreBackup,
+    signatureMaterial,
+    signWithInjectedWallet,
+    unlockWallet
+} from './utils/wallet';
 import './style.css';
 
 function App() {
@@ -11,6 +19,8 @@ function App() {
     const [network, setNetwork] = useState('Not Connected');
     const [activeTab, setActiveTab] = useState('kyc');
     const [credential, setCredential] = useState(null);
+    const [wallet, setWallet] = useState(null);
+    const restoreInput = useRef(null);
     const [isConnecting, setIsConnecting] = useState(false);
     const [error, setError] = useState('');
 
@@ -37,6 +47,73 @@ function App() {
         checkConnection();
     }, []);
 
+    // Open the encrypted credential wallet and show its newest credential
+    const openCredentialWallet = async (walletId, material) => {
+        const unlocked = await unlockWallet(walletId, material);
+        const credentials = await unlocked.listCredentials();
+        setWallet(unlocked);
+        setCredential(credentials[0] || null);
+    };
+
+    // Demo accounts cannot sign, so their wallet is encrypted with a passphrase
+    const askPassphrase = async (walletId) => {
+        const exists = await hasWallet(walletId);
+        const passphrase = window.prompt(exists
+            ? 'Enter the passphrase of your credential wallet'
+            : 'Choose a passphrase to encrypt your credential wallet');
+        return passphrase ? passphraseMaterial(passphrase) : null;
+    };
+
+    const openDemoWallet = async () => {
+        try {
+            const material = await askPassphrase('demo');
+            if (material) {
+                await openCredentialWallet('demo', material);
+            }
+        } catch (walletError) {
+            console.warn('Wallet unlock failed:', walletError);
+            setError(`Could not open credential wallet: ${walletError.message}`);
+        }
+    };
+
+    const handleCredentialIssued = async (issued) => {
+        if (wallet) {
+            await wallet.saveCredential(issued);
+        }
+        setCredential(issued);
+    };
+
+    const backupWallet = async () => {
+        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(await wallet.exportBackup());
+        
+        const exportLink = document.createElement('a');
+        exportLink.setAttribute('href', dataUri);
+        exportLink.setAttribute('download', `zkkyc_wallet_${wallet.id}.json`);
+        document.body.appendChild(exportLink);
+        exportLink.click();
+        document.body.removeChild(exportLink);
+    };
+
+    const restoreWallet = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            const material = wallet.kdf === 'signature'
+                ? await signatureMaterial(signWithInjectedWallet(userAddress))
+                : passphraseMaterial(window.prompt('Enter the passphrase of the backed-up wallet') || '');
+            const restored = await restoreBackup(wallet.id, await file.text(), material);
+            const credentials = await restored.listCredentials();
+            setWallet(restored);
+            setCredential(credentials[0] || null);
+            alert('Wallet restored from backup.');
+        } catch (restoreError) {
+            console.error('Wallet restore failed:', restoreError);
+            alert(`Wallet restore failed: ${restoreError.message}`);
+        }
+    };
+
     const connectWallet = async () => {
         setError('');
         setIsConnecting(true);
@@ -48,76 +125,27 @@ function App() {
             }
 
             // Request account access
-            const accounts = await window.ethereum.request({ 
-                method: 'eth_requestAccounts' 
-            });
-
-            if (!accounts || accounts.length === 0) {
-                throw new Error('No accounts found. Please unlock MetaMask.');
-            }
-
-            const address = accounts[0];
+            const { address, signer, network: networkName } = await connectInjectedWallet();
             setUserAddress(address);
-            
-            // Initialize provider with better error handling
-            let provider;
+            setNetwork(networkName === 'unknown' ? 'Base' : networkName);
+
+            // Registry from the deployment artifacts of the connected chain
             try {
-                provider = new ethers.providers.Web3Provider(window.ethereum);
-            } catch (providerError) {
-                console.error('Provider initialization error:', providerError);
-                // Fallback to default provider
-                provider = ethers.getDefaultProvider();
-                setNetwork('Mainnet (Read-only)');
+                setContract(await connectRegistry(signer));
+            } catch (contractError) {
+                console.warn('Registry unavailable:', contractError);
+                setContract(null);
+                setError(`On-chain verification unavailable: ${contractError.message}`);
             }
             
-            // Get network info
+            // Credentials are kept in a wallet encrypted with a key from this account's signature
             try {
-                const networkInfo = await provider.getNetwork();
-                setNetwork(networkInfo.name === 'unknown' ? 'Base' : networkInfo.name);
-            } catch (networkError) {
-                console.error('Network error:', networkError);
-                setNetwork('Unknown');
+                await openCredentialWallet(address, await signatureMaterial(signWithInjectedWallet(address)));
+            } catch (walletError) {
+                console.warn('Wallet unlock failed:', walletError);
+                setError(`Could not open credential wallet: ${walletError.message}`);
             }
 
-            // Mock contract for demo
-            const mockContract = {
-                address: '0x' + '1'.repeat(40),
-                verifyProof: async (proof, nullifier, credentialRoot) => { 
-                    console.log('Verifying proof:', { nullifier });
-                    return { 
-                        wait: async () => ({
-                            hash: '0x' + Math.random().toString(16).substr(2, 64),
-                            blockNumber: Math.floor(Math.random() * 1000000),
-                            confirmations: 1
-                        })
-                    }; 
-                },
-                registerKYC: async (user, expiryDate, credentialRoot) => { 
-                    console.log('Registering KYC:', { user });
-                    return { 
-                        wait: async () => ({
-                            hash: '0x' + Math.random().toString(16).substr(2, 64),
-                            blockNumber: Math.floor(Math.random() * 1000000),
-                            confirmations: 1
-                        })
-                    }; 
-                },
-                hasValidKYC: async (user) => { 
-                    console.log('Checking KYC for:', user);
-                    return true; 
-                }
-            };
-            setContract(mockContract);
-            
-            // Mock credential for demo
-            setCredential({
-                id: 'cred_' + Date.now(),
-                userAddress: address,
-                issuedAt: Date.now(),
-                expiryDate: Date.now() + 365 * 24 * 60 * 60 * 1000,
-                verified: true
-            });
-
             // Listen for account changes
             window.ethereum.on('accountsChanged', (accounts) => {
                 if (accounts.length === 0) {
@@ -125,9 +153,17 @@ function App() {
                     setUserAddress('');
                     setContract(null);
                     setCredential(null);
+                    setWallet(null);
                     setNetwork('Not Connected');
                 } else {
                     setUserAddress(accounts[0]);
+                    
+                    // Each account has its own wallet
+                    setWallet(null);
+                    setCredential(null);
+                    signatureMaterial(signWithInjectedWallet(accounts[0]))
+                        .then(material => openCredentialWallet(accounts[0], material))
+                        .catch(walletError => console.warn('Wallet unlock failed:', walletError));
                 }
             });
 
@@ -151,52 +187,20 @@ function App() {
             // Fallback to mock mode for demo
             setUserAddress('0xDemoUser1234567890');
             setNetwork('Base (Demo Mode)');
-            setContract({
-                verifyProof: async () => ({ wait: async () => {} }),
-                registerKYC: async () => ({ wait: async () => {} }),
-                hasValidKYC: async () => true
-            });
-            setCredential({
-                id: 'demo_cred_' + Date.now(),
-                userAddress: '0xDemoUser1234567890',
-                issuedAt: Date.now(),
-                expiryDate: Date.now() + 365 * 24 * 60 * 60 * 1000,
-                verified: true
-            });
+            setContract(createMockRegistry({ sender: '0xDemoUser1234567890' }));
+            await openDemoWallet();
         } finally {
             setIsConnecting(false);
         }
     };
 
     // Demo mode for testing without MetaMask
-    const connectDemoMode = () => {
+    const connectDemoMode = async () => {
         setUserAddress('0xDemoUser1234567890abcdef1234567890abcdef12');
         setNetwork('Base (Demo Mode)');
-        setContract({
-            verifyProof: async () => ({ 
-                wait: async () => ({
-                    hash: '0xdemo' + Math.random().toString(16).substr(2, 60),
-                    blockNumber: 1234567,
-                    confirmations: 1
-                })
-            }),
-            registerKYC: async () => ({ 
-                wait: async () => ({
-                    hash: '0xdemo' + Math.random().toString(16).substr(2, 60),
-                    blockNumber: 1234567,
-                    confirmations: 1
-                })
-            }),
-            hasValidKYC: async () => true
-        });
-        setCredential({
-            id: 'demo_cred_' + Date.now(),
-            userAddress: '0xDemoUser1234567890abcdef1234567890abcdef12',
-            issuedAt: Date.now(),
-            expiryDate: Date.now() + 365 * 24 * 60 * 60 * 1000,
-            verified: true
-        });
+        setContract(createMockRegistry({ sender: '0xDemoUser1234567890abcdef1234567890abcdef12' }));
         setError('');
+        await openDemoWallet();
     };
 
     return (
@@ -261,12 +265,30 @@ function App() {
                         <div className="network-badge">
                             <i className="fas fa-network-wired"></i> {network}
                         </div>
+                        {wallet && (
+                            <>
+                                <button className="disconnect-btn" onClick={backupWallet}>
+                                    <i className="fas fa-download"></i> Backup Wallet
+                                </button>
+                                <button className="disconnect-btn" onClick={() => restoreInput.current.click()}>
+                                    <i className="fas fa-upload"></i> Restore
+                                </button>
+                                <input
+                                    ref={restoreInput}
+                                    type="file"
+                                    accept="application/json"
+                                    onChange={restoreWallet}
+                                    style={{ display: 'none' }}
+                                />
+                            </>
+                        )}
                         <button 
                             className="disconnect-btn"
                             onClick={() => {
                                 setUserAddress('');
                                 setContract(null);
                                 setCredential(null);
+                                setWallet(null);
                                 setNetwork('Not Connected');
                                 setError('');
                             }}
@@ -369,8 +391,8 @@ function App() {
                     </div>
                 ) : (
                     <>
-                        {activeTab === 'kyc' && <KYCForm contract={contract} userAddress={userAddress} />}
-                        {activeTab === 'proofs' && <ProofGenerator userAddress={userAddress} contract={contract} credential={credential} />}
+                        {activeTab === 'kyc' && <KYCForm contract={contract} userAddress={userAddress} wallet={wallet} onCredentialIssued={handleCredentialIssued} />}
+                        {activeTab === 'proofs' && <ProofGenerator userAddress={userAddress} contract={contract} credential={credential} wallet={wallet} />}
                         {activeTab === 'verifier' && <VerifierDashboard contract={contract} userAddress={userAddress} />}
                     </>
                 )}
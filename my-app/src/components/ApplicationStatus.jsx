@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { DOCUMENT_MIME_TYPES, uploadDocument } from '../utils/documents';
+import { authorizedFetch } from '../utils/session';
+import '../style.css';
+
+const API_URL = 'http://localhost:3001/api';
+
+// How often an open application is polled for reviewer decisions
+const POLL_INTERVAL = 5000;
+
+const STATUS_LABELS = {
+    submitted: 'Submitted - waiting for a reviewer',
+    under_review: 'Under review',
+    needs_info: 'More information needed',
+    approved: 'Approved - credential issued',
+    rejected: 'Rejected'
+};
+
+const ACTION_LABELS = {
+    submitted: 'Application submitted',
+    assigned: 'Review started',
+    reassigned: 'Review handed to another reviewer',
+    note_added: 'Reviewer comment',
+    info_requested: 'Reviewer requested more information',
+    info_provided: 'Information provided',
+    document_uploaded: 'Document uploaded',
+    issuance_failed: 'Credential issuance failed',
+    approved: 'Application approved',
+    rejected: 'Application rejected'
+};
+
+const OPEN_STATUSES = ['submitted', 'under_review', 'needs_info'];
+
+const ApplicationStatus = ({ userAddress, refreshKey, onApproved }) => {
+    const [application, setApplication] = useState(null);
+    const [response, setResponse] = useState('');
+    const [attachment, setAttachment] = useState(null);
+    const [isResponding, setIsResponding] = useState(false);
+    const [error, setError] = useState('');
+    const lastStatus = useRef(null);
+    
+    // The latest callback, so a new handler from the parent does not restart polling
+    const approvedHandler = useRef(onApproved);
+    useEffect(() => {
+        approvedHandler.current = onApproved;
+    }, [onApproved]);
+    
+    const loadApplication = useCallback(async () => {
+        try {
+            const result = await (await authorizedFetch(userAddress, `${API_URL}/applications`)).json();
+            if (!result.success) {
+                throw new Error(result.error || 'Could not load application');
+            }
+            
+            const latest = result.applications[0] || null;
+            
+            // Only a decision seen while polling hands the credential over; an
+            // application already approved on load can be added manually
+            if (latest?.status === 'approved' && lastStatus.current && lastStatus.current !== 'approved') {
+                approvedHandler.current?.(latest);
+            }
+            lastStatus.current = latest?.status || null;
+            
+            setApplication(latest);
+            setError('');
+        } catch (loadError) {
+            console.error('Failed to load application status:', loadError);
+            setError(loadError.message);
+        }
+    }, [userAddress]);
+    
+    useEffect(() => {
+        if (!userAddress) return;
+        
+        lastStatus.current = null;
+        loadApplication();
+        const timer = setInterval(loadApplication, POLL_INTERVAL);
+        return () => clearInterval(timer);
+    }, [userAddress, refreshKey, loadApplication]);
+    
+    const provideInfo = async (e) => {
+        e.preventDefault();
+        setIsResponding(true);
+        
+        try {
+            // A new document goes up first; answering returns the application to the queue
+            if (attachment) {
+                await uploadDocument(application.id, userAddress, attachment, 'additional');
+            }
+            
+            const result = await (await authorizedFetch(userAddress, `${API_URL}/applications/${application.id}/info`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ message: response })
+            })).json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Could not send information');
+            }
+            
+            lastStatus.current = result.application.status;
+            setApplication(result.application);
+            setResponse('');
+            setAttachment(null);
+        } catch (respondError) {
+            alert('Could not send information: ' + respondError.message);
+        } finally {
+            setIsResponding(false);
+        }
+    };
+    
+    if (!application) {
+        return error ? <p className="subtitle">Application status unavailable: {error}</p> : null;
+    }
+    
+    return (
+        <div className="proof-section application-status">
+            <h3>Your KYC Application</h3>
+            <div className="proof-details">
+                <p>
+                    <strong>Status:</strong>
+                    <span className={`status-badge ${application.status === 'approved' ? 'verified' : application.status === 'rejected' ? 'rejected' : 'pending'}`}>
+                        {STATUS_LABELS[application.status] || application.status}
+                    </span>
+                </p>
+                <p><strong>Submitted:</strong> {new Date(application.submittedAt).toLocaleString()}</p>
+                {OPEN_STATUSES.includes(application.status) && (
+                    <p><strong>Reviewer:</strong> {application.assigned ? 'Assigned' : 'Waiting in queue'}</p>
+                )}
+                {application.rejectionReason && (
+                    <p><strong>Reason:</strong> {application.rejectionReason}</p>
+                )}
+            </div>
+            
+            {application.status === 'needs_info' && application.requestedInfo && (
+                <form onSubmit={provideInfo} className="kyc-form">
+                    <div className="form-group">
+                        <label>Reviewer request: {application.requestedInfo.message}</label>
+                        <input
+                            type="text"
+                            value={response}
+                            onChange={(e) => setResponse(e.target.value)}
+                            placeholder="Your answer"
+                            required
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label>Attach a document (optional)</label>
+                        <input
+                            type="file"
+                            accept={DOCUMENT_MIME_TYPES.join(',')}
+                            onChange={(e) => setAttachment(e.target.files[0] || null)}
+                        />
+                    </div>
+                    <button type="submit" className="verify-btn" disabled={isResponding}>
+                        {isResponding ? 'Sending...' : 'Send and return to review'}
+                    </button>
+                </form>
+            )}
+            
+            {application.status === 'approved' && (
+                <button onClick={() => onApproved?.(application)} className="verify-btn">
+                    Add Credential to Wallet
+                </button>
+            )}
+            
+            <div className="info-box">
+                <h4>History</h4>
+                <ol className="application-timeline">
+                    {application.history.map((entry, index) => (
+                        <li key={index}>
+                            {ACTION_LABELS[entry.action] || entry.action}
+                            <small> - {new Date(entry.at).toLocaleString()}</small>
+                        </li>
+                    ))}
+                </ol>
+                {application.notes.length > 0 && (
+                    <>
+                        <h4>Messages</h4>
+                        <ul>
+                            {application.notes.map(note => (
+                                <li key={note.id}>{note.text}</li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ApplicationStatus;
@@ -1,9 +1,19 @@
 import React, { useState } from 'react';
-import { ethers } from 'ethers';
-import { generateProof, generateNullifier } from '../utils/zkProofs';
+import { computeHolderCommitment, generateSecret } from '../utils/zkProofs';
+import { DOCUMENT_MIME_TYPES, uploadDocument, validateDocument } from '../utils/documents';
+import { authorizedFetch } from '../utils/session';
+import ApplicationStatus from './ApplicationStatus';
 import '../style.css';
 
-const KYCForm = ({ contract, userAddress }) => {
+const API_URL = 'http://localhost:3001/api';
+
+// Credential template applied for; its required checks run before submitting
+const KYC_TEMPLATE = 'basic_kyc';
+
+// Holder secrets by application ID for this tab; also kept in the wallet when one is open
+const holderSecrets = new Map();
+
+const KYCForm = ({ contract, userAddress, wallet, onCredentialIssued }) => {
     const [formData, setFormData] = useState({
         fullName: '',
         dob: '',
@@ -14,8 +24,7 @@ const KYCForm = ({ contract, userAddress }) => {
     });
     
     const [isSubmitting, setIsSubmitting] = useState(false);
-    const [proof, setProof] = useState(null);
-    const [zkVerified, setZkVerified] = useState(false);
+    const [applicationKey, setApplicationKey] = useState(0);
     
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -23,7 +32,14 @@ const KYCForm = ({ contract, userAddress }) => {
     };
     
     const handleFileChange = (e) => {
-        setFormData(prev => ({ ...prev, documentImage: e.target.files[0] }));
+        const file = e.target.files[0];
+        const invalid = file && validateDocument(file);
+        if (invalid) {
+            alert(invalid);
+            e.target.value = '';
+            return;
+        }
+        setFormData(prev => ({ ...prev, documentImage: file }));
     };
     
     const handleSubmit = async (e) => {
@@ -31,24 +47,32 @@ const KYCForm = ({ contract, userAddress }) => {
         setIsSubmitting(true);
         
         try {
-            // In production: Send to trusted KYC provider
-            // For demo, we'll simulate KYC verification
-            const kycProviderResponse = await simulateKYCVerification(formData);
+            // Document, liveness and other checks with the issuer's KYC provider
+            const kycProviderResponse = await runKYCChecks(formData);
             
-            if (kycProviderResponse.verified) {
-                // Generate zero-knowledge proof
-                const zkProof = await generateZKProof(formData);
-                setProof(zkProof);
+            if (!kycProviderResponse.verified) {
+                alert('KYC checks not passed:\n' + kycProviderResponse.failed
+                    .map(check => `${check.type}: ${check.status === 'pending' ? 'awaiting provider' : check.reason || check.status}`)
+                    .join('\n'));
+            } else {
+                // The secret stays here; the issuer only gets its commitment
+                const holderSecret = generateSecret();
                 
-                // Register KYC on-chain (simplified)
-                const tx = await contract.registerKYC(
-                    userAddress,
-                    Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60, // 1 year expiry
-                    ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(zkProof)))
-                );
+                // A reviewer approves the application before the credential is issued
+                const application = await submitApplication(formData, computeHolderCommitment(holderSecret));
+                await keepHolderSecret(application.id, holderSecret);
+                setApplicationKey(key => key + 1);
+                
+                try {
+                    await uploadDocument(application.id, userAddress, formData.documentImage, formData.documentType);
+                    setApplicationKey(key => key + 1);
+                } catch (uploadError) {
+                    console.error('Document upload failed:', uploadError);
+                    alert('Application submitted, but the document upload failed: ' + uploadError.message + '\nThe reviewer will ask you to upload it again.');
+                    return;
+                }
                 
-                await tx.wait();
-                alert('KYC submitted successfully! Proof generated.');
+                alert('KYC application submitted! You will be notified here once a reviewer has decided.');
             }
         } catch (error) {
             console.error('KYC submission failed:', error);
@@ -58,48 +82,133 @@ const KYCForm = ({ contract, userAddress }) => {
         }
     };
     
-    const generateZKProof = async (data) => {
-        // This would generate actual zk-SNARK proof using circuits
-        // For demo, we return a mock proof
-        return {
-            proof: 'mock-zk-proof-' + Date.now(),
-            publicSignals: [
-                '0x' + ethers.utils.keccak256(ethers.utils.toUtf8Bytes(data.documentNumber)).slice(2, 10),
-                '0x' + ethers.utils.keccak256(ethers.utils.toUtf8Bytes(data.country)).slice(2, 10)
-            ],
-            nullifier: generateNullifier(data.documentNumber, data.dob)
-        };
+    const keepHolderSecret = async (applicationId, secret) => {
+        holderSecrets.set(applicationId, secret);
+        if (wallet) {
+            await wallet.saveHolderSecret(applicationId, secret);
+        }
     };
     
-    const simulateKYCVerification = async (data) => {
-        // Simulate KYC verification by a trusted provider
-        return new Promise(resolve => {
-            setTimeout(() => {
-                resolve({
-                    verified: true,
-                    timestamp: Date.now(),
-                    provider: 'TrustedKYCProvider'
-                });
-            }, 2000);
-        });
+    const loadHolderSecret = async (applicationId) => {
+        return holderSecrets.get(applicationId) || (wallet ? await wallet.getHolderSecret(applicationId) : null);
     };
     
-    const verifyProofOnChain = async () => {
-        if (!proof) return;
+    const submitApplication = async (data, holderCommitment) => {
+        const response = await authorizedFetch(userAddress, `${API_URL}/applications`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                templateId: KYC_TEMPLATE,
+                credentialData: {
+                    fullName: data.fullName,
+                    dateOfBirth: data.dob,
+                    country: data.country,
+                    documentType: data.documentType,
+                    documentNumber: data.documentNumber
+                },
+                holderCommitment
+            })
+        });
         
+        const submitted = await response.json();
+        if (!submitted.success) {
+            throw new Error(submitted.error || 'Application submission failed');
+        }
+        return submitted.application;
+    };
+    
+    const handleApproved = async (application) => {
         try {
-            const tx = await contract.verifyProof(
-                ethers.utils.toUtf8Bytes(proof.proof),
-                proof.nullifier,
-                ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(proof)))
-            );
+            // The signed credential and its attributes are only handed to the signed-in holder
+            const issued = await (await authorizedFetch(userAddress, `${API_URL}/applications/${application.id}/credential`)).json();
+            if (!issued.success) {
+                throw new Error(issued.error || 'Could not load the credential');
+            }
+            const data = issued.attributes;
+            
+            const secret = await loadHolderSecret(application.id);
+            if (!secret) {
+                throw new Error('The holder secret for this application is not in this browser; open the wallet it was submitted from');
+            }
+            
+            // The holder keeps the secret and attributes; proofs are generated from them in the browser
+            await onCredentialIssued?.({
+                id: issued.credentialId,
+                secret,
+                dateOfBirth: data.dateOfBirth,
+                country: data.country,
+                documentNumber: data.documentNumber,
+                vc: issued.credential,
+                userAddress,
+                issuedAt: Date.now(),
+                expiryDate: new Date(issued.credential.expirationDate).getTime(),
+                verified: true
+            });
+            
+            // Register KYC on-chain with the registry root the credential is included in;
+            // the contract only accepts proofs against registered roots
+            if (contract) {
+                const response = await fetch(`${API_URL}/registry/proof/${encodeURIComponent(issued.credentialId)}`);
+                const merkleProof = await response.json();
+                if (!response.ok) {
+                    throw new Error(merkleProof.error || 'Credential not found in registry');
+                }
+                await contract.registerKYC(
+                    userAddress,
+                    Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60, // 1 year expiry
+                    merkleProof.root
+                );
+            }
             
-            await tx.wait();
-            setZkVerified(true);
-            alert('ZK Proof verified on-chain!');
+            alert('KYC approved! Credential saved; generate proofs from it in the Proofs tab.');
         } catch (error) {
-            console.error('Proof verification failed:', error);
+            console.error('Storing approved credential failed:', error);
+            alert('Storing approved credential failed: ' + error.message);
+        }
+    };
+    
+    const runKYCChecks = async (data) => {
+        // Only the checks the template still needs are run again
+        const status = await (await authorizedFetch(userAddress, `${API_URL}/kyc/checks/${userAddress}?templateId=${KYC_TEMPLATE}`)).json();
+        if (!status.success) {
+            throw new Error(status.error || 'Could not load KYC requirements');
         }
+        
+        const subject = {
+            fullName: data.fullName,
+            dateOfBirth: data.dob,
+            country: data.country,
+            documentType: data.documentType,
+            documentNumber: data.documentNumber
+        };
+        const evidence = {
+            document: data.documentImage && {
+                name: data.documentImage.name,
+                type: data.documentImage.type,
+                size: data.documentImage.size
+            }
+        };
+        
+        const checks = await Promise.all(status.missing.map(async (type) => {
+            const response = await authorizedFetch(userAddress, `${API_URL}/kyc/checks`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ type, subject, evidence })
+            });
+            
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || `${type} failed`);
+            }
+            return result.check;
+        }));
+        
+        const failed = checks.filter(check => check.status !== 'passed');
+        return { verified: failed.length === 0, failed };
     };
     
     return (
@@ -180,11 +289,11 @@ const KYCForm = ({ contract, userAddress }) => {
                     <label>Document Image</label>
                     <input
                         type="file"
-                        accept="image/*"
+                        accept={DOCUMENT_MIME_TYPES.join(',')}
                         onChange={handleFileChange}
                         required
                     />
-                    <small>Upload a clear image of your document</small>
+                    <small>Upload a clear image or PDF of your document (JPEG, PNG or PDF, up to 10 MB). Location and camera metadata are removed and the file is stored encrypted.</small>
                 </div>
                 
                 <div className="privacy-notice">
@@ -206,32 +315,7 @@ const KYCForm = ({ contract, userAddress }) => {
                 </button>
             </form>
             
-            {proof && (
-                <div className="proof-section">
-                    <h3>Generated Zero-Knowledge Proof</h3>
-                    <div className="proof-details">
-                        <p><strong>Nullifier:</strong> {proof.nullifier.substring(0, 20)}...</p>
-                        <p><strong>Public Signals:</strong> {proof.publicSignals.length} signals</p>
-                        <p><strong>Status:</strong> {zkVerified ? '✅ Verified on-chain' : '⚠️ Not yet verified'}</p>
-                    </div>
-                    
-                    {!zkVerified && (
-                        <button onClick={verifyProofOnChain} className="verify-btn">
-                            Verify Proof on Base Network
-                        </button>
-                    )}
-                    
-                    <div className="info-box">
-                        <h4>How This Works:</h4>
-                        <ol>
-                            <li>Your data is verified off-chain by a trusted provider</li>
-                            <li>A zk-SNARK proof is generated locally in your browser</li>
-                            <li>Only the proof (not your data) is sent to the blockchain</li>
-                            <li>Services can verify your KYC status without seeing your details</li>
-                        </ol>
-                    </div>
-                </div>
-            )}
+            <ApplicationStatus userAddress={userAddress} refreshKey={applicationKey} onApproved={handleApproved} />
         </div>
     );
 };
@@ -1,8 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
+import {
+    COUNTRY_CODES,
+    CIRCUIT_ID,
+    buildCountryRoot,
+    buildCircuitInputs,
+    proveInBrowser,
+    readSignal,
+    nullifierToHex
+} from '../utils/zkProofs';
 import '../style.css';
 
-const ProofGenerator = ({ userAddress, contract, credential }) => {
+const ProofGenerator = ({ userAddress, contract, credential, wallet }) => {
     const [requirements, setRequirements] = useState({
         minAge: 18,
         allowedCountries: ['US', 'GB', 'DE', 'FR', 'JP'],
@@ -12,6 +20,7 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
     });
     
     const [generating, setGenerating] = useState(false);
+    const [progress, setProgress] = useState(null);
     const [verifying, setVerifying] = useState(false);
     const [proofs, setProofs] = useState([]);
     const [currentProof, setCurrentProof] = useState(null);
@@ -19,10 +28,17 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
     
     // Load user's proofs
     useEffect(() => {
-        if (userAddress) {
+        if (!userAddress) return;
+        
+        // Proofs generated on this device are kept in the encrypted wallet
+        if (wallet) {
+            wallet.listProofs()
+                .then(setProofs)
+                .catch(error => console.error('Failed to load proofs:', error));
+        } else {
             loadUserProofs();
         }
-    }, [userAddress]);
+    }, [userAddress, wallet]);
     
     const loadUserProofs = async () => {
         try {
@@ -83,48 +99,63 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
         }
         
         setGenerating(true);
+        setProgress(null);
         setVerificationResult(null);
         
         try {
-            // Call backend to generate proof
-            const response = await fetch('http://localhost:3001/api/generate-proof', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    userId: userAddress,
-                    credentialId: credential.id,
-                    requirements
-                })
-            });
+            // The registry path is public data; the credential itself stays in the browser
+            const response = await fetch(`http://localhost:3001/api/registry/proof/${encodeURIComponent(credential.id)}`);
+            const merkleProof = await response.json();
+            if (!response.ok) {
+                throw new Error(merkleProof.error || 'Credential not found in registry');
+            }
             
-            const data = await response.json();
+            const inputs = buildCircuitInputs(credential, merkleProof, requirements);
+            const { proof: zkProof, publicSignals } = await proveInBrowser(inputs, { onProgress: setProgress });
             
-            if (data.success) {
-                const proof = {
-                    ...data,
-                    id: `proof_${Date.now()}`,
-                    generatedAt: new Date().toISOString(),
-                    requirements
-                };
-                
-                setCurrentProof(proof);
-                setProofs(prev => [proof, ...prev]);
-                
-                // Store proof locally
-                localStorage.setItem(`zk_proof_${proof.nullifier}`, JSON.stringify(proof));
-                
-                alert('Zero-knowledge proof generated successfully!');
-            } else {
-                throw new Error(data.error || 'Failed to generate proof');
+            if (readSignal(publicSignals, 'isValid') !== '1') {
+                throw new Error('Your credential does not meet these requirements');
             }
+            
+            const proof = {
+                success: true,
+                proof: zkProof,
+                publicSignals,
+                nullifier: nullifierToHex(readSignal(publicSignals, 'nullifier')),
+                credentialRoot: merkleProof.root,
+                circuitId: CIRCUIT_ID,
+                id: `proof_${Date.now()}`,
+                generatedAt: new Date().toISOString(),
+                requirements: {
+                    ...requirements,
+                    allowedCountriesHash: buildCountryRoot(requirements.allowedCountries)
+                }
+            };
+            
+            setCurrentProof(proof);
+            setProofs(prev => [proof, ...prev]);
+            
+            // Store proof in the encrypted wallet
+            if (wallet) {
+                await wallet.saveProof(proof);
+            }
+            
+            alert('Zero-knowledge proof generated successfully!');
         } catch (error) {
             console.error('Proof generation failed:', error);
             alert(`Proof generation failed: ${error.message}`);
         } finally {
             setGenerating(false);
+            setProgress(null);
+        }
+    };
+    
+    const describeProgress = (status) => {
+        if (!status || status.stage === 'loading') {
+            const percent = status && status.total ? ` ${Math.round(100 * status.loaded / status.total)}%` : '';
+            return `Loading circuit...${percent}`;
         }
+        return status.stage === 'witness' ? 'Computing witness...' : 'Generating Proof...';
     };
     
     const verifyProof = async (proofToVerify = currentProof) => {
@@ -142,7 +173,10 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
                 body: JSON.stringify({
                     proof: proofToVerify.proof,
                     publicSignals: proofToVerify.publicSignals,
-                    nullifier: proofToVerify.nullifier
+                    nullifier: proofToVerify.nullifier,
+                    circuitId: proofToVerify.circuitId,
+                    minAge: proofToVerify.requirements.minAge,
+                    allowedCountries: proofToVerify.requirements.allowedCountries
                 })
             });
             
@@ -152,13 +186,12 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
                 // Also verify on-chain if contract is available
                 if (contract) {
                     try {
-                        const tx = await contract.verifyProof(
-                            ethers.utils.toUtf8Bytes(JSON.stringify(proofToVerify.proof)),
+                        await contract.verifyProof(
+                            proofToVerify.proof,
+                            proofToVerify.publicSignals,
                             proofToVerify.nullifier,
-                            proofToVerify.credentialRoot || ethers.constants.HashZero
+                            proofToVerify.credentialRoot
                         );
-                        
-                        await tx.wait();
                         data.onChain = true;
                     } catch (onChainError) {
                         console.warn('On-chain verification failed:', onChainError);
@@ -174,6 +207,9 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
                         ? { ...p, verified: true, onChain: data.onChain }
                         : p
                 ));
+                if (wallet && proofToVerify.id) {
+                    await wallet.saveProof({ ...proofToVerify, verified: true, onChain: data.onChain });
+                }
                 
                 alert('Proof verified successfully!');
             } else {
@@ -242,7 +278,7 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
                     <div className="requirement-group">
                         <label>Allowed Countries</label>
                         <div className="country-selector">
-                            {['US', 'GB', 'DE', 'FR', 'JP', 'CA', 'AU', 'SG'].map(country => (
+                            {Object.keys(COUNTRY_CODES).map(country => (
                                 <button
                                     key={country}
                                     type="button"
@@ -294,8 +330,6 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
                             <option value={7}>7 days</option>
                             <option value={30}>30 days</option>
                             <option value={90}>90 days</option>
-                            <option value={365}>1 year</option>
-                            <option value={0}>No expiry</option>
                         </select>
                     </div>
                     
@@ -306,7 +340,7 @@ const ProofGenerator = ({ userAddress, contract, credential }) => {
                     >
                         {generating ? (
                             <>
-                                <i className="fas fa-spinner fa-spin"></i> Generating Proof...
+                                <i className="fas fa-spinner fa-spin"></i> {describeProgress(progress)}
                             </>
                         ) : (
                             <>
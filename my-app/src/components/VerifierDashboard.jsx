@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { ethers } from 'ethers';
+import { COUNTRY_CODES, PUBLIC_SIGNALS, buildCountryRoot, readSignal, toDayNumber } from '../utils/zkProofs';
 import '../style.css';
 
 const VerifierDashboard = ({ contract, userAddress }) => {
@@ -134,26 +134,28 @@ const VerifierDashboard = ({ contract, userAddress }) => {
                 body: JSON.stringify({
                     proof: proofData.proofData,
                     publicSignals: proofData.publicSignals,
-                    nullifier: proofData.proofId
+                    nullifier: proofData.proofId,
+                    circuitId: proofData.circuitId,
+                    minAge: verificationSettings.minAge,
+                    allowedCountries: verificationSettings.requiredCountries
                 })
             });
             
             const result = await response.json();
             
             // Check against our requirements
-            const meetsRequirements = checkRequirements(proofData.requirements);
+            const meetsRequirements = checkRequirements(proofData.publicSignals);
             
             // Verify on-chain if required
             let onChainValid = true;
             if (verificationSettings.requireOnChain && contract) {
                 try {
-                    const tx = await contract.verifyProof(
-                        ethers.utils.toUtf8Bytes(JSON.stringify(proofData.proofData)),
+                    await contract.verifyProof(
+                        proofData.proofData,
+                        proofData.publicSignals,
                         proofData.proofId,
-                        ethers.constants.HashZero // In production, use actual credential root
+                        proofData.credentialRoot
                     );
-                    
-                    await tx.wait();
                     onChainValid = true;
                 } catch (error) {
                     console.error('On-chain verification failed:', error);
@@ -198,26 +200,26 @@ const VerifierDashboard = ({ contract, userAddress }) => {
         }
     };
     
-    const checkRequirements = (proofRequirements) => {
-        // Check if proof meets our requirements
-        if (proofRequirements.minAge < verificationSettings.minAge) {
+    const checkRequirements = (publicSignals = []) => {
+        // Only what the proof commits to counts, never the requirements the prover claims
+        if (publicSignals.length < PUBLIC_SIGNALS.length) {
             return false;
         }
         
-        if (verificationSettings.requiredCountries.length > 0) {
-            const proofCountries = proofRequirements.allowedCountries || [];
-            const hasRequiredCountry = verificationSettings.requiredCountries.some(country => 
-                proofCountries.includes(country)
-            );
-            
-            if (!hasRequiredCountry && verificationSettings.requiredCountries.length > 0) {
-                return false;
-            }
+        if (Number(readSignal(publicSignals, 'minAge')) < verificationSettings.minAge) {
+            return false;
+        }
+        
+        // The proof commits to the allow-list root it was generated for, so it
+        // must match the root of our own country list exactly
+        if (verificationSettings.requiredCountries.length > 0 &&
+            readSignal(publicSignals, 'allowedCountriesHash') !== buildCountryRoot(verificationSettings.requiredCountries)) {
+            return false;
         }
         
-        // Check proof age if specified
+        // Proof age from the date the proof was generated for
         if (verificationSettings.maxProofAge > 0) {
-            const proofAge = proofRequirements.proofAge || 0;
+            const proofAge = toDayNumber(new Date()) - Number(readSignal(publicSignals, 'currentDate'));
             if (proofAge > verificationSettings.maxProofAge) {
                 return false;
             }
@@ -262,7 +264,9 @@ const VerifierDashboard = ({ contract, userAddress }) => {
                 body: JSON.stringify({
                     proof: proofData.proofData,
                     publicSignals: proofData.publicSignals,
-                    nullifier: proofData.proofId
+                    nullifier: proofData.proofId,
+                    circuitId: proofData.circuitId,
+                    minAge: verificationSettings.minAge
                 })
             });
             
@@ -399,7 +403,7 @@ const VerifierDashboard = ({ contract, userAddress }) => {
                         <div className="setting-group">
                             <label>Required Countries</label>
                             <div className="countries-select">
-                                {['US', 'GB', 'DE', 'FR', 'JP', 'CA', 'AU'].map(country => (
+                                {Object.keys(COUNTRY_CODES).map(country => (
                                     <label key={country} className="country-option">
                                         <input
                                             type="checkbox"
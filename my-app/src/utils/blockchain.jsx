@@ -1,76 +1,213 @@
 // src/utils/blockchain.js
+import {
+    AbiCoder,
+    BrowserProvider,
+    Contract,
+    ZeroHash,
+    formatEther,
+    hexlify,
+    isHexString,
+    keccak256,
+    randomBytes,
+    toUtf8Bytes
+} from 'ethers';
+import { fieldToHex } from '../../../circuits/hashing.mjs';
+
+// Deployment artifacts, one <chainId>.json per network:
+// { chainId, network, contracts: { ZkKYCRegistry: { address, abi, blockNumber } } }
+const DEPLOYMENT_FILES = import.meta.glob('../../../contracts/deployments/*.json', { eager: true, import: 'default' });
+
+const REGISTRY_CONTRACT = 'ZkKYCRegistry';
+
+/**
+ * Interface shared by the on-chain registry and the demo mock
+ *
+ * @typedef {Object} KYCRegistry
+ * @property {string} address
+ * @property {number} chainId
+ * @property {boolean} mock
+ * @property {(user: string, expiryDate: number, credentialRoot: string) => Promise<TxReceipt>} registerKYC
+ * @property {(proof: Object, publicSignals: string[], nullifier: string, credentialRoot?: string) => Promise<TxReceipt>} verifyProof
+ * @property {(user: string) => Promise<boolean>} hasValidKYC
+ * @property {(listener: (event: RegistryEvent) => void) => () => void} onKYCVerified
+ * @property {(listener: (event: RegistryEvent) => void) => () => void} onProofVerified
+ *
+ * @typedef {Object} TxReceipt
+ * @property {string} hash
+ * @property {number} blockNumber
+ *
+ * @typedef {Object} RegistryEvent
+ * @property {string} user
+ * @property {string} [credentialRoot] KYCVerified only
+ * @property {string} [nullifier] ProofVerified only
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ */
 
 /**
- * Mock blockchain interaction for demonstration
- * In production, this would interact with actual smart contracts
+ * Deployments bundled with the app, keyed by chainId
  */
+export const getDeployments = () => {
+    return Object.fromEntries(Object.values(DEPLOYMENT_FILES).map(deployment => [
+        Number(deployment.chainId),
+        deployment
+    ]));
+};
+
+/**
+ * Address and ABI of the registry on a chain
+ */
+export const getRegistryDeployment = (chainId) => {
+    const deployment = getDeployments()[Number(chainId)];
+    const registry = deployment && deployment.contracts[REGISTRY_CONTRACT];
+    if (!registry) {
+        throw new Error(`${REGISTRY_CONTRACT} is not deployed on chain ${chainId}`);
+    }
+    return registry;
+};
+
+/**
+ * The proof as the registry takes it: abi.encode(a, b, c, publicSignals)
+ *
+ * Accepts snarkjs proofs (pi_a, pi_b, pi_c) and the backend's Solidity format
+ * (a, b, c), where the G2 coordinates of b are already swapped.
+ */
+const encodeProof = (proof, publicSignals) => {
+    const { a, b, c } = proof.pi_a
+        ? { a: proof.pi_a.slice(0, 2), b: proof.pi_b.slice(0, 2).map(([x, y]) => [y, x]), c: proof.pi_c.slice(0, 2) }
+        : proof;
+    return AbiCoder.defaultAbiCoder().encode(
+        ['uint256[2]', 'uint256[2][2]', 'uint256[2]', 'uint256[7]'],
+        [a, b, c, publicSignals]
+    );
+};
 
-// Mock contract ABI for demonstration
-export const mockContractABI = [
-    "function verifyProof(bytes proof, bytes32 nullifier, bytes32 credentialRoot) returns (bool)",
-    "function registerKYC(address user, uint256 expiryDate, bytes32 credentialRoot)",
-    "function hasValidKYC(address user) view returns (bool)",
-    "event ProofVerified(address indexed user, bytes32 nullifier)",
-    "event KYCVerified(address indexed user, bytes32 indexed credentialRoot)"
-];
+// Nullifiers and roots are field elements; the contract takes them as bytes32
+const toBytes32 = (value) => isHexString(value, 32) ? value : fieldToHex(value);
 
 /**
- * Initialize a mock contract instance
+ * Registry contract on the signer's chain
+ *
+ * @returns {Promise<KYCRegistry>}
  */
-export const getMockContract = () => {
+export const connectRegistry = async (signer) => {
+    const { chainId } = await signer.provider.getNetwork();
+    const { address, abi } = getRegistryDeployment(chainId);
+    const contract = new Contract(address, abi, signer);
+    
+    const send = async (method, ...args) => {
+        try {
+            const receipt = await (await contract[method](...args)).wait();
+            return { hash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (error) {
+            // Report reverts by their reason (e.g. 'Proof already used'), as the mock does
+            throw error.reason ? new Error(error.reason) : error;
+        }
+    };
+    
+    const subscribe = (eventName, toEvent) => (listener) => {
+        const handler = (...args) => {
+            const { log } = args[args.length - 1];
+            listener({ ...toEvent(...args), transactionHash: log.transactionHash, blockNumber: log.blockNumber });
+        };
+        contract.on(eventName, handler);
+        return () => contract.off(eventName, handler);
+    };
+    
     return {
-        address: '0x' + '1'.repeat(40), // Mock address
-        async verifyProof(proof, nullifier, credentialRoot) {
-            console.log('Mock contract: verifyProof called', { 
-                proofLength: proof.length,
-                nullifier,
-                credentialRoot 
-            });
-            
-            // Simulate blockchain delay
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Always return true for demo
-            return {
-                wait: async () => ({
-                    hash: '0x' + Math.random().toString(16).substr(2, 64),
-                    blockNumber: Math.floor(Math.random() * 1000000),
-                    confirmations: 1
-                })
-            };
+        address,
+        chainId: Number(chainId),
+        mock: false,
+        
+        registerKYC: (user, expiryDate, credentialRoot) => {
+            return send('registerKYC', user, expiryDate, toBytes32(credentialRoot));
         },
         
-        async registerKYC(user, expiryDate, credentialRoot) {
-            console.log('Mock contract: registerKYC called', { 
-                user,
-                expiryDate,
-                credentialRoot 
-            });
-            
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            return {
-                wait: async () => ({
-                    hash: '0x' + Math.random().toString(16).substr(2, 64),
-                    blockNumber: Math.floor(Math.random() * 1000000),
-                    confirmations: 1
-                })
-            };
+        verifyProof: (proof, publicSignals, nullifier, credentialRoot = ZeroHash) => {
+            return send('verifyProof', encodeProof(proof, publicSignals), toBytes32(nullifier), toBytes32(credentialRoot));
         },
         
-        async hasValidKYC(user) {
-            console.log('Mock contract: hasValidKYC called', { user });
-            
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            // Return true for demo
-            return true;
-        }
+        hasValidKYC: (user) => contract.hasValidKYC(user),
+        
+        onKYCVerified: subscribe('KYCVerified', (user, credentialRoot) => ({ user, credentialRoot })),
+        onProofVerified: subscribe('ProofVerified', (user, nullifier) => ({ user, nullifier }))
+    };
+};
+
+/**
+ * In-memory registry for demo mode
+ *
+ * Mirrors the contract's rules (KYC expiry, one use per nullifier) and emits
+ * the same events, so components use it exactly like the real one.
+ *
+ * @returns {KYCRegistry}
+ */
+export const createMockRegistry = ({ sender = '0x' + '0'.repeat(40), delay = 1000 } = {}) => {
+    const kycStatus = new Map();
+    const nullifiers = new Set();
+    const listeners = { KYCVerified: new Set(), ProofVerified: new Set() };
+    let blockNumber = 1;
+    
+    const mine = async (eventName, event) => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        const receipt = {
+            hash: hexlify(randomBytes(32)),
+            blockNumber: blockNumber++
+        };
+        listeners[eventName].forEach(listener => listener({ ...event, transactionHash: receipt.hash, blockNumber: receipt.blockNumber }));
+        return receipt;
+    };
+    
+    const subscribe = (eventName) => (listener) => {
+        listeners[eventName].add(listener);
+        return () => listeners[eventName].delete(listener);
+    };
+    
+    return {
+        address: '0x' + '1'.repeat(40),
+        chainId: 0,
+        mock: true,
+        
+        registerKYC: (user, expiryDate, credentialRoot) => {
+            const root = toBytes32(credentialRoot);
+            kycStatus.set(user.toLowerCase(), { expiryDate: Number(expiryDate), credentialRoot: root });
+            return mine('KYCVerified', { user, credentialRoot: root });
+        },
+        
+        verifyProof: async (proof, publicSignals, nullifier) => {
+            const key = toBytes32(nullifier);
+            if (nullifiers.has(key)) {
+                throw new Error('Proof already used');
+            }
+            nullifiers.add(key);
+            return mine('ProofVerified', { user: sender, nullifier: key });
+        },
+        
+        hasValidKYC: async (user) => {
+            const status = kycStatus.get(user.toLowerCase());
+            return Boolean(status) && status.expiryDate > Date.now() / 1000;
+        },
+        
+        onKYCVerified: subscribe('KYCVerified'),
+        onProofVerified: subscribe('ProofVerified')
     };
 };
 
+/**
+ * keccak256 of a string's UTF-8 bytes
+ */
+export const hashText = (text) => keccak256(toUtf8Bytes(String(text)));
+
+/**
+ * keccak256 of a value's JSON encoding
+ */
+export const hashJSON = (value) => hashText(JSON.stringify(value));
+
 /**
  * Connect to MetaMask wallet
+ *
+ * Errors from the wallet (e.g. code 4001 when the user rejects) are rethrown
+ * unchanged.
  */
 export const connectWallet = async () => {
     if (typeof window.ethereum !== 'undefined') {
@@ -79,8 +216,12 @@ export const connectWallet = async () => {
                 method: 'eth_requestAccounts' 
             });
             
-            const provider = new ethers.providers.Web3Provider(window.ethereum);
-            const signer = provider.getSigner();
+            if (!accounts || accounts.length === 0) {
+                throw new Error('No accounts found. Please unlock MetaMask.');
+            }
+            
+            const provider = new BrowserProvider(window.ethereum);
+            const signer = await provider.getSigner(accounts[0]);
             const network = await provider.getNetwork();
             
             return {
@@ -88,7 +229,7 @@ export const connectWallet = async () => {
                 signer,
                 provider,
                 network: network.name,
-                chainId: network.chainId
+                chainId: Number(network.chainId)
             };
         } catch (error) {
             console.error('Failed to connect wallet:', error);
@@ -175,14 +316,19 @@ export const formatAddress = (address) => {
 };
 
 /**
- * Format amount in ETH
+ * Format amount in ETH (bigints are amounts in wei)
  */
 export const formatETH = (amount) => {
-    return parseFloat(amount).toFixed(4) + ' ETH';
+    return parseFloat(typeof amount === 'bigint' ? formatEther(amount) : amount).toFixed(4) + ' ETH';
 };
 
 export default {
-    getMockContract,
+    getDeployments,
+    getRegistryDeployment,
+    connectRegistry,
+    createMockRegistry,
+    hashText,
+    hashJSON,
     connectWallet,
     switchToBaseNetwork,
     getTransactionHistory,
@@ -0,0 +1,56 @@
+// src/utils/documents.js
+import { authorizedFetch } from './session';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Types and size the backend accepts (DOCUMENT_MAX_BYTES)
+export const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Check a file before uploading it; returns an error message or null
+ */
+export const validateDocument = (file) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.type)) {
+        return 'Documents must be JPEG, PNG or PDF files';
+    }
+    if (file.size > MAX_DOCUMENT_SIZE) {
+        return `Documents must be smaller than ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`;
+    }
+    return null;
+};
+
+/**
+ * Upload an identity document to an application
+ *
+ * The file is sent as the raw request body with the applicant's session; the
+ * backend strips its metadata and stores it encrypted for the reviewer.
+ */
+export const uploadDocument = async (applicationId, userAddress, file, documentType) => {
+    const invalid = validateDocument(file);
+    if (invalid) {
+        throw new Error(invalid);
+    }
+
+    const params = new URLSearchParams({ documentType });
+    const response = await authorizedFetch(userAddress, `${API_URL}/applications/${applicationId}/documents?${params}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': file.type,
+        },
+        body: file
+    });
+
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.error || 'Document upload failed');
+    }
+    return result.document;
+};
+
+export default {
+    DOCUMENT_MIME_TYPES,
+    MAX_DOCUMENT_SIZE,
+    validateDocument,
+    uploadDocument
+};
@@ -0,0 +1,72 @@
+// src/utils/session.js
+import { signWithInjectedWallet } from './wallet';
+
+const API_URL = 'http://localhost:3001/api';
+
+// Backend session tokens by address, kept in memory for this tab
+const sessions = new Map();
+
+/**
+ * Sign in to the backend by signing a one-time challenge with the wallet
+ */
+export const signIn = async (userAddress, signMessage) => {
+    if (!signMessage && typeof window.ethereum === 'undefined') {
+        throw new Error('Connect a wallet to sign in');
+    }
+    const sign = signMessage || signWithInjectedWallet(userAddress);
+
+    const challenge = await (await fetch(`${API_URL}/auth/challenge`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ userAddress })
+    })).json();
+    if (!challenge.success) {
+        throw new Error(challenge.error || 'Could not start sign-in');
+    }
+
+    const session = await (await fetch(`${API_URL}/auth/session`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ userAddress, signature: await sign(challenge.message) })
+    })).json();
+    if (!session.success) {
+        throw new Error(session.error || 'Sign-in failed');
+    }
+
+    sessions.set(userAddress.toLowerCase(), session);
+    return session;
+};
+
+/**
+ * fetch with the address's session token, signing in first when needed
+ *
+ * An expired session is renewed once.
+ */
+export const authorizedFetch = async (userAddress, url, options = {}) => {
+    const send = (session) => fetch(url, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${session.token}` }
+    });
+
+    const key = userAddress.toLowerCase();
+    let session = sessions.get(key);
+    if (!session || session.expiresAt <= Date.now()) {
+        session = await signIn(userAddress);
+    }
+
+    const response = await send(session);
+    if (response.status !== 401) {
+        return response;
+    }
+    sessions.delete(key);
+    return send(await signIn(userAddress));
+};
+
+export default {
+    signIn,
+    authorizedFetch
+};
@@ -0,0 +1,302 @@
+// src/utils/wallet.js
+import { getBytes, hexlify, toUtf8Bytes } from 'ethers';
+
+// One database per wallet, e.g. per connected account
+const DB_PREFIX = 'zkkyc-wallet';
+const DB_VERSION = 2;
+const STORES = ['meta', 'credentials', 'proofs', 'secrets'];
+
+// Message signed to derive the wallet key; changing it locks existing wallets
+const UNLOCK_MESSAGE = 'Unlock my zkKYC credential wallet.\n\nThis signature never leaves your browser.';
+
+// Plaintext encrypted at creation so a wrong passphrase or signature is detected
+const KEY_CHECK = 'zkkyc-wallet';
+
+const PBKDF2_ITERATIONS = 310000;
+
+const BACKUP_FORMAT = 'zkkyc-wallet-backup';
+
+/**
+ * Helper functions
+ */
+const toBase64 = (bytes) => {
+    let binary = '';
+    for (const byte of new Uint8Array(bytes)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+};
+
+const fromBase64 = (str) => Uint8Array.from(atob(str), c => c.charCodeAt(0));
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+const databaseName = (walletId) => `${DB_PREFIX}:${String(walletId).toLowerCase()}`;
+
+const openDatabase = (walletId) => {
+    const req = indexedDB.open(databaseName(walletId), DB_VERSION);
+    req.onupgradeneeded = () => {
+        for (const store of STORES) {
+            if (!req.result.objectStoreNames.contains(store)) {
+                req.result.createObjectStore(store, { keyPath: 'id' });
+            }
+        }
+    };
+    return request(req);
+};
+
+/**
+ * Run `fn(stores)` in one transaction and resolve once it commits
+ */
+const withStores = async (walletId, names, mode, fn) => {
+    const db = await openDatabase(walletId);
+    try {
+        const tx = db.transaction(names, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const stores = Object.fromEntries(names.map(name => [name, tx.objectStore(name)]));
+        const result = await fn(stores);
+        await done;
+        return result;
+    } finally {
+        db.close();
+    }
+};
+
+const deriveKey = async (material, salt) => {
+    const baseKey = await crypto.subtle.importKey('raw', material, 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+const encrypt = async (key, value) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, toUtf8Bytes(JSON.stringify(value)));
+    return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+const decrypt = async (key, { iv, data }) => {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+};
+
+/**
+ * Derive the key for a wallet's salt and check that it opens the wallet
+ */
+const unlockMeta = async (meta, material) => {
+    const key = await deriveKey(material, fromBase64(meta.salt));
+    try {
+        if (await decrypt(key, meta.check) !== KEY_CHECK) {
+            throw new Error();
+        }
+    } catch {
+        throw new Error(meta.kdf === 'signature'
+            ? 'This account cannot unlock the wallet'
+            : 'Wrong wallet passphrase');
+    }
+    return key;
+};
+
+/**
+ * Key material from a passphrase
+ */
+export const passphraseMaterial = (passphrase) => {
+    if (!passphrase) {
+        throw new Error('A passphrase is required');
+    }
+    return { kdf: 'passphrase', material: toUtf8Bytes(passphrase) };
+};
+
+/**
+ * Key material from a wallet signature of a fixed message
+ *
+ * `signMessage(message)` returns the hex signature, e.g. through MetaMask's
+ * personal_sign. ECDSA signatures from wallets are deterministic, so the same
+ * account always derives the same key.
+ */
+export const signatureMaterial = async (signMessage) => {
+    const signature = await signMessage(UNLOCK_MESSAGE);
+    return { kdf: 'signature', material: getBytes(signature) };
+};
+
+/**
+ * Sign the unlock message with the injected provider's account
+ */
+export const signWithInjectedWallet = (address) => (message) => {
+    return window.ethereum.request({
+        method: 'personal_sign',
+        params: [hexlify(toUtf8Bytes(message)), address]
+    });
+};
+
+const readMeta = (walletId) => {
+    return withStores(walletId, ['meta'], 'readonly', ({ meta }) => request(meta.get('wallet')));
+};
+
+/**
+ * Whether a wallet already exists in this browser
+ */
+export const hasWallet = async (walletId) => {
+    return Boolean(await readMeta(walletId));
+};
+
+/**
+ * Open the wallet, creating it on first use
+ *
+ * Credentials (received VCs together with the holder secret and attributes
+ * they were issued for), holder secrets of pending applications and generated
+ * proofs are stored in IndexedDB as AES-GCM ciphertexts under a PBKDF2 key
+ * from `material`.
+ */
+export const unlockWallet = async (walletId, { kdf, material }) => {
+    let meta = await readMeta(walletId);
+    let key;
+    
+    if (meta) {
+        key = await unlockMeta(meta, material);
+    } else {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        key = await deriveKey(material, salt);
+        meta = {
+            id: 'wallet',
+            kdf,
+            salt: toBase64(salt),
+            check: await encrypt(key, KEY_CHECK),
+            createdAt: Date.now()
+        };
+        await withStores(walletId, ['meta'], 'readwrite', ({ meta: store }) => request(store.put(meta)));
+    }
+    
+    return createWallet(walletId, key, meta);
+};
+
+/**
+ * Restore a backup from `exportBackup`, replacing this browser's wallet
+ *
+ * The backup stays encrypted; it is opened with the passphrase or account
+ * that created it.
+ */
+export const restoreBackup = async (walletId, backup, { material }) => {
+    const parsed = typeof backup === 'string' ? JSON.parse(backup) : backup;
+    if (parsed.format !== BACKUP_FORMAT || !parsed.meta) {
+        throw new Error('Not a zkKYC wallet backup');
+    }
+    
+    const key = await unlockMeta(parsed.meta, material);
+    
+    await withStores(walletId, STORES, 'readwrite', async (stores) => {
+        await Promise.all(STORES.map(name => request(stores[name].clear())));
+        await request(stores.meta.put(parsed.meta));
+        await Promise.all([
+            ...parsed.credentials.map(record => request(stores.credentials.put(record))),
+            ...parsed.proofs.map(record => request(stores.proofs.put(record))),
+            // Backups from before holder secrets were kept have none
+            ...(parsed.secrets || []).map(record => request(stores.secrets.put(record)))
+        ]);
+    });
+    
+    return createWallet(walletId, key, parsed.meta);
+};
+
+/**
+ * Delete the wallet and everything in it from this browser
+ */
+export const deleteWallet = (walletId) => request(indexedDB.deleteDatabase(databaseName(walletId)));
+
+/**
+ * Unlocked wallet; the key is held only in memory
+ */
+const createWallet = (walletId, key, meta) => {
+    const list = async (storeName) => {
+        const records = await withStores(walletId, [storeName], 'readonly', stores => request(stores[storeName].getAll()));
+        return Promise.all(records.map(record => decrypt(key, record)));
+    };
+    
+    const save = async (storeName, id, value) => {
+        const record = { id, ...(await encrypt(key, value)) };
+        await withStores(walletId, [storeName], 'readwrite', stores => request(stores[storeName].put(record)));
+        return value;
+    };
+    
+    const remove = (storeName, id) => {
+        return withStores(walletId, [storeName], 'readwrite', stores => request(stores[storeName].delete(id)));
+    };
+    
+    return {
+        id: walletId,
+        kdf: meta.kdf,
+        
+        listCredentials: async () => {
+            const credentials = await list('credentials');
+            return credentials.sort((a, b) => (b.issuedAt || 0) - (a.issuedAt || 0));
+        },
+        
+        saveCredential: (credential) => {
+            if (!credential.id) {
+                throw new Error('Credential ID is required');
+            }
+            return save('credentials', credential.id, credential);
+        },
+        
+        removeCredential: (id) => remove('credentials', id),
+        
+        listProofs: async () => {
+            const proofs = await list('proofs');
+            return proofs.sort((a, b) => String(b.generatedAt).localeCompare(String(a.generatedAt)));
+        },
+        
+        saveProof: (proof) => save('proofs', proof.id, proof),
+        
+        /**
+         * Holder secret of an application, kept until its credential is issued
+         */
+        saveHolderSecret: (applicationId, secret) => save('secrets', applicationId, { secret }),
+        
+        getHolderSecret: async (applicationId) => {
+            const record = await withStores(walletId, ['secrets'], 'readonly', stores => request(stores.secrets.get(applicationId)));
+            return record ? (await decrypt(key, record)).secret : null;
+        },
+        
+        /**
+         * Encrypted backup of the whole wallet as a JSON string
+         */
+        exportBackup: async () => {
+            const records = await withStores(walletId, ['credentials', 'proofs', 'secrets'], 'readonly', stores => Promise.all([
+                request(stores.credentials.getAll()),
+                request(stores.proofs.getAll()),
+                request(stores.secrets.getAll())
+            ]));
+            
+            return JSON.stringify({
+                format: BACKUP_FORMAT,
+                version: 1,
+                exportedAt: new Date().toISOString(),
+                meta,
+                credentials: records[0],
+                proofs: records[1],
+                secrets: records[2]
+            }, null, 2);
+        }
+    };
+};
+
+export default {
+    passphraseMaterial,
+    signatureMaterial,
+    signWithInjectedWallet,
+    hasWallet,
+    unlockWallet,
+    restoreBackup,
+    deleteWallet
+};
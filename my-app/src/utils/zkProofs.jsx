@@ -1,134 +1,133 @@
 // src/utils/zkProofs.js
+import { hexlify, randomBytes } from 'ethers';
+import {
+    computeCommitment,
+    computeHolderCommitment,
+    computeNullifier,
+    computeScope,
+    fieldToHex,
+    toDayNumber
+} from '../../../circuits/hashing.mjs';
+import {
+    PUBLIC_SIGNALS,
+    encodeCommitmentInputs,
+    hashAllowedCountries,
+    buildCircuitInputs as buildInputs
+} from '../../../circuits/inputs.mjs';
 
-/**
- * Generate a mock zero-knowledge proof for demonstration purposes
- * In production, this would use actual zk-SNARK/STARK libraries
- */
-export const generateProof = async (formData, requirements) => {
-    // Simulate proof generation time
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Generate a mock proof
-    const timestamp = Date.now();
-    const proofId = `proof_${timestamp}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    return {
-        id: proofId,
-        proof: {
-            a: [
-                `0x${randomHex(32)}`,
-                `0x${randomHex(32)}`
-            ],
-            b: [
-                [`0x${randomHex(32)}`, `0x${randomHex(32)}`],
-                [`0x${randomHex(32)}`, `0x${randomHex(32)}`]
-            ],
-            c: [
-                `0x${randomHex(32)}`,
-                `0x${randomHex(32)}`
-            ]
-        },
-        publicSignals: [
-            `0x${randomHex(32)}`,
-            `0x${randomHex(32)}`,
-            `0x${randomHex(32)}`
-        ],
-        nullifier: generateNullifier(formData.documentNumber, formData.dob),
-        circuit: 'kyc_verification_v1',
-        timestamp,
-        requirements
-    };
+// Field encoding, hashing and circuit inputs shared with the backend and the CLI
+export { COUNTRY_CODES } from '../../../circuits/countries.mjs';
+export { PUBLIC_SIGNALS, computeHolderCommitment, computeScope, toDayNumber };
+
+// Circuit the proofs target (name@version in the backend circuit registry)
+export const CIRCUIT_ID = 'kyc_verification@2.0.0';
+
+// Where the proving worker downloads kyc-circuit.wasm and circuit_final.zkey
+const CIRCUIT_URL = import.meta.env.VITE_CIRCUIT_URL || '/circuits';
+
+export const CIRCUIT_ARTIFACTS = {
+    wasm: `${CIRCUIT_URL}/kyc-circuit.wasm`,
+    zkey: `${CIRCUIT_URL}/circuit_final.zkey`
 };
 
 /**
- * Generate a nullifier hash to prevent proof reuse
+ * Generate a random holder secret for deriving nullifiers
+ *
+ * It never leaves the browser: applications carry computeHolderCommitment(secret).
  */
-export const generateNullifier = (documentNumber, dob) => {
-    // In production, this would use a proper cryptographic hash
-    const data = `${documentNumber}_${dob}_${Date.now()}_${Math.random()}`;
-    const hash = simpleHash(data);
-    return `0x${hash}`;
+export const generateSecret = () => {
+    return hexlify(randomBytes(31));
 };
 
 /**
- * Verify a zero-knowledge proof
+ * Generate a nullifier hash to prevent proof reuse
+ *
+ * Poseidon(secret, credential, scope), the same value the circuit outputs and
+ * the backend derives, so a credential can be proven once per scope.
  */
-export const verifyProof = async (proofData) => {
-    // Simulate verification time
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    // Mock verification - always returns true for demo
-    // In production, this would use actual zk-SNARK verification
-    return {
-        success: true,
-        verified: true,
-        proofId: proofData.id,
-        timestamp: Date.now(),
-        onChain: false
-    };
+export const generateNullifier = (secret, credentialId, scope = computeScope()) => {
+    if (!secret || !credentialId) {
+        throw new Error('Secret and credential ID are required to derive a nullifier');
+    }
+    return fieldToHex(computeNullifier(secret, credentialId, scope));
 };
 
 /**
- * Generate a credential hash
+ * Merkle root committing to a set of allowed countries ('0' allows any country)
  */
-export const generateCredentialHash = (credentialData) => {
-    const data = JSON.stringify(credentialData);
-    return `0x${simpleHash(data)}`;
+export const buildCountryRoot = (countries = []) => {
+    return hashAllowedCountries(countries);
 };
 
 /**
- * Generate a commitment for on-chain storage
+ * Build the witness inputs for kyc-circuit.circom from the holder's credential
+ *
+ * `credential` holds what the issuer handed to the holder ({ id, secret,
+ * dateOfBirth, country, nationality, documentNumber }); `merkleProof` is the
+ * commitment's inclusion path from GET /api/registry/proof/:credentialId.
  */
-export const generateCommitment = (credentialId, userAddress) => {
-    const data = `${credentialId}_${userAddress}_${Date.now()}`;
-    return `0x${simpleHash(data)}`;
+export const buildCircuitInputs = (credential, merkleProof, requirements = {}) => {
+    const holderCredential = { ...credential, credentialId: credential.id, merkleProof };
+    
+    // Catch stale or mistyped credential data before spending time on a proof
+    if (merkleProof.leaf !== undefined && computeCommitment(encodeCommitmentInputs(holderCredential)) !== BigInt(merkleProof.leaf)) {
+        throw new Error('Credential does not match its registry commitment');
+    }
+    
+    return buildInputs(holderCredential, requirements);
 };
 
 /**
- * Simple hash function for demonstration
- * In production, use proper cryptographic libraries
+ * Prove in a Web Worker so the page stays responsive
+ *
+ * `onProgress` receives { stage: 'loading' | 'witness' | 'proving', loaded, total }.
+ * Only the returned proof and public signals are meant to leave the browser.
  */
-const simpleHash = (str) => {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash).toString(16).padStart(64, '0').slice(0, 64);
+export const proveInBrowser = (inputs, { onProgress = () => {}, artifacts = CIRCUIT_ARTIFACTS } = {}) => {
+    const worker = new Worker(new URL('../workers/proofWorker.js', import.meta.url), { type: 'module' });
+    
+    return new Promise((resolve, reject) => {
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'progress') {
+                onProgress(data);
+                return;
+            }
+            
+            worker.terminate();
+            if (data.type === 'result') {
+                resolve({ proof: data.proof, publicSignals: data.publicSignals });
+            } else {
+                reject(new Error(data.error));
+            }
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || 'Proof worker failed'));
+        };
+        
+        // Absolute URLs: the worker resolves relative ones against its own script
+        worker.postMessage({
+            inputs,
+            artifacts: {
+                wasm: new URL(artifacts.wasm, window.location.href).href,
+                zkey: new URL(artifacts.zkey, window.location.href).href
+            }
+        });
+    });
 };
 
 /**
- * Generate random hex string
+ * Read a public signal of a kyc-circuit proof by name
  */
-const randomHex = (bytes) => {
-    const hex = [];
-    for (let i = 0; i < bytes * 2; i++) {
-        hex.push(Math.floor(Math.random() * 16).toString(16));
-    }
-    return hex.join('');
+export const readSignal = (publicSignals, name) => {
+    return publicSignals[PUBLIC_SIGNALS.indexOf(name)];
 };
 
 /**
- * Prepare circuit inputs for proof generation
+ * Nullifier signal as the 0x-prefixed hex string the backend keys proofs by
  */
-export const prepareCircuitInputs = (formData, requirements) => {
-    return {
-        // Private inputs (not revealed)
-        private: {
-            nameHash: simpleHash(formData.fullName),
-            dobHash: simpleHash(formData.dob),
-            documentHash: simpleHash(formData.documentNumber),
-            countryHash: simpleHash(formData.country)
-        },
-        // Public inputs (revealed in proof)
-        public: {
-            minAge: requirements.minAge || 18,
-            allowedCountries: requirements.allowedCountries || [],
-            timestamp: Date.now(),
-            circuitId: 'kyc_circuit_v1'
-        }
-    };
+export const nullifierToHex = (value) => {
+    return fieldToHex(value);
 };
 
 /**
@@ -172,12 +171,16 @@ export const checkRequirements = (userData, requirements) => {
 };
 
 export default {
-    generateProof,
+    generateSecret,
+    computeHolderCommitment,
+    computeScope,
     generateNullifier,
-    verifyProof,
-    generateCredentialHash,
-    generateCommitment,
-    prepareCircuitInputs,
+    buildCountryRoot,
+    buildCircuitInputs,
+    proveInBrowser,
+    readSignal,
+    nullifierToHex,
+    toDayNumber,
     calculateAge,
     checkRequirements
 };
\ No newline at end of file
@@ -0,0 +1,81 @@
+// src/workers/proofWorker.js
+import { groth16, wtns } from 'snarkjs';
+
+/**
+ * Groth16 prover running off the main thread
+ *
+ * Receives { inputs, artifacts: { wasm, zkey } } and posts progress messages
+ * ({ type: 'progress', stage, loaded, total }) followed by either
+ * { type: 'result', proof, publicSignals } or { type: 'error', error }.
+ * The witness inputs never leave the browser.
+ */
+const post = (message) => self.postMessage(message);
+
+/**
+ * Read a response body, reporting bytes as they arrive
+ */
+const readBody = async (response, onChunk) => {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        onChunk(value.length);
+    }
+
+    const data = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return data;
+};
+
+/**
+ * Download the circuit wasm and zkey
+ */
+const loadArtifacts = async ({ wasm, zkey }) => {
+    const responses = await Promise.all([wasm, zkey].map(async (url) => {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (${response.status})`);
+        }
+        return response;
+    }));
+
+    // total stays 0 when the server sends no content-length
+    const total = responses.reduce((sum, response) => sum + (Number(response.headers.get('content-length')) || 0), 0);
+    let loaded = 0;
+    const onChunk = (bytes) => {
+        loaded += bytes;
+        post({ type: 'progress', stage: 'loading', loaded, total });
+    };
+
+    const [wasmData, zkeyData] = await Promise.all(responses.map(response => readBody(response, onChunk)));
+    return { wasm: wasmData, zkey: zkeyData };
+};
+
+self.onmessage = async ({ data }) => {
+    const { inputs, artifacts } = data;
+
+    try {
+        post({ type: 'progress', stage: 'loading', loaded: 0, total: 0 });
+        const { wasm, zkey } = await loadArtifacts(artifacts);
+
+        post({ type: 'progress', stage: 'witness' });
+        const witness = { type: 'mem' };
+        await wtns.calculate(inputs, wasm, witness);
+
+        post({ type: 'progress', stage: 'proving' });
+        const { proof, publicSignals } = await groth16.prove(zkey, witness);
+
+        post({ type: 'result', proof, publicSignals });
+    } catch (error) {
+        post({ type: 'error', error: error.message || String(error) });
+    }
+};
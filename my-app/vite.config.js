@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // circuits/hashing.mjs lives outside the app; resolve its imports from here
+    dedupe: ['poseidon-lite', '@noble/hashes'],
+  },
+  server: {
+    fs: {
+      allow: ['..'],
+    },
+  },
 })